@@ -0,0 +1,323 @@
+// backend/capacityTrend.js
+// Drive-up space trends per sailing and sell-out predictions for the pies.
+//
+// - Listens to terminal space updates (feedStore.onFeedUpdate)
+// - For every upcoming sailing (departing terminal → arriving terminal at a
+//   departure time) keeps the DriveUpSpaceCount history, one sample per change
+// - Once a sailing has left, keeps its outcome per direction: did it fill,
+//   and how many minutes before departure
+// - predictSellOut() combines the recent drain rate of a sailing with past
+//   outcomes of sailings at the same hour into
+//     { departure, availAuto, fullAt, likelyFull, confidence, basis,
+//       carsPerHour, samples, history: { count, fullCount } }
+//   confidence: "low" | "medium" | "high"
+//   basis:      "full" (already full) | "trend" | "history" | "trend+history" | null
+//
+// Both maps survive restarts via stateStore.js.
+
+const { onFeedUpdate, getSnapshot, terminalsKey } = require("./feedStore");
+const { parseWsdotDate } = require("./wsdotClient");
+const { getPacificParts } = require("./serviceDay");
+const { now: clockNow } = require("./clock");
+const { registerState } = require("./stateStore");
+
+// Drain rate is fitted over this recent window.
+const TREND_WINDOW_MS = 30 * 60 * 1000;
+// A rate needs this many samples spanning this long.
+const MIN_TREND_SAMPLES = 2;
+const MIN_TREND_SPAN_MS = 5 * 60 * 1000;
+
+const MAX_SAMPLES_PER_SAILING = 200;
+
+// A sailing's outcome is final this long after its departure time; it only
+// counts as "sailed with space" when observed close to departure.
+const OUTCOME_SETTLE_MS = 10 * 60 * 1000;
+const OUTCOME_MAX_GAP_MS = 15 * 60 * 1000;
+
+// Rolling outcome window per direction.
+const MAX_OUTCOMES_PER_DIRECTION = 2000;
+const MAX_OUTCOME_AGE_MS = 28 * 24 * 60 * 60 * 1000;
+
+// Past sailings needed before history counts.
+const MIN_HISTORY = 3;
+// Trend and history agreeing within this make a "high" confidence estimate.
+const AGREEMENT_MS = 15 * 60 * 1000;
+
+// "depId>arrId@departureMs" -> { depId, arrId, departureMs, vesselId, lastSeenMs,
+//   samples: [{ tMs, driveUp }] }
+const trendsBySailing = Object.create(null);
+
+// "depId>arrId" -> [{ departureMs, hour, weekend, fullMinutesBefore }]
+// (fullMinutesBefore null: sailed with space)
+const outcomesByDirection = Object.create(null);
+
+let unsubscribe = null;
+
+registerState("capacityTrends", trendsBySailing, {
+  prune: (target, nowMs) => {
+    for (const key of Object.keys(target)) {
+      const t = target[key];
+      if (!t || nowMs - t.departureMs > OUTCOME_SETTLE_MS) delete target[key];
+    }
+  },
+});
+registerState("capacityOutcomes", outcomesByDirection, {
+  prune: (target, nowMs) => {
+    for (const key of Object.keys(target)) {
+      const list = Array.isArray(target[key]) ? target[key] : [];
+      target[key] = list.filter((o) => o && nowMs - o.departureMs <= MAX_OUTCOME_AGE_MS);
+      if (target[key].length === 0) delete target[key];
+    }
+  },
+});
+
+function directionKey(depId, arrId) {
+  return `${Number(depId)}>${Number(arrId)}`;
+}
+
+function sailingKey(depId, arrId, departureMs) {
+  return `${directionKey(depId, arrId)}@${departureMs}`;
+}
+
+// Saturday or Sunday in Pacific time.
+function isWeekend(ms) {
+  const { year, month, day } = getPacificParts(new Date(ms));
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+// ---- Recording ----
+
+function recordOutcome(trend) {
+  const samples = trend.samples;
+  if (samples.length === 0) return;
+
+  const firstFull = samples.find((s) => s.driveUp <= 0) || null;
+  // Not seen near departure and not full: we do not know how it ended.
+  if (!firstFull && trend.departureMs - trend.lastSeenMs > OUTCOME_MAX_GAP_MS) return;
+
+  const key = directionKey(trend.depId, trend.arrId);
+  const list = (outcomesByDirection[key] = outcomesByDirection[key] || []);
+  list.push({
+    departureMs: trend.departureMs,
+    hour: getPacificParts(new Date(trend.departureMs)).hour,
+    weekend: isWeekend(trend.departureMs),
+    fullMinutesBefore: firstFull
+      ? Math.max(0, Math.round((trend.departureMs - firstFull.tMs) / 60000))
+      : null,
+  });
+
+  const oldestMs = trend.departureMs - MAX_OUTCOME_AGE_MS;
+  while (list.length > MAX_OUTCOMES_PER_DIRECTION || (list.length > 0 && list[0].departureMs < oldestMs)) {
+    list.shift();
+  }
+}
+
+// One terminalsailingspace poll: add samples, settle departed sailings.
+function observeSpaces(terminals, nowMs) {
+  for (const row of terminals) {
+    if (!row || row.TerminalID == null) continue;
+    const depId = Number(row.TerminalID);
+
+    for (const dep of Array.isArray(row.DepartingSpaces) ? row.DepartingSpaces : []) {
+      if (!dep) continue;
+      const departureIso = parseWsdotDate(dep.Departure);
+      const departureMs = departureIso ? Date.parse(departureIso) : NaN;
+      if (!Number.isFinite(departureMs)) continue;
+
+      for (const arr of Array.isArray(dep.SpaceForArrivalTerminals) ? dep.SpaceForArrivalTerminals : []) {
+        if (!arr || arr.TerminalID == null) continue;
+        const key = sailingKey(depId, arr.TerminalID, departureMs);
+
+        // A cancelled sailing never fills; forget what it had.
+        if (dep.IsCancelled) {
+          delete trendsBySailing[key];
+          continue;
+        }
+        if (typeof arr.DriveUpSpaceCount !== "number" || !Number.isFinite(arr.DriveUpSpaceCount)) {
+          continue;
+        }
+
+        const trend = (trendsBySailing[key] = trendsBySailing[key] || {
+          depId,
+          arrId: Number(arr.TerminalID),
+          departureMs,
+          vesselId: dep.VesselID != null ? Number(dep.VesselID) : null,
+          lastSeenMs: nowMs,
+          samples: [],
+        });
+        trend.lastSeenMs = nowMs;
+        const last = trend.samples[trend.samples.length - 1];
+        if (!last || last.driveUp !== arr.DriveUpSpaceCount) {
+          trend.samples.push({ tMs: nowMs, driveUp: arr.DriveUpSpaceCount });
+          if (trend.samples.length > MAX_SAMPLES_PER_SAILING) trend.samples.shift();
+        }
+      }
+    }
+  }
+
+  for (const key of Object.keys(trendsBySailing)) {
+    const trend = trendsBySailing[key];
+    if (nowMs - trend.departureMs < OUTCOME_SETTLE_MS) continue;
+    recordOutcome(trend);
+    delete trendsBySailing[key];
+  }
+}
+
+function handleFeedUpdate(key) {
+  if (key !== terminalsKey()) return;
+  const snap = getSnapshot(key);
+  // A failed poll keeps the previous data; it is not a new sample.
+  if (!snap || snap.error || !Array.isArray(snap.data)) return;
+  try {
+    observeSpaces(snap.data, clockNow().getTime());
+  } catch (err) {
+    console.error("Error tracking capacity trends:", err);
+  }
+}
+
+function startCapacityTrends() {
+  if (!unsubscribe) unsubscribe = onFeedUpdate(handleFeedUpdate);
+}
+
+function stopCapacityTrends() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
+
+// ---- Prediction ----
+
+// Cars per minute leaving the count over the recent window (least squares),
+// or null without enough samples. Positive = space is draining.
+function drainRatePerMinute(samples, nowMs) {
+  const recent = samples.filter((s) => nowMs - s.tMs <= TREND_WINDOW_MS);
+  // The value held since the last change is still the value now.
+  const points = recent.map((s) => ({ x: s.tMs / 60000, y: s.driveUp }));
+  if (points.length > 0) {
+    points.push({ x: nowMs / 60000, y: points[points.length - 1].y });
+  }
+  if (recent.length < MIN_TREND_SAMPLES || nowMs - recent[0].tMs < MIN_TREND_SPAN_MS) {
+    return { rate: null, count: recent.length, spanMs: recent.length > 0 ? nowMs - recent[0].tMs : 0 };
+  }
+
+  const n = points.length;
+  const meanX = points.reduce((acc, p) => acc + p.x, 0) / n;
+  const meanY = points.reduce((acc, p) => acc + p.y, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.x - meanX) * (p.y - meanY);
+    den += (p.x - meanX) * (p.x - meanX);
+  }
+  const slope = den > 0 ? num / den : 0;
+  return { rate: -slope, count: recent.length, spanMs: nowMs - recent[0].tMs };
+}
+
+function median(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Past sailings in this direction at the same hour: same day type first.
+function historyFor(depId, arrId, departureMs) {
+  const list = outcomesByDirection[directionKey(depId, arrId)] || [];
+  const hour = getPacificParts(new Date(departureMs)).hour;
+  const weekend = isWeekend(departureMs);
+
+  let bucket = list.filter((o) => o.hour === hour && o.weekend === weekend);
+  if (bucket.length < MIN_HISTORY) bucket = list.filter((o) => o.hour === hour);
+
+  const full = bucket.filter((o) => o.fullMinutesBefore != null);
+  return {
+    count: bucket.length,
+    fullCount: full.length,
+    medianFullMinutesBefore: full.length > 0 ? median(full.map((o) => o.fullMinutesBefore)) : null,
+  };
+}
+
+// Sell-out estimate for one sailing, or null when it has no space samples.
+function predictSellOut({ departingTerminalId, arrivingTerminalId, departure, nowMs }) {
+  if (departingTerminalId == null || arrivingTerminalId == null || !departure) return null;
+  const departureMs = Date.parse(departure);
+  if (!Number.isFinite(departureMs)) return null;
+
+  const trend = trendsBySailing[sailingKey(departingTerminalId, arrivingTerminalId, departureMs)];
+  if (!trend || trend.samples.length === 0) return null;
+
+  const samples = trend.samples;
+  const availAuto = samples[samples.length - 1].driveUp;
+  const history = historyFor(departingTerminalId, arrivingTerminalId, departureMs);
+  const out = {
+    departure: new Date(departureMs).toISOString(),
+    availAuto,
+    fullAt: null,
+    likelyFull: false,
+    confidence: "low",
+    basis: null,
+    carsPerHour: null,
+    samples: samples.length,
+    history: { count: history.count, fullCount: history.fullCount },
+  };
+
+  if (availAuto <= 0) {
+    const firstFull = samples.find((s) => s.driveUp <= 0);
+    return { ...out, fullAt: new Date(firstFull.tMs).toISOString(), likelyFull: true, confidence: "high", basis: "full" };
+  }
+
+  const { rate, count, spanMs } = drainRatePerMinute(samples, nowMs);
+  if (rate != null) out.carsPerHour = Math.round(rate * 60);
+
+  let trendFullMs = rate != null && rate > 0 ? nowMs + (availAuto / rate) * 60000 : null;
+  if (trendFullMs != null && trendFullMs >= departureMs) trendFullMs = null;
+
+  // History only speaks when most sailings at this hour filled, and not for
+  // a time already past with space still left.
+  const historyFills = history.count >= MIN_HISTORY && history.fullCount / history.count >= 0.5;
+  let historyFullMs = historyFills
+    ? departureMs - history.medianFullMinutesBefore * 60000
+    : null;
+  if (historyFullMs != null && historyFullMs < nowMs) historyFullMs = null;
+
+  if (trendFullMs != null && historyFullMs != null) {
+    return {
+      ...out,
+      fullAt: new Date(trendFullMs).toISOString(),
+      likelyFull: true,
+      confidence: Math.abs(trendFullMs - historyFullMs) <= AGREEMENT_MS ? "high" : "medium",
+      basis: "trend+history",
+    };
+  }
+
+  if (trendFullMs != null) {
+    const steady = count >= 4 && spanMs >= 15 * 60 * 1000;
+    const historyDisagrees = history.count >= MIN_HISTORY && !historyFills;
+    return {
+      ...out,
+      fullAt: new Date(trendFullMs).toISOString(),
+      likelyFull: true,
+      confidence: steady && !historyDisagrees ? "medium" : "low",
+      basis: "trend",
+    };
+  }
+
+  if (historyFullMs != null) {
+    const strong = history.count >= 5 && history.fullCount / history.count >= 0.8;
+    return {
+      ...out,
+      fullAt: new Date(historyFullMs).toISOString(),
+      likelyFull: true,
+      confidence: strong ? "medium" : "low",
+      basis: "history",
+    };
+  }
+
+  // Not expected to fill; confident when plenty of past sailings agree.
+  return { ...out, confidence: history.count >= 5 ? "medium" : "low" };
+}
+
+module.exports = {
+  startCapacityTrends,
+  stopCapacityTrends,
+  predictSellOut,
+};
@@ -0,0 +1,28 @@
+// backend/clock.js
+// Single source of "now" for the backend.
+//
+// Live: the system clock. Replay (WSDOT_REPLAY_DIR set): the virtual time of
+// the recording, so ETAs, dock timers and the service date line up with the
+// recorded payloads.
+
+const { isReplayEnabled, getReplayNowMs, REPLAY_SPEED } = require("./replaySource");
+
+function nowMs() {
+  return isReplayEnabled() ? getReplayNowMs() : Date.now();
+}
+
+function now() {
+  return new Date(nowMs());
+}
+
+// Convert a virtual-time interval to a real-time one (timers, polling).
+function realIntervalMs(virtualMs) {
+  if (!isReplayEnabled()) return virtualMs;
+  return Math.max(250, Math.round(virtualMs / REPLAY_SPEED));
+}
+
+module.exports = {
+  now,
+  nowMs,
+  realIntervalMs,
+};
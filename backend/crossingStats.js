@@ -0,0 +1,292 @@
+// backend/crossingStats.js
+// Learned crossing times: GET /api/routes/:routeId/crossing-stats
+//
+// - Listens to vessel feed updates (feedStore.onFeedUpdate)
+// - Remembers each underway vessel's crossing (LeftDock, departing → arriving)
+// - When the vessel is next seen at dock at its arriving terminal, records
+//   arrival − LeftDock as one sample (arrival = that record's TimeStamp, so
+//   accurate to one vessel poll)
+// - Samples are kept per direction (departing → arriving terminal) in a
+//   rolling window; statistics per direction, Pacific hour of departure and
+//   vessel are computed on demand
+//
+// dotState.js uses the learned median instead of the hand-entered
+// crossingTimeMinutes whenever WSDOT sends no ETA.
+
+const { onFeedUpdate, getSnapshot, vesselsKey } = require("./feedStore");
+const { getTerminalIdsForRoute, getTerminalIdByName } = require("./terminalMap");
+const { getPacificParts } = require("./serviceDay");
+const { now: clockNow } = require("./clock");
+const { registerState } = require("./stateStore");
+
+// Rolling window per direction.
+const MAX_SAMPLES_PER_DIRECTION = 1000;
+const MAX_SAMPLE_AGE_MS = 28 * 24 * 60 * 60 * 1000;
+
+// Anything outside this is a missed arrival or a repositioning run.
+const MIN_CROSSING_MINUTES = 3;
+const MAX_CROSSING_MINUTES = 240;
+
+// A bucket needs this many samples before it overrides a coarser one.
+const MIN_SAMPLES = 3;
+
+// "depId>arrId" -> [{ minutes, departedMs, hour, vesselId, vesselName }]
+const samplesByDirection = Object.create(null);
+
+// vesselId -> { depId, arrId, leftDockMs, vesselName } while underway.
+const crossingsByVessel = Object.create(null);
+
+let unsubscribe = null;
+
+// Samples survive restarts (stateStore.js); so does a crossing in progress,
+// unless it is older than any real crossing.
+registerState("crossingSamples", samplesByDirection, {
+  prune: (target, nowMs) => {
+    for (const key of Object.keys(target)) {
+      const list = Array.isArray(target[key]) ? target[key] : [];
+      target[key] = list.filter((s) => s && nowMs - s.departedMs <= MAX_SAMPLE_AGE_MS);
+      if (target[key].length === 0) delete target[key];
+    }
+  },
+});
+registerState("crossingsInProgress", crossingsByVessel, {
+  prune: (target, nowMs) => {
+    for (const id of Object.keys(target)) {
+      const c = target[id];
+      if (!c || nowMs - c.leftDockMs > MAX_CROSSING_MINUTES * 60000) delete target[id];
+    }
+  },
+});
+
+function directionKey(depId, arrId) {
+  return `${Number(depId)}>${Number(arrId)}`;
+}
+
+function recordSample(crossing, arrivedMs) {
+  const minutes = (arrivedMs - crossing.leftDockMs) / 60000;
+  if (!(minutes >= MIN_CROSSING_MINUTES && minutes <= MAX_CROSSING_MINUTES)) return;
+
+  const key = directionKey(crossing.depId, crossing.arrId);
+  const list = (samplesByDirection[key] = samplesByDirection[key] || []);
+  list.push({
+    minutes,
+    departedMs: crossing.leftDockMs,
+    hour: getPacificParts(new Date(crossing.leftDockMs)).hour,
+    vesselId: crossing.vesselId,
+    vesselName: crossing.vesselName,
+  });
+
+  const oldestMs = arrivedMs - MAX_SAMPLE_AGE_MS;
+  while (list.length > MAX_SAMPLES_PER_DIRECTION || (list.length > 0 && list[0].departedMs < oldestMs)) {
+    list.shift();
+  }
+}
+
+// One vessels poll: start, finish or forget crossings.
+function observeVessels(vessels, nowMs) {
+  const seen = new Set();
+
+  for (const v of vessels) {
+    if (!v || v.vesselId == null) continue;
+    const vesselId = Number(v.vesselId);
+    seen.add(vesselId);
+    const tracked = crossingsByVessel[vesselId] || null;
+
+    if (v.atDock) {
+      // At dock WSDOT reports the current terminal as the departing one.
+      if (tracked && Number(v.departingId) === tracked.arrId) {
+        const stampMs = v.timeStampIso ? Date.parse(v.timeStampIso) : NaN;
+        recordSample(tracked, Number.isFinite(stampMs) ? stampMs : nowMs);
+      }
+      delete crossingsByVessel[vesselId];
+      continue;
+    }
+
+    const leftDockMs = v.leftDockIso ? Date.parse(v.leftDockIso) : NaN;
+    if (!Number.isFinite(leftDockMs) || v.departingId == null || v.arrivingId == null) {
+      continue;
+    }
+    if (tracked && tracked.leftDockMs === leftDockMs) continue;
+
+    crossingsByVessel[vesselId] = {
+      vesselId,
+      vesselName: v.vesselName || null,
+      depId: Number(v.departingId),
+      arrId: Number(v.arrivingId),
+      leftDockMs,
+    };
+  }
+
+  // Vessels that left the feed (out of service) never finish their crossing.
+  for (const id of Object.keys(crossingsByVessel)) {
+    if (!seen.has(Number(id))) delete crossingsByVessel[id];
+  }
+}
+
+function handleFeedUpdate(key) {
+  if (key !== vesselsKey()) return;
+  const snap = getSnapshot(key);
+  // A failed poll keeps the previous data; nothing new to learn from it.
+  if (!snap || snap.error || !Array.isArray(snap.data)) return;
+  try {
+    observeVessels(snap.data, clockNow().getTime());
+  } catch (err) {
+    console.error("Error learning crossing times:", err);
+  }
+}
+
+function startCrossingStats() {
+  if (!unsubscribe) unsubscribe = onFeedUpdate(handleFeedUpdate);
+}
+
+function stopCrossingStats() {
+  if (unsubscribe) unsubscribe();
+  unsubscribe = null;
+}
+
+// ---- Statistics ----
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+function summarize(samples) {
+  if (samples.length === 0) return null;
+  const sorted = samples.map((s) => s.minutes).sort((a, b) => a - b);
+  const sum = sorted.reduce((acc, m) => acc + m, 0);
+  return {
+    count: sorted.length,
+    medianMinutes: round1(quantile(sorted, 0.5)),
+    meanMinutes: round1(sum / sorted.length),
+    p90Minutes: round1(quantile(sorted, 0.9)),
+    minMinutes: round1(sorted[0]),
+    maxMinutes: round1(sorted[sorted.length - 1]),
+  };
+}
+
+function groupBy(samples, keyFn) {
+  const groups = Object.create(null);
+  for (const s of samples) {
+    const k = keyFn(s);
+    if (k == null) continue;
+    (groups[k] = groups[k] || []).push(s);
+  }
+  return groups;
+}
+
+// Learned crossing time for one sailing, most specific bucket first:
+// vessel + hour, hour, vessel, direction. Returns
+//   { minutes, basis: "vessel_hour" | "hour" | "vessel" | "direction", count }
+// or null while the direction has fewer than MIN_SAMPLES.
+function getLearnedCrossingMinutes({ departingTerminalId, arrivingTerminalId, vesselId, departureIso }) {
+  if (departingTerminalId == null || arrivingTerminalId == null) return null;
+  const samples = samplesByDirection[directionKey(departingTerminalId, arrivingTerminalId)];
+  if (!samples || samples.length < MIN_SAMPLES) return null;
+
+  const depMs = departureIso ? Date.parse(departureIso) : NaN;
+  const hour = Number.isFinite(depMs) ? getPacificParts(new Date(depMs)).hour : null;
+  const vid = vesselId != null ? Number(vesselId) : null;
+
+  const buckets = [
+    ["vessel_hour", (s) => vid != null && hour != null && s.vesselId === vid && s.hour === hour],
+    ["hour", (s) => hour != null && s.hour === hour],
+    ["vessel", (s) => vid != null && s.vesselId === vid],
+    ["direction", () => true],
+  ];
+
+  for (const [basis, match] of buckets) {
+    const bucket = samples.filter(match);
+    if (bucket.length >= MIN_SAMPLES) {
+      const stats = summarize(bucket);
+      return { minutes: stats.medianMinutes, basis, count: stats.count };
+    }
+  }
+  return null;
+}
+
+// Ordered terminal pairs a route sails (both directions).
+function routeDirections(route) {
+  let ids;
+  if (Array.isArray(route.terminals)) {
+    ids = route.terminals.map((t) =>
+      t.terminalId != null ? Number(t.terminalId) : getTerminalIdByName(t.terminalName)
+    );
+  } else {
+    const { terminalIdWest, terminalIdEast } = getTerminalIdsForRoute(route);
+    ids = [terminalIdWest, terminalIdEast];
+  }
+  ids = ids.filter((id) => id != null);
+
+  const pairs = [];
+  for (const dep of ids) {
+    for (const arr of ids) {
+      if (dep !== arr) pairs.push([dep, arr]);
+    }
+  }
+  return pairs;
+}
+
+// Statistics for every direction of a route (the endpoint payload).
+function describeCrossingStats(route) {
+  const directions = routeDirections(route).map(([depId, arrId]) => {
+    const samples = samplesByDirection[directionKey(depId, arrId)] || [];
+
+    const byHour = {};
+    const hours = groupBy(samples, (s) => s.hour);
+    Object.keys(hours)
+      .sort((a, b) => Number(a) - Number(b))
+      .forEach((h) => {
+        byHour[h] = summarize(hours[h]);
+      });
+
+    const byVessel = {};
+    const vessels = groupBy(samples, (s) => s.vesselId);
+    for (const id of Object.keys(vessels)) {
+      const list = vessels[id];
+      byVessel[id] = {
+        vesselName: list[list.length - 1].vesselName,
+        ...summarize(list),
+      };
+    }
+
+    return {
+      departingTerminalId: depId,
+      arrivingTerminalId: arrId,
+      overall: summarize(samples),
+      byHour,
+      byVessel,
+      lastSample: samples.length > 0
+        ? new Date(samples[samples.length - 1].departedMs).toISOString()
+        : null,
+    };
+  });
+
+  return {
+    route: {
+      routeId: route.routeId,
+      description: route.description,
+      crossingTimeMinutes: route.crossingTimeMinutes,
+    },
+    minSamples: MIN_SAMPLES,
+    directions,
+    meta: {
+      serverTime: clockNow().toISOString(),
+      inProgress: Object.keys(crossingsByVessel).length,
+    },
+  };
+}
+
+module.exports = {
+  startCrossingStats,
+  stopCrossingStats,
+  getLearnedCrossingMinutes,
+  describeCrossingStats,
+};
@@ -0,0 +1,328 @@
+// backend/departures.js
+// Next departures for a route: GET /api/routes/:routeId/departures
+//
+// Joins, per scheduled sailing:
+//   - schedule: scheduled time and assigned vessel
+//   - vessellocations: live status, actual departure (LeftDock) and delay
+//   - terminalsailingspace: cancellation flag, drive-up / reservable spaces
+//
+// Reads the same feed snapshots as dotState.js (feedStore.js); it never calls
+// WSDOT itself. Sailings are grouped per direction (departing → arriving
+// terminal): two for a west/east route, up to six for the triangle.
+
+const { getRouteById } = require("./routeCatalog");
+const { getTerminalIdsForRoute, getTerminalIdByName } = require("./terminalMap");
+const { normalizeScheduleRows, parseWsdotDate } = require("./wsdotClient");
+const {
+  whenReady,
+  primeSchedule,
+  getSnapshot,
+  describeFeed,
+  vesselsKey,
+  terminalsKey,
+  scheduleKey,
+} = require("./feedStore");
+const { getServiceDate } = require("./serviceDay");
+const { now: clockNow } = require("./clock");
+const { describeReplay } = require("./replaySource");
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 20;
+
+// A departed sailing stays listed this long so its actual time and delay show.
+const RECENTLY_DEPARTED_MS = 5 * 60 * 1000;
+
+// Schedule and terminalsailingspace times for the same sailing agree to the
+// minute; live ScheduledDeparture can be a few seconds off.
+const SAME_SAILING_MS = 60 * 1000;
+
+function minuteKey(ms) {
+  return Math.round(ms / 60000);
+}
+
+function sailingKey(depId, arrId, depMs) {
+  return `${depId}:${arrId}:${minuteKey(depMs)}`;
+}
+
+function finiteOrNull(n) {
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+// Terminals served by the route, as [{ terminalId, terminalName }].
+function routeTerminals(route) {
+  if (Array.isArray(route.terminals)) {
+    return route.terminals.map((t) => ({
+      terminalId: t.terminalId != null ? Number(t.terminalId) : getTerminalIdByName(t.terminalName),
+      terminalName: t.terminalName,
+    }));
+  }
+
+  const { terminalIdWest, terminalIdEast } = getTerminalIdsForRoute(route);
+  return [
+    { terminalId: terminalIdWest, terminalName: route.terminalNameWest },
+    { terminalId: terminalIdEast, terminalName: route.terminalNameEast },
+  ];
+}
+
+// Schedule rows from every WSDOT route making up this route, one per sailing.
+function collectScheduleRows(memberRouteIds, tripDateText) {
+  const seen = new Set();
+  const rows = [];
+
+  for (const id of memberRouteIds) {
+    const snap = getSnapshot(scheduleKey(id, tripDateText));
+    if (!snap || !snap.data) continue;
+
+    for (const r of normalizeScheduleRows(snap.data, id)) {
+      const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+      if (!isFinite(depMs) || r.departingTerminalId == null || r.arrivingTerminalId == null) {
+        continue;
+      }
+      // Member schedules of a multi-terminal route can list the same sailing.
+      const key = `${sailingKey(r.departingTerminalId, r.arrivingTerminalId, depMs)}:${r.vesselId}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ ...r, depMs });
+    }
+  }
+
+  return rows;
+}
+
+// terminalsailingspace rows indexed by sailingKey.
+function indexSailingSpaces(terminalsPayload) {
+  const index = new Map();
+  if (!Array.isArray(terminalsPayload)) return index;
+
+  for (const terminalRow of terminalsPayload) {
+    if (!terminalRow || terminalRow.TerminalID == null) continue;
+    const depId = Number(terminalRow.TerminalID);
+    const departingSpaces = Array.isArray(terminalRow.DepartingSpaces)
+      ? terminalRow.DepartingSpaces
+      : [];
+
+    for (const dep of departingSpaces) {
+      if (!dep) continue;
+      const depIso = parseWsdotDate(dep.Departure);
+      const depMs = depIso ? Date.parse(depIso) : NaN;
+      if (!isFinite(depMs)) continue;
+
+      const arrivals = Array.isArray(dep.SpaceForArrivalTerminals)
+        ? dep.SpaceForArrivalTerminals
+        : [];
+
+      for (const arr of arrivals) {
+        if (!arr) continue;
+        // A sailing calling at several terminals lists every one it serves.
+        const arrIds = Array.isArray(arr.ArrivalTerminalIDs) && arr.ArrivalTerminalIDs.length > 0
+          ? arr.ArrivalTerminalIDs
+          : [arr.TerminalID];
+
+        const space = {
+          isCancelled: !!dep.IsCancelled,
+          vesselId: dep.VesselID != null ? Number(dep.VesselID) : null,
+          vesselName: dep.VesselName || arr.VesselName || null,
+          driveUp: arr.DisplayDriveUpSpace === false ? null : finiteOrNull(arr.DriveUpSpaceCount),
+          reservable: arr.DisplayReservableSpace ? finiteOrNull(arr.ReservableSpaceCount) : null,
+          max: finiteOrNull(arr.MaxSpaceCount) != null
+            ? arr.MaxSpaceCount
+            : finiteOrNull(dep.MaxSpaceCount),
+        };
+
+        for (const arrId of arrIds) {
+          if (arrId == null) continue;
+          index.set(sailingKey(depId, Number(arrId), depMs), space);
+        }
+      }
+    }
+  }
+
+  return index;
+}
+
+// Live status of one scheduled sailing from its vessel's current record.
+//   status: "scheduled" | "at_dock" | "departed"
+//   actualDeparture: LeftDock once the vessel has left for this sailing
+//   delayMinutes: departure delay (so far, while still at dock); null if unknown
+// pending=false marks a sailing the vessel has already moved past.
+function liveStatusForSailing(row, vessel, nowMs) {
+  const unknown = { status: "scheduled", actualDeparture: null, delayMinutes: null, pending: true };
+  if (!vessel) return unknown;
+
+  const liveSchedIso = vessel.scheduledDepartureIso;
+  const liveSchedMs = liveSchedIso ? Date.parse(liveSchedIso) : NaN;
+  if (!isFinite(liveSchedMs)) return unknown;
+
+  const sameSailing =
+    Number(vessel.departingId) === Number(row.departingTerminalId) &&
+    Math.abs(liveSchedMs - row.depMs) < SAME_SAILING_MS;
+
+  if (sameSailing) {
+    if (vessel.atDock) {
+      return {
+        status: "at_dock",
+        actualDeparture: null,
+        delayMinutes: Math.max(0, Math.floor((nowMs - row.depMs) / 60000)),
+        pending: true,
+      };
+    }
+    const leftMs = vessel.leftDockIso ? Date.parse(vessel.leftDockIso) : NaN;
+    return {
+      status: "departed",
+      actualDeparture: isFinite(leftMs) ? vessel.leftDockIso : null,
+      delayMinutes: isFinite(leftMs) ? Math.round((leftMs - row.depMs) / 60000) : null,
+      pending: false,
+    };
+  }
+
+  // The vessel is already on a later sailing: this one has gone.
+  if (liveSchedMs > row.depMs) {
+    return { ...unknown, pending: false };
+  }
+
+  // Still working an earlier sailing; past its slot means it is running late.
+  return {
+    ...unknown,
+    delayMinutes: nowMs > row.depMs ? Math.floor((nowMs - row.depMs) / 60000) : null,
+  };
+}
+
+function shouldList(row, live, nowMs) {
+  if (live.status === "departed") {
+    const leftMs = live.actualDeparture ? Date.parse(live.actualDeparture) : row.depMs;
+    return nowMs - leftMs <= RECENTLY_DEPARTED_MS;
+  }
+  if (!live.pending) return false;
+  if (row.depMs >= nowMs) return true;
+  // Past its slot but not gone yet: only when live data says so.
+  return live.status === "at_dock" || live.delayMinutes != null;
+}
+
+function buildSailing(row, live, space) {
+  const isCancelled = !!(space && space.isCancelled);
+  return {
+    scheduledDeparture: row.departingTime,
+    scheduledArrival: row.arrivingTime || null,
+    vesselId: row.vesselId != null ? Number(row.vesselId) : (space ? space.vesselId : null),
+    vesselName: row.vesselName || (space ? space.vesselName : null),
+    vesselPositionNumber: row.vesselPositionNumber != null ? Number(row.vesselPositionNumber) : null,
+    status: isCancelled ? "cancelled" : live.status,
+    actualDeparture: live.actualDeparture,
+    delayMinutes: isCancelled ? null : live.delayMinutes,
+    isCancelled,
+    // null when terminalsailingspace does not cover this sailing (yet).
+    space: space
+      ? { driveUp: space.driveUp, reservable: space.reservable, max: space.max }
+      : null,
+  };
+}
+
+function parseLimit(raw) {
+  const n = parseInt(raw, 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_LIMIT;
+  return Math.min(n, MAX_LIMIT);
+}
+
+// ---- Main entry point ----
+
+// Returns null for an unknown route.
+async function buildDepartures(routeId, options = {}) {
+  const route = getRouteById(routeId);
+  if (!route) {
+    return null;
+  }
+
+  const limit = parseLimit(options.limit);
+
+  await whenReady();
+
+  const tripDateText = getServiceDate(clockNow());
+  const memberRouteIds = route.memberRouteIds || [route.routeId];
+  await Promise.all(memberRouteIds.map((id) => primeSchedule(id, tripDateText)));
+
+  const now = clockNow();
+  const nowMs = now.getTime();
+
+  const terminals = routeTerminals(route).filter((t) => t.terminalId != null);
+  const terminalIds = new Set(terminals.map((t) => t.terminalId));
+  const nameById = new Map(terminals.map((t) => [t.terminalId, t.terminalName]));
+
+  const rows = collectScheduleRows(memberRouteIds, tripDateText).filter(
+    (r) => terminalIds.has(Number(r.departingTerminalId)) && terminalIds.has(Number(r.arrivingTerminalId))
+  );
+
+  const vesselsSnap = getSnapshot(vesselsKey());
+  const vesselsById = new Map();
+  if (vesselsSnap && Array.isArray(vesselsSnap.data)) {
+    for (const v of vesselsSnap.data) {
+      if (v && v.vesselId != null) vesselsById.set(Number(v.vesselId), v);
+    }
+  }
+
+  const terminalsSnap = getSnapshot(terminalsKey());
+  const spaces = indexSailingSpaces(terminalsSnap ? terminalsSnap.data : null);
+
+  // Directions in terminal order: west → east first for a two-terminal route.
+  const directions = [];
+  for (const dep of terminals) {
+    for (const arr of terminals) {
+      if (dep.terminalId === arr.terminalId) continue;
+
+      const pairRows = rows.filter(
+        (r) =>
+          Number(r.departingTerminalId) === dep.terminalId &&
+          Number(r.arrivingTerminalId) === arr.terminalId
+      );
+      // Skip pairs the schedule never sails (e.g. no direct triangle leg today).
+      if (pairRows.length === 0) continue;
+
+      const sailings = pairRows
+        .sort((a, b) => a.depMs - b.depMs)
+        .map((r) => ({
+          row: r,
+          live: liveStatusForSailing(r, vesselsById.get(Number(r.vesselId)), nowMs),
+        }))
+        .filter(({ row, live }) => shouldList(row, live, nowMs))
+        .slice(0, limit)
+        .map(({ row, live }) =>
+          buildSailing(row, live, spaces.get(sailingKey(dep.terminalId, arr.terminalId, row.depMs)))
+        );
+
+      directions.push({
+        departingTerminalId: dep.terminalId,
+        departingTerminalName: nameById.get(dep.terminalId) || null,
+        arrivingTerminalId: arr.terminalId,
+        arrivingTerminalName: nameById.get(arr.terminalId) || null,
+        sailings,
+      });
+    }
+  }
+
+  const scheduleFeeds = {};
+  for (const id of memberRouteIds) {
+    scheduleFeeds[id] = describeFeed(scheduleKey(id, tripDateText), nowMs);
+  }
+
+  return {
+    route: {
+      routeId: route.routeId,
+      description: route.description,
+    },
+    tripDate: tripDateText,
+    limit,
+    directions,
+    meta: {
+      serverTime: now.toISOString(),
+      replay: describeReplay(),
+      feeds: {
+        vessels: describeFeed(vesselsKey(), nowMs),
+        terminals: describeFeed(terminalsKey(), nowMs),
+        schedules: scheduleFeeds,
+      },
+    },
+  };
+}
+
+module.exports = {
+  buildDepartures,
+};
@@ -1,26 +1,74 @@
 // backend/dotState.js
 // Builds a Dot API response for a given routeId.
 //
-// - Pulls live vessel data from WSDOT /vessellocations
+// - Reads live vessel, capacity and schedule data from the shared feed
+//   snapshots (feedStore.js); it never calls WSDOT directly
 // - Filters to the selected route (terminalIdWest ↔ terminalIdEast)
 // - For each direction, picks a single "lane vessel"
 // - Arrival time rule:
 //      1) Prefer Eta from API when present
-//      2) Else fall back to LeftDock + crossingTimeMinutes
-// - If no usable live data for the route, falls back to a synthetic state.
-
-const { getRouteById } = require("./routeConfig");
+//      2) Else fall back to LeftDock + crossing time, learned from observed
+//         crossings when there are enough (crossingStats.js), else the
+//         route's crossingTimeMinutes
+// - Dot position rule: distance travelled between the terminals (geo.js)
+//   from the live fix; LeftDock → ETA time only without a usable fix
+//   (lane.dotPositionMethod says which)
+// - Lane phase beyond docked / underway (boarding, departing, holding,
+//   arriving, out of service) from the vessel record plus per-vessel history
+//   across polls; see "Vessel phases" below
+// - Outside service hours (after the last sailing, or well before the first)
+//   there are no lanes; state.service says when service resumes and lists
+//   the first sailing from each terminal.
+// - A lane without live (or recent last-good) vessel data is projected from
+//   the timetable: the scheduled vessel underway or at dock where the
+//   schedule puts it, marked isProjected. Without a usable schedule there
+//   are no lanes at all.
+// - Multi-terminal routes (triangle layout) report each vessel's current leg
+//   and per-terminal-pair capacity instead of upper/lower lanes; vessels
+//   without live data are projected the same way.
+// - Active WSDOT alerts and terminal bulletins for the route ride along in
+//   meta.alerts (serviceAlerts.js); terminal wait times per side in
+//   waitTimes (waitTimes.js).
+// - Lanes carry the vessel's class and capacities, and the pies its
+//   authoritative max auto capacity (vesselProfiles.js).
+// - Capacity pies carry a sell-out estimate for their sailing
+//   (capacityTrend.js).
+// - Each lane's vessel follows swaps: a timetable change, another live vessel
+//   working the position, or the vessel going out of service is logged in
+//   meta.swaps (vesselSwaps.js) and clears the old vessel's cached data
+// - Every built state is archived per route (stateHistory.js).
+
+const { getRouteById } = require("./routeCatalog");
+const { getDelayThresholds } = require("./routeConfig");
 const {
+  getTerminalIdByName,
   getTerminalIdsForRoute,
+  getTerminalCoordinates,
   resolveTerminalIdsFromRouteDetails,
 } = require("./terminalMap");
+const { crossingProgress } = require("./geo");
+const { getLearnedCrossingMinutes } = require("./crossingStats");
+const { predictSellOut } = require("./capacityTrend");
+const { getVesselProfile, getVesselMaxVehicles } = require("./vesselProfiles");
+const { registerState } = require("./stateStore");
+const { recordDotState } = require("./stateHistory");
+const { normalizeScheduleRows } = require("./wsdotClient");
 const {
-  getNormalizedVessels,
-  fetchDailySchedule,
-  fetchDailyScheduleRaw,
-  fetchRouteDetails,
-  fetchTerminalSpaces,
-} = require("./wsdotClient");
+  whenReady,
+  primeSchedule,
+  getSnapshot,
+  describeFeed,
+  vesselsKey,
+  terminalsKey,
+  waitTimesKey,
+  scheduleKey,
+} = require("./feedStore");
+const { getServiceDate, addDaysToDateText } = require("./serviceDay");
+const { now: clockNow } = require("./clock");
+const { describeReplay } = require("./replaySource");
+const { getAlertsForRoute } = require("./serviceAlerts");
+const { getWaitTimesForTerminals } = require("./waitTimes");
+const { trackLaneVessel, getRecentSwaps } = require("./vesselSwaps");
 
 // Last-good lane cache (in-memory, per route, per lane).
 // We reuse a lane for a finite window when live data disappears,
@@ -35,13 +83,49 @@ const dockStateByRoute = Object.create(null);
 // Capacity TTL: same 10-minute window as lanes (Cannon stale logic).
 const CAPACITY_TTL_MS = LAST_GOOD_TTL_MS;
 
-// Sticky per-vessel max auto capacity.
-// Once we learn a vessel's MaxSpaceCount (DepartureMaxSpaceCount), it never changes.
+// Sticky per-vessel max auto capacity, for vessels without a WSDOT profile
+// (vesselProfiles.js). Once we learn a vessel's MaxSpaceCount
+// (DepartureMaxSpaceCount), it never changes.
 const vesselMaxCapacityById = Object.create(null);
 
 // Last-good capacity per route, per side ("west" | "east").
 const lastGoodCapacityByRoute = Object.create(null);
 
+// Dock history saved before a restart is only trusted this long: after a
+// longer gap the boat may have left and docked again unseen, and the boot
+// fallback is the honest answer.
+const DOCK_STATE_RESUME_MS = 5 * 60 * 1000;
+
+// ---- Persistence across restarts (stateStore.js) ----
+// Entries past their TTL are dropped on load; the getters check TTLs again.
+
+function pruneTimedEntries(byRoute, ttlMs, timeOf, nowMs) {
+  for (const routeKey of Object.keys(byRoute)) {
+    const entries = byRoute[routeKey];
+    for (const key of Object.keys(entries || {})) {
+      const t = timeOf(entries[key]);
+      if (!Number.isFinite(t) || nowMs - t > ttlMs) delete entries[key];
+    }
+    if (!entries || Object.keys(entries).length === 0) delete byRoute[routeKey];
+  }
+}
+
+registerState("lastGoodLanes", lastGoodLanesByRoute, {
+  prune: (target, nowMs) =>
+    pruneTimedEntries(target, LAST_GOOD_TTL_MS, (e) => e && e.tMs, nowMs),
+});
+registerState("dockState", dockStateByRoute, {
+  prune: (target, nowMs) =>
+    pruneTimedEntries(target, DOCK_STATE_RESUME_MS, (e) => e && e.updatedMs, nowMs),
+  // Restamped on every build.
+  volatileKeys: ["updatedMs"],
+});
+registerState("vesselMaxCapacity", vesselMaxCapacityById);
+registerState("lastGoodCapacity", lastGoodCapacityByRoute, {
+  prune: (target, nowMs) =>
+    pruneTimedEntries(target, CAPACITY_TTL_MS, (e) => e && e.tMs, nowMs),
+});
+
 // Simple WSDOT /Date(…)/ parser for Terminals timestamps.
 //
 // Example: "/Date(1763623116000-0800)/"
@@ -56,6 +140,11 @@ function parseWsdotDateForTerminals(raw) {
 
 function getStickyVesselMax(vesselId, observedMax) {
   if (vesselId == null) return null;
+
+  // WSDOT vessel stats are authoritative; the first terminals value is not.
+  const profileMax = getVesselMaxVehicles(vesselId);
+  if (profileMax != null) return profileMax;
+
   const key = String(vesselId);
 
   if (Object.hasOwn(vesselMaxCapacityById, key)) {
@@ -161,7 +250,8 @@ function deriveCapacityForSide(options) {
       : [];
 
     for (const dep of departingSpaces) {
-      if (!dep) continue;
+      // A cancelled sailing never runs, so its space is meaningless.
+      if (!dep || dep.IsCancelled) continue;
 
       const arrivalList = Array.isArray(dep.SpaceForArrivalTerminals)
         ? dep.SpaceForArrivalTerminals
@@ -192,12 +282,22 @@ function deriveCapacityForSide(options) {
             ? arr.DriveUpSpaceCount
             : null;
 
+        // Reservation routes (e.g. Port Townsend / Coupeville) hold part of
+        // the deck for bookings; WSDOT only shows it where it applies.
+        const reservable =
+          arr.DisplayReservableSpace &&
+          typeof arr.ReservableSpaceCount === "number" &&
+          Number.isFinite(arr.ReservableSpaceCount)
+            ? arr.ReservableSpaceCount
+            : null;
+
         candidates.push({
           depMs,
           vesselId,
           vesselName,
           rawMax,
           driveUp,
+          reservable,
         });
       }
     }
@@ -274,8 +374,11 @@ function deriveCapacityForSide(options) {
     terminalId: terminalIdSide,
     vesselId: chosen.vesselId,
     vesselName: chosen.vesselName,
+    departure: new Date(chosen.depMs).toISOString(),
     maxAuto: maxAuto != null ? maxAuto : null,
     availAuto,
+    // Open reservable spaces; null on routes without reservations.
+    availReservable: chosen.reservable,
     lastUpdated: nowIso,
     isStale,
   };
@@ -340,16 +443,7 @@ function updateDockMetaForLane(routeId, laneKey, lane, now) {
     }
 
     // Compute dock arc fraction: minutes at dock, capped at 60 minutes.
-    const dockStartMs = Date.parse(dockStartTime);
-    if (isFinite(dockStartMs)) {
-      const elapsedMs = nowMs - dockStartMs;
-      if (elapsedMs <= 0) {
-        dockArcFraction = 0;
-      } else {
-        const frac = elapsedMs / (60 * 60 * 1000); // 60 minutes
-        dockArcFraction = frac >= 1 ? 1 : frac;
-      }
-    }
+    dockArcFraction = dockArcFractionSince(Date.parse(dockStartTime), nowMs);
   } else {
     // Not at dock → clear dock metadata.
     dockStartTime = null;
@@ -357,11 +451,12 @@ function updateDockMetaForLane(routeId, laneKey, lane, now) {
     dockArcFraction = null;
   }
 
-  // Persist for next poll.
+  // Persist for next poll (updatedMs: how fresh this history is after a restart).
   routeDockState[laneKey] = {
     atDock: lane.atDock,
     dockStartTime,
     dockStartIsSynthetic,
+    updatedMs: nowMs,
   };
 
   return {
@@ -373,7 +468,7 @@ function updateDockMetaForLane(routeId, laneKey, lane, now) {
   };
 }
 
-// laneKey: "upper" | "lower"
+// laneKey: "pos<N>" (schedule position) or "vessel:<id>" (triangle)
 function getLastGoodLane(routeId, laneKey, nowMs) {
   const entry = lastGoodLanesByRoute[routeId];
   if (!entry) return null;
@@ -419,7 +514,11 @@ function pickArrivalTime(rawEtaIso, leftDockIso, crossingMinutes) {
   return new Date(etaMs).toISOString();
 }
 
-// Compute [0,1] position.
+// Live positions older than this are not trusted for the dot (a stale vessel
+// feed would freeze it); the time estimate keeps moving instead.
+const POSITION_MAX_AGE_MS = 2 * 60 * 1000;
+
+// Compute [0,1] position from time: LeftDock → ETA.
 function computeDotPosition(leftDockIso, etaIso, now) {
   if (!leftDockIso || !etaIso) {
     return 0;
@@ -439,88 +538,515 @@ function computeDotPosition(leftDockIso, etaIso, now) {
   return frac;
 }
 
+// Dot position for an underway vessel and how it was derived:
+//   "geodesic": distance travelled between the terminals' coordinates
+//               (tracks a boat slowing for traffic or holding off the slip)
+//   "time":     LeftDock → ETA estimate, when position data is missing, old
+//               or off the crossing
+function computeLaneProgress(raw, departureTerminalId, arrivalTerminalId, leftDockIso, etaIso, now) {
+  const fixMs = raw.timeStampIso ? Date.parse(raw.timeStampIso) : NaN;
+  const fixIsFresh = !isFinite(fixMs) || now.getTime() - fixMs <= POSITION_MAX_AGE_MS;
+
+  if (fixIsFresh && raw.latitude != null && raw.longitude != null) {
+    const frac = crossingProgress(
+      getTerminalCoordinates(departureTerminalId),
+      getTerminalCoordinates(arrivalTerminalId),
+      { lat: raw.latitude, lon: raw.longitude }
+    );
+    if (frac != null) {
+      return { dotPosition: Math.max(0, Math.min(1, frac)), method: "geodesic" };
+    }
+  }
+
+  return { dotPosition: computeDotPosition(leftDockIso, etaIso, now), method: "time" };
+}
+
+// ---- Delay / on-time (per live lane) ----
+//
+// departureDelayMinutes: LeftDock − ScheduledDeparture once underway; while
+//   still at dock, how far past its slot the boat already is (0 before it).
+// arrivalDelayMinutes: ETA − the schedule's arrival time for this sailing
+//   (departure + crossing time without one); equals the departure delay
+//   while still at dock.
+// delayStatus: "on_time" | "late" | "very_late" from the route thresholds,
+//   judged on arrival delay when underway and departure delay at dock.
+
+// Schedule row for the sailing a vessel is on (same vessel, terminal, slot).
+function findScheduleRowForSailing(scheduleRows, vesselId, departingTerminalId, schedIso) {
+  const schedMs = schedIso ? Date.parse(schedIso) : NaN;
+  if (!isFinite(schedMs)) return null;
+  for (const r of scheduleRows || []) {
+    if (Number(r.vesselId) !== Number(vesselId)) continue;
+    if (Number(r.departingTerminalId) !== Number(departingTerminalId)) continue;
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (isFinite(depMs) && Math.abs(depMs - schedMs) < 60 * 1000) return r;
+  }
+  return null;
+}
+
+function classifyDelay(minutes, thresholds) {
+  if (minutes == null) return null;
+  if (minutes >= thresholds.veryLateMinutes) return "very_late";
+  if (minutes >= thresholds.lateMinutes) return "late";
+  return "on_time";
+}
+
+function applyLaneDelay(lane, raw, opts) {
+  const { crossingMinutes, scheduleRows, thresholds, now } = opts;
+  const schedMs = raw.scheduledDepartureIso ? Date.parse(raw.scheduledDepartureIso) : NaN;
+  if (!isFinite(schedMs)) return lane;
+
+  const nowMs = now.getTime();
+  const leftMs = raw.leftDockIso ? Date.parse(raw.leftDockIso) : NaN;
+  const underway = !raw.atDock && isFinite(leftMs);
+
+  const departureDelayMinutes = underway
+    ? Math.round((leftMs - schedMs) / 60000)
+    : Math.max(0, Math.floor((nowMs - schedMs) / 60000));
+
+  let arrivalDelayMinutes;
+  if (underway) {
+    const row = findScheduleRowForSailing(
+      scheduleRows,
+      raw.vesselId,
+      raw.departingId,
+      raw.scheduledDepartureIso
+    );
+    const rowArrMs = row && row.arrivingTime ? Date.parse(row.arrivingTime) : NaN;
+    const schedArrMs = isFinite(rowArrMs)
+      ? rowArrMs
+      : (crossingMinutes > 0 ? schedMs + crossingMinutes * 60 * 1000 : NaN);
+    const etaMs = lane.eta ? Date.parse(lane.eta) : NaN;
+    arrivalDelayMinutes = isFinite(etaMs) && isFinite(schedArrMs)
+      ? Math.round((etaMs - schedArrMs) / 60000)
+      : null;
+  } else {
+    // Not left yet: assuming a scheduled crossing, it arrives as late as it leaves.
+    arrivalDelayMinutes = departureDelayMinutes;
+  }
+
+  const headline = underway && arrivalDelayMinutes != null
+    ? arrivalDelayMinutes
+    : departureDelayMinutes;
+
+  return {
+    ...lane,
+    departureDelayMinutes,
+    arrivalDelayMinutes,
+    delayStatus: classifyDelay(headline, thresholds),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Cancelled sailings
+//
+// Two sources:
+//   - "wsdot_flag": IsCancelled on a terminalsailingspace DepartingSpaces entry
+//   - "schedule_mismatch": a vessel's live ScheduledDeparture jumped past one
+//     of its scheduled sailings on this route without ever reporting it
+//     (observed between two builds at most MISMATCH_MAX_GAP_MS apart, and
+//     only when no other vessel reports that slot)
+// Exposed as dot-state cancelledSailings, earliest first, keeping sailings
+// from the last CANCELLED_LOOKBACK_MS so a rider who just missed the news
+// still sees it.
+// ---------------------------------------------------------------------------
+const CANCELLED_LOOKBACK_MS = 60 * 60 * 1000;
+const MISMATCH_MAX_GAP_MS = 10 * 60 * 1000;
+
+// routeId -> { lastSchedByVessel: { vesselId: { schedMs, seenMs } },
+//              skipped: { key: entry } }
+const cancellationStateByRoute = Object.create(null);
+
+function cancelledSailingKey(departingTerminalId, depMs) {
+  return `${Number(departingTerminalId)}:${Math.round(depMs / 60000)}`;
+}
+
+// Cancelled departures between the route's terminals from terminalsailingspace.
+function collectFlaggedCancellations(terminalsPayload, terminalIds) {
+  const found = [];
+  if (!Array.isArray(terminalsPayload)) return found;
+
+  for (const terminalRow of terminalsPayload) {
+    if (!terminalRow || !terminalIds.has(Number(terminalRow.TerminalID))) continue;
+    const departingSpaces = Array.isArray(terminalRow.DepartingSpaces)
+      ? terminalRow.DepartingSpaces
+      : [];
+
+    for (const dep of departingSpaces) {
+      if (!dep || !dep.IsCancelled) continue;
+      const depDate = parseWsdotDateForTerminals(dep.Departure);
+      if (!depDate) continue;
+
+      const arrivals = Array.isArray(dep.SpaceForArrivalTerminals)
+        ? dep.SpaceForArrivalTerminals
+        : [];
+      const arrival = arrivals.find(
+        (a) => a && terminalIds.has(Number(a.TerminalID)) &&
+          Number(a.TerminalID) !== Number(terminalRow.TerminalID)
+      );
+      if (!arrival) continue;
+
+      found.push({
+        departingTerminalId: Number(terminalRow.TerminalID),
+        arrivingTerminalId: Number(arrival.TerminalID),
+        scheduledDeparture: depDate.toISOString(),
+        vesselId: dep.VesselID != null ? Number(dep.VesselID) : null,
+        vesselName: dep.VesselName || null,
+        source: "wsdot_flag",
+      });
+    }
+  }
+  return found;
+}
+
+// Remember each vessel's live ScheduledDeparture and record the scheduled
+// sailings it skipped since the previous build.
+function detectSkippedSailings(routeId, scheduleRows, liveVessels, nowMs) {
+  const key = String(routeId);
+  if (!cancellationStateByRoute[key]) {
+    cancellationStateByRoute[key] = {
+      lastSchedByVessel: Object.create(null),
+      skipped: Object.create(null),
+    };
+  }
+  const state = cancellationStateByRoute[key];
+
+  const rowsByVessel = new Map();
+  for (const r of scheduleRows || []) {
+    if (r.vesselId == null || !r.departingTime) continue;
+    const vid = Number(r.vesselId);
+    if (!rowsByVessel.has(vid)) rowsByVessel.set(vid, []);
+    rowsByVessel.get(vid).push(r);
+  }
+
+  // Slots some vessel is working right now (covers a vessel swap).
+  const coveredSlots = new Set();
+  for (const v of liveVessels || []) {
+    const schedMs = v && v.scheduledDepartureIso ? Date.parse(v.scheduledDepartureIso) : NaN;
+    if (isFinite(schedMs)) coveredSlots.add(cancelledSailingKey(v.departingId, schedMs));
+  }
+
+  for (const v of liveVessels || []) {
+    if (!v || v.vesselId == null) continue;
+    const vid = Number(v.vesselId);
+    const rows = rowsByVessel.get(vid);
+    if (!rows) continue;
+
+    const schedMs = v.scheduledDepartureIso ? Date.parse(v.scheduledDepartureIso) : NaN;
+    if (!isFinite(schedMs)) continue;
+
+    const prev = state.lastSchedByVessel[vid] || null;
+    state.lastSchedByVessel[vid] = { schedMs, seenMs: nowMs };
+    if (!prev || schedMs <= prev.schedMs || nowMs - prev.seenMs > MISMATCH_MAX_GAP_MS) {
+      continue;
+    }
+
+    for (const r of rows) {
+      const depMs = Date.parse(r.departingTime);
+      if (!(depMs > prev.schedMs + 60 * 1000 && depMs < schedMs - 60 * 1000)) continue;
+      const slotKey = cancelledSailingKey(r.departingTerminalId, depMs);
+      if (coveredSlots.has(slotKey)) continue;
+
+      state.skipped[slotKey] = {
+        departingTerminalId: Number(r.departingTerminalId),
+        arrivingTerminalId: r.arrivingTerminalId != null ? Number(r.arrivingTerminalId) : null,
+        scheduledDeparture: new Date(depMs).toISOString(),
+        vesselId: vid,
+        vesselName: r.vesselName || v.vesselName || null,
+        source: "schedule_mismatch",
+      };
+    }
+  }
+
+  for (const slotKey of Object.keys(state.skipped)) {
+    if (Date.parse(state.skipped[slotKey].scheduledDeparture) < nowMs - CANCELLED_LOOKBACK_MS) {
+      delete state.skipped[slotKey];
+    }
+  }
+
+  return Object.values(state.skipped);
+}
+
+// Flagged + detected cancellations for a route, deduplicated (the WSDOT flag
+// wins), earliest first. Also returns the keys for capacity selection.
+function deriveCancelledSailings(options) {
+  const { routeId, terminalIds, scheduleRows, liveVessels, terminalsPayload, now } = options;
+  const nowMs = now.getTime();
+
+  const byKey = new Map();
+  const add = (entry) => {
+    const depMs = Date.parse(entry.scheduledDeparture);
+    if (!isFinite(depMs) || depMs < nowMs - CANCELLED_LOOKBACK_MS) return;
+    const key = cancelledSailingKey(entry.departingTerminalId, depMs);
+    if (!byKey.has(key)) byKey.set(key, entry);
+  };
+
+  collectFlaggedCancellations(terminalsPayload, terminalIds).forEach(add);
+  detectSkippedSailings(routeId, scheduleRows, liveVessels, nowMs).forEach(add);
+
+  const cancelledSailings = Array.from(byKey.values()).sort(
+    (a, b) => Date.parse(a.scheduledDeparture) - Date.parse(b.scheduledDeparture)
+  );
+  return { cancelledSailings, cancelledKeys: new Set(byKey.keys()) };
+}
+
 // ---------------------------------------------------------------------------
 // LaneVessels derivation (Cannon Section 3)
 //
-// Computes which vessel is assigned to the UPPER and LOWER slots for today,
-// based on the daily schedule and TerminalID_West.
+// Computes which vessel is assigned to each lane for today, based on the daily
+// schedule and TerminalID_West. There is one lane per VesselPositionNumber the
+// schedule uses (1 on quiet nights, 3 on busy days), keyed "pos<N>". The
+// lane's vessel is the one on its current (or next) sailing, so a vessel
+// change partway through the day's timetable moves the lane with it.
 //
-// This does NOT touch live vessellocations data. It only looks at the schedule.
+// This does NOT touch live vessellocations data. It only looks at the schedule
+// snapshot the caller already holds (raw TerminalCombos payload).
 // ---------------------------------------------------------------------------
-async function deriveLaneVesselsForRoute(route, terminalIdWest, now) {
-  // Trip date in YYYY-MM-DD form based on "now".
-  const tripDateText = now.toISOString().slice(0, 10);
+function laneKeyForPosition(positionNumber) {
+  return `pos${positionNumber}`;
+}
 
-  let rows;
-  try {
-    rows = await fetchDailySchedule(route.routeId, tripDateText);
-  } catch (err) {
-    console.error(
-      `Error fetching schedule for route ${route.routeId}:`,
-      err.message || err
-    );
-    return {
-      upper: null,
-      lower: null,
-      scheduleError: true,
-    };
+// Fallback direction when live terminals are missing: odd positions are
+// expected West → East, even positions East → West.
+function defaultDirectionForPosition(positionNumber) {
+  return Number(positionNumber) % 2 === 1 ? "WEST_TO_EAST" : "EAST_TO_WEST";
+}
+
+// The position's sailing in progress or most recently departed, else its
+// first one; null when no row names a vessel.
+function currentScheduledRow(rows, nowMs) {
+  let current = null;
+  let currentMs = -Infinity;
+  let first = null;
+  let firstMs = Infinity;
+  for (const r of rows) {
+    if (r.vesselId == null) continue;
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (!isFinite(depMs)) continue;
+    if (depMs <= nowMs && depMs > currentMs) {
+      current = r;
+      currentMs = depMs;
+    }
+    if (depMs < firstMs) {
+      first = r;
+      firstMs = depMs;
+    }
+  }
+  return current || first;
+}
+
+// A position is still active while it has a sailing that has not arrived yet.
+function isPositionActive(rows, crossingMinutes, nowMs) {
+  for (const r of rows) {
+    const arrMs = r.arrivingTime ? Date.parse(r.arrivingTime) : NaN;
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (isFinite(arrMs)) {
+      if (arrMs >= nowMs) return true;
+    } else if (isFinite(depMs)) {
+      if (depMs + (crossingMinutes || 0) * 60 * 1000 >= nowMs) return true;
+    } else {
+      // No usable times: cannot rule the position out.
+      return true;
+    }
   }
+  return false;
+}
+
+function deriveLaneVesselsForRoute(route, terminalIdWest, scheduleRaw, now) {
+  const rows = scheduleRaw
+    ? normalizeScheduleRows(scheduleRaw, route.routeId)
+    : null;
 
   if (!Array.isArray(rows) || rows.length === 0) {
     return {
-      upper: null,
-      lower: null,
+      lanes: [],
+      scheduleRows: [],
       scheduleError: true,
     };
   }
 
+  const routeRows = rows.filter(
+    (r) => Number(r.routeId) === Number(route.routeId)
+  );
+
   // Filter to this route + TerminalID_West as defined in Cannon.
-  const westRows = rows.filter(
-    (r) =>
-      Number(r.routeId) === Number(route.routeId) &&
-      Number(r.departingTerminalId) === Number(terminalIdWest)
+  const westRows = routeRows.filter(
+    (r) => Number(r.departingTerminalId) === Number(terminalIdWest)
   );
 
   if (westRows.length === 0) {
     return {
-      upper: null,
-      lower: null,
+      lanes: [],
+      scheduleRows: routeRows,
       scheduleError: false,
     };
   }
 
-  // Find the rows for VesselPositionNumber 1 and 2, if present.
-  let upperRow =
-    westRows.find((r) => Number(r.vesselPositionNumber) === 1) || null;
-  let lowerRow =
-    westRows.find((r) => Number(r.vesselPositionNumber) === 2) || null;
-
-  // Normalize shape for the caller.
-  const upper =
-    upperRow && upperRow.vesselId != null
-      ? {
-          vesselPositionNumber: 1,
-          vesselId: upperRow.vesselId,
-          vesselName: upperRow.vesselName || null,
-        }
-      : null;
+  const positions = Array.from(
+    new Set(
+      westRows
+        .map((r) => Number(r.vesselPositionNumber))
+        .filter((n) => Number.isFinite(n) && n > 0)
+    )
+  ).sort((a, b) => a - b);
+
+  const allLanes = [];
+  for (const pos of positions) {
+    const posRows = routeRows.filter((r) => Number(r.vesselPositionNumber) === pos);
+    const row =
+      currentScheduledRow(posRows, now.getTime()) ||
+      westRows.find((r) => Number(r.vesselPositionNumber) === pos);
+    if (!row || row.vesselId == null) continue;
+
+    allLanes.push({
+      laneKey: laneKeyForPosition(pos),
+      vesselPositionNumber: pos,
+      vesselId: row.vesselId,
+      vesselName: row.vesselName || null,
+      active: isPositionActive(posRows, route.crossingTimeMinutes, now.getTime()),
+    });
+  }
 
-  const lower =
-    lowerRow && lowerRow.vesselId != null
-      ? {
-          vesselPositionNumber: 2,
-          vesselId: lowerRow.vesselId,
-          vesselName: lowerRow.vesselName || null,
-        }
-      : null;
+  // Drop positions whose sailings are over for the day (e.g. the second boat
+  // late at night), unless that would leave no lanes at all.
+  const activeLanes = allLanes.filter((l) => l.active);
+  const lanes = (activeLanes.length > 0 ? activeLanes : allLanes).map(
+    ({ active, ...lane }) => lane
+  );
 
   return {
-    upper,
-    lower,
+    lanes,
+    scheduleRows: routeRows,
     scheduleError: false,
   };
 }
 
+// ---------------------------------------------------------------------------
+// Vessel swaps
+//
+// Before the lanes are built each lane's vessel is settled: the scheduled
+// one, unless it is missing from the live feed, out of service or running
+// elsewhere while another live vessel works the lane's position between this
+// route's terminals. vesselSwaps.js compares that with the previous build and
+// logs the change; on a swap the caches tied to the old vessel (last-good
+// lane, dock history, last-good capacity) are cleared so its data never
+// shows under the new boat.
+// ---------------------------------------------------------------------------
+
+function isVesselOutOfService(raw) {
+  return !!raw && (raw.inService === false || !!raw.vesselWatchShut);
+}
+
+// Overnight records have no departing terminal; they count as on the route.
+function isVesselOnRoute(raw, terminalIds) {
+  return raw.departingId == null || terminalIds.has(Number(raw.departingId));
+}
+
+// A live, in-service vessel working this position between the route's
+// terminals that no other lane claims.
+function findLiveReplacement(liveVessels, positionNumber, terminalIds, claimedIds) {
+  for (const v of liveVessels || []) {
+    if (!v || v.vesselId == null || claimedIds.has(Number(v.vesselId))) continue;
+    if (isVesselOutOfService(v)) continue;
+    if (Number(v.vesselPositionNumber) !== Number(positionNumber)) continue;
+    if (!terminalIds.has(Number(v.departingId))) continue;
+    if (v.arrivingId != null && !terminalIds.has(Number(v.arrivingId))) continue;
+    return v;
+  }
+  return null;
+}
+
+function clearLaneCachesForSwap(routeId, laneKey, swap) {
+  const lanes = lastGoodLanesByRoute[routeId];
+  if (lanes) delete lanes[laneKey];
+
+  const docks = dockStateByRoute[routeId];
+  if (docks) delete docks[laneKey];
+
+  const sides = lastGoodCapacityByRoute[String(routeId)];
+  for (const side of Object.keys(sides || {})) {
+    const data = sides[side] && sides[side].data;
+    if (data && Number(data.vesselId) === Number(swap.fromVesselId)) delete sides[side];
+  }
+}
+
+// scheduledLanes from deriveLaneVesselsForRoute → the same lanes carrying the
+// vessel each one shows, plus scheduledVesselId (the timetable's vessel).
+function resolveLaneVessels(options) {
+  const {
+    route,
+    serviceDate,
+    scheduledLanes,
+    liveVessels,
+    liveById,
+    terminalIds,
+    nowMs,
+  } = options;
+
+  const claimed = new Set(scheduledLanes.map((l) => Number(l.vesselId)));
+  const outOfServiceIds = new Set(
+    (liveVessels || []).filter(isVesselOutOfService).map((v) => Number(v.vesselId))
+  );
+
+  return scheduledLanes.map((scheduled) => {
+    let lane = { ...scheduled, scheduledVesselId: scheduled.vesselId };
+
+    const raw = liveById.get(scheduled.vesselId) || null;
+    if (!raw || isVesselOutOfService(raw) || !isVesselOnRoute(raw, terminalIds)) {
+      const replacement = findLiveReplacement(
+        liveVessels,
+        scheduled.vesselPositionNumber,
+        terminalIds,
+        claimed
+      );
+      if (replacement) {
+        claimed.add(Number(replacement.vesselId));
+        lane = {
+          ...lane,
+          vesselId: replacement.vesselId,
+          vesselName: replacement.vesselName || null,
+        };
+      }
+    }
+
+    const swap = trackLaneVessel({
+      routeId: route.routeId,
+      serviceDate,
+      laneKey: lane.laneKey,
+      vesselPositionNumber: lane.vesselPositionNumber,
+      vesselId: lane.vesselId,
+      vesselName: lane.vesselName,
+      scheduledVesselId: lane.scheduledVesselId,
+      outOfServiceIds,
+      nowMs,
+    });
+    if (swap) clearLaneCachesForSwap(route.routeId, lane.laneKey, swap);
+
+    return lane;
+  });
+}
+
+// Next scheduled sailing (any vessel) from a terminal, used to prefer the
+// schedule-matched vessel when choosing capacity for that side.
+// cancelledKeys (optional): cancelledSailingKey()s to skip.
+function findNextScheduledSailing(scheduleRows, departingTerminalId, nowMs, cancelledKeys) {
+  let best = null;
+  let bestMs = Infinity;
+  for (const r of scheduleRows || []) {
+    if (Number(r.departingTerminalId) !== Number(departingTerminalId)) continue;
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (!isFinite(depMs) || depMs < nowMs) continue;
+    if (cancelledKeys && cancelledKeys.has(cancelledSailingKey(r.departingTerminalId, depMs))) {
+      continue;
+    }
+    if (depMs < bestMs) {
+      best = r;
+      bestMs = depMs;
+    }
+  }
+  return best;
+}
+
 // For stale lanes: if we've passed the ETA, treat the vessel as at dock.
 // This avoids showing "UNDERWAY" with an ETA in the past when WSDOT has
 // dropped the vessel record and we're using last-good data.
@@ -538,12 +1064,15 @@ function snapStaleLaneToDockIfArrived(lane, now) {
     return lane;
   }
 
-  // We've passed ETA; force arrival at dock visually.
+  // We've passed ETA; force arrival at dock visually. Its scheduledDeparture
+  // is the sailing that just arrived, so this is AT_DOCK, never BOARDING.
   return {
     ...lane,
     atDock: true,
     phase: "AT_DOCK",
+    phaseSince: lane.phase === "AT_DOCK" ? lane.phaseSince : lane.eta,
     dotPosition: 1,
+    dotPositionMethod: null,
   };
 }
 
@@ -664,19 +1193,53 @@ function buildLaneFromVessel(raw, opts) {
       leftDock: null,
       eta: null,
       phase: "UNKNOWN",
+      phaseSince: null,
+      serviceMessage: null,
       dotPosition: 0,
+      dotPositionMethod: null,
+      etaSource: null,
       currentArrivalTime: null,
       dockStartTime: null,
       dockStartIsSynthetic: true,
       dockArcFraction: null,
+      departureDelayMinutes: null,
+      arrivalDelayMinutes: null,
+      delayStatus: null,
       lastUpdatedVessels: nowIso,
       isStale: false, // contract field present; true will be used once last-good cache is implemented
     };
   }
 
   const leftDockIso = raw.leftDockIso || raw.scheduledDepartureIso || null;
-  const etaIso = pickArrivalTime(raw.etaIso, leftDockIso, crossingMinutes);
-  let dotPos = computeDotPosition(leftDockIso, etaIso, now);
+
+  // Without a WSDOT ETA, prefer what this direction (vessel, hour) has
+  // actually taken over the configured crossing time.
+  const learned = raw.etaIso
+    ? null
+    : getLearnedCrossingMinutes({
+        departingTerminalId: departureTerminalId,
+        arrivingTerminalId: arrivalTerminalId,
+        vesselId: raw.vesselId,
+        departureIso: leftDockIso,
+      });
+  const etaIso = pickArrivalTime(
+    raw.etaIso,
+    leftDockIso,
+    learned ? learned.minutes : crossingMinutes
+  );
+  let etaSource = null;
+  if (raw.etaIso) etaSource = "wsdot";
+  else if (etaIso) etaSource = learned ? "learned" : "configured";
+  const progress = computeLaneProgress(
+    raw,
+    departureTerminalId,
+    arrivalTerminalId,
+    leftDockIso,
+    etaIso,
+    now
+  );
+  let dotPos = progress.dotPosition;
+  let dotPositionMethod = progress.method;
 
   const atDock = raw.atDock;
 
@@ -685,6 +1248,7 @@ function buildLaneFromVessel(raw, opts) {
     phase = "AT_DOCK";
     // When lane is at dock, dot belongs at the dock, not partway along the run.
     dotPos = 0;
+    dotPositionMethod = null;
   } else if (etaIso) {
     phase = "UNDERWAY";
   }
@@ -701,150 +1265,1061 @@ function buildLaneFromVessel(raw, opts) {
     scheduledDeparture: raw.scheduledDepartureIso,
     leftDock: leftDockIso,
     eta: etaIso,
+    // AT_DOCK | UNDERWAY | UNKNOWN here; applyVesselPhase refines it.
     phase,
+    phaseSince: null,
+    // VesselWatch message while the vessel is out of service.
+    serviceMessage: null,
     dotPosition: dotPos,
+    // "geodesic" | "time" while underway ("schedule" on projected lanes); null at dock.
+    dotPositionMethod,
+    // "wsdot" | "learned" | "configured" (crossing time fallback), "schedule" on
+    // projected lanes; null without an ETA.
+    etaSource,
     currentArrivalTime: etaIso || raw.scheduledDepartureIso || null,
     dockStartTime: atDock ? (raw.leftDockIso || raw.scheduledDepartureIso) : null,
     dockStartIsSynthetic: false,
     dockArcFraction: null,
+    // Filled in by applyLaneDelay once the schedule row is known.
+    departureDelayMinutes: null,
+    arrivalDelayMinutes: null,
+    delayStatus: null,
     lastUpdatedVessels: nowIso,
     isStale: false, // default; will become true when we reuse last-good state
   };
 }
 
-// ---- Synthetic fallback (no live data / API failure) ----
-
-function buildSyntheticState(route, terminalIdWest, terminalIdEast, now) {
-  const nowIso = now.toISOString();
-  const labelWest = deriveLabel(route.terminalNameWest);
-  const labelEast = deriveLabel(route.terminalNameEast);
-
-  const departTacoma = new Date(now.getTime() - 10 * 60 * 1000);
-  const arriveTacoma = new Date(
-    departTacoma.getTime() + route.crossingTimeMinutes * 60 * 1000
-  );
-  const departWen = new Date(now.getTime() - 5 * 60 * 1000);
-  const nextDepartWen = new Date(now.getTime() + 15 * 60 * 1000);
+// ---------------------------------------------------------------------------
+// Vessel phases
+//
+// buildLaneFromVessel only knows AT_DOCK / UNDERWAY; applyVesselPhase refines
+// a live lane into one of:
+//   OUT_OF_SERVICE  InService false or VesselWatch shut (serviceMessage set)
+//   BOARDING        at dock, next departure within BOARDING_LEAD_MS or overdue
+//   AT_DOCK         at dock otherwise
+//   DEPARTING       left dock less than DEPARTING_WINDOW_MS ago
+//   HOLDING         underway but stopped short of the slip: below HOLD_SPEED_KN
+//                   for HOLD_MIN_MS across polls, until back above
+//                   HOLD_RESUME_KN
+//   ARRIVING        ETA within ARRIVING_WINDOW_MS or past ARRIVING_PROGRESS
+//   UNDERWAY        otherwise
+//   UNKNOWN         no vessel, or underway without an ETA
+// phaseSince is when the vessel entered its phase (null when not observed).
+// ---------------------------------------------------------------------------
 
-  const departTacomaIso = departTacoma.toISOString();
-  const arriveTacomaIso = arriveTacoma.toISOString();
-  const departWenIso = departWen.toISOString();
-  const nextDepartWenIso = nextDepartWen.toISOString();
+const BOARDING_LEAD_MS = 20 * 60 * 1000;
+const DEPARTING_WINDOW_MS = 3 * 60 * 1000;
+const ARRIVING_WINDOW_MS = 3 * 60 * 1000;
+const ARRIVING_PROGRESS = 0.9;
+const HOLD_SPEED_KN = 2;
+const HOLD_RESUME_KN = 4;
+const HOLD_MIN_MS = 2 * 60 * 1000;
+// Slowing down inside the approach is docking, not holding.
+const HOLD_MAX_PROGRESS = ARRIVING_PROGRESS;
+
+// History needed across polls, per vesselId:
+//   { phase, phaseSinceMs, slowSinceMs, updatedMs }
+// Entries older than PHASE_HISTORY_TTL_MS are ignored and dropped on load.
+const PHASE_HISTORY_TTL_MS = 10 * 60 * 1000;
+const phaseHistoryByVessel = Object.create(null);
+
+registerState("vesselPhases", phaseHistoryByVessel, {
+  prune: (target, nowMs) => {
+    for (const key of Object.keys(target)) {
+      const e = target[key];
+      if (!e || !Number.isFinite(e.updatedMs) || nowMs - e.updatedMs > PHASE_HISTORY_TTL_MS) {
+        delete target[key];
+      }
+    }
+  },
+  // Restamped on every build.
+  volatileKeys: ["updatedMs"],
+});
+
+// Pure classification from the lane's own times and position.
+// motion (optional): { outOfService, holding } from live data or history;
+// projected lanes pass none and only get the time-based phases.
+function classifyLanePhase(lane, motion, nowMs) {
+  const m = motion || {};
+  if (m.outOfService) return "OUT_OF_SERVICE";
 
-  const upperDotPos = computeDotPosition(departTacomaIso, arriveTacomaIso, now);
+  if (lane.atDock) {
+    const depMs = lane.scheduledDeparture ? Date.parse(lane.scheduledDeparture) : NaN;
+    return isFinite(depMs) && depMs - nowMs <= BOARDING_LEAD_MS ? "BOARDING" : "AT_DOCK";
+  }
+  if (!lane.eta) return "UNKNOWN";
 
-  return {
-    route: {
-      routeId: route.routeId,
-      description: route.description,
-      crossingTimeMinutes: route.crossingTimeMinutes,
-      terminalNameWest: route.terminalNameWest,
-      terminalNameEast: route.terminalNameEast,
-      terminalIdWest,
-      terminalIdEast,
-      labelWest,
-      labelEast,
-    },
-    lanes: {
-      upper: {
-        laneId: "UPPER",
-        vesselPositionNumber: 1,
-        vesselId: null,
-        vesselName: "Unknown",
-        atDock: false,
-        direction: "WEST_TO_EAST",
-        departureTerminalId: terminalIdWest,
-        arrivalTerminalId: terminalIdEast,
-        scheduledDeparture: departTacomaIso,
-        leftDock: departTacomaIso,
-        eta: arriveTacomaIso,
-        phase: "UNDERWAY",
-        dotPosition: upperDotPos,
-        currentArrivalTime: arriveTacomaIso,
-        dockStartTime: null,
-        dockStartIsSynthetic: false,
-        dockArcFraction: null,
-        lastUpdatedVessels: nowIso,
-        isStale: false,
-      },
-      lower: {
-        laneId: "LOWER",
-        vesselPositionNumber: 2,
-        vesselId: null,
-        vesselName: "Unknown",
-        atDock: true,
-        direction: "EAST_TO_WEST",
-        departureTerminalId: terminalIdEast,
-        arrivalTerminalId: terminalIdWest,
-        scheduledDeparture: nextDepartWenIso,
-        leftDock: null,
-        eta: null,
-        phase: "AT_DOCK",
-        dotPosition: 0,
-        currentArrivalTime: nextDepartWenIso,
-        dockStartTime: departWenIso,
-        dockStartIsSynthetic: false,
-        dockArcFraction: 0.2,
-        lastUpdatedVessels: nowIso,
-        isStale: false,
-      },
-    },
+  const leftMs = lane.leftDock ? Date.parse(lane.leftDock) : NaN;
+  if (isFinite(leftMs) && nowMs - leftMs < DEPARTING_WINDOW_MS) return "DEPARTING";
 
+  const progress = typeof lane.dotPosition === "number" ? lane.dotPosition : 0;
+  if (m.holding && progress < HOLD_MAX_PROGRESS) return "HOLDING";
 
-    meta: {
-      lastUpdatedVessels: nowIso,
-      lastUpdatedCapacity: null,
-      vesselsStale: true,
-      capacityStale: true,
-      serverTime: nowIso,
-      fallback: {
-        mode: "synthetic",
-        lanes: {
-          upper: "synthetic",
-          lower: "synthetic",
-        },
-      },
-      reason: "synthetic_no_live_data",
-    },
-  };
+  const etaMs = Date.parse(lane.eta);
+  if ((isFinite(etaMs) && etaMs - nowMs <= ARRIVING_WINDOW_MS) || progress >= ARRIVING_PROGRESS) {
+    return "ARRIVING";
+  }
+  return "UNDERWAY";
 }
 
-// ---- Main entry point ----
+// Live lanes: classify with the vessel's speed and service flags, and advance
+// its history. Observations are keyed by the record's TimeStamp, so building
+// the same poll twice (or for two routes) gives the same answer.
+function applyVesselPhase(lane, raw, now) {
+  if (!lane || !raw || raw.vesselId == null) return lane;
 
-async function buildDotState(routeId) {
-  const route = getRouteById(routeId);
-  if (!route) {
-    return null;
+  const nowMs = now.getTime();
+  const stampMs = raw.timeStampIso ? Date.parse(raw.timeStampIso) : NaN;
+  const seenMs = isFinite(stampMs) ? stampMs : nowMs;
+  const key = String(raw.vesselId);
+  const entry = phaseHistoryByVessel[key];
+  const prev = entry && nowMs - entry.updatedMs <= PHASE_HISTORY_TTL_MS ? entry : null;
+
+  let slowSinceMs = prev ? prev.slowSinceMs : null;
+  if (lane.atDock) {
+    slowSinceMs = null;
+  } else if (typeof raw.speed === "number") {
+    if (raw.speed < HOLD_SPEED_KN) {
+      if (slowSinceMs == null) slowSinceMs = seenMs;
+    } else if (raw.speed >= HOLD_RESUME_KN) {
+      slowSinceMs = null;
+    }
+    // In between: keep whatever the last observation decided.
   }
 
-  const now = new Date();
-  const nowIso = now.toISOString();
-  const nowMs = now.getTime();
-  const labelWest = deriveLabel(route.terminalNameWest);
-  const labelEast = deriveLabel(route.terminalNameEast);
+  const outOfService = raw.inService === false || !!raw.vesselWatchShut;
+  const phase = classifyLanePhase(
+    lane,
+    { outOfService, holding: slowSinceMs != null && seenMs - slowSinceMs >= HOLD_MIN_MS },
+    nowMs
+  );
+  const phaseSinceMs = prev && prev.phase === phase ? prev.phaseSinceMs : seenMs;
 
-  let { terminalIdWest, terminalIdEast } = getTerminalIdsForRoute(route);
+  phaseHistoryByVessel[key] = { phase, phaseSinceMs, slowSinceMs, updatedMs: nowMs };
 
-  try {
-    const tripDateText = nowIso.slice(0, 10);
+  return {
+    ...lane,
+    phase,
+    phaseSince: new Date(phaseSinceMs).toISOString(),
+    serviceMessage: outOfService ? raw.vesselWatchShutMsg || null : null,
+  };
+}
 
-    const sched = await fetchDailyScheduleRaw(route.routeId, tripDateText);
+// Stale (last-good) lanes: move the time-based phases along without new
+// data. OUT_OF_SERVICE and HOLDING need a live record to change, so they hold.
+function refreshStaleLanePhase(lane, now) {
+  if (!lane || !lane.isStale || lane.isProjected) return lane;
 
-    if (sched && Array.isArray(sched.TerminalCombos)) {
-      const combos = sched.TerminalCombos;
+  const phase = classifyLanePhase(
+    lane,
+    { outOfService: lane.phase === "OUT_OF_SERVICE", holding: lane.phase === "HOLDING" },
+    now.getTime()
+  );
+  if (phase === lane.phase) return lane;
+  return { ...lane, phase, phaseSince: now.toISOString() };
+}
 
-      const nameWest = route.terminalNameWest
-        ? String(route.terminalNameWest).trim().toLowerCase()
-        : null;
-      const nameEast = route.terminalNameEast
-        ? String(route.terminalNameEast).trim().toLowerCase()
-        : null;
+// ---------------------------------------------------------------------------
+// End of service (overnight)
+//
+// Once the service day's last sailing has arrived, before its first sailing
+// is due, or all day when the day's schedule has no sailings, the route
+// reports an explicit service state and no lanes:
+//   service: { status: "ended" | "not_started" | "no_sailings", serviceDate,
+//              resumesAt, firstSailings: { west, east } }
+// Each first sailing is { departingTerminalId, arrivingTerminalId,
+// scheduledDeparture, vesselId, vesselName } or null. "ended" and
+// "no_sailings" look ahead to the next service day's schedule (primed on
+// demand, then kept fresh by feedStore); serviceDate is the day that resumes
+// for "ended" and today for the others. Routes with sailings left report
+// service: { status: "running" }.
+// ---------------------------------------------------------------------------
 
-      let westId = terminalIdWest;
-      let eastId = terminalIdEast;
+// meta.reason per service.status outside service hours.
+const SERVICE_REASONS = {
+  ended: "service_ended",
+  not_started: "service_not_started",
+  no_sailings: "no_sailings_today",
+};
 
-      for (const combo of combos) {
-        if (!combo) continue;
+// The normal lanes take over this long before the first sailing of the day.
+const SERVICE_RESUME_LEAD_MS = 30 * 60 * 1000;
+
+function describeFirstSailing(row) {
+  if (!row) return null;
+  return {
+    departingTerminalId: Number(row.departingTerminalId),
+    arrivingTerminalId: row.arrivingTerminalId != null ? Number(row.arrivingTerminalId) : null,
+    scheduledDeparture: new Date(Date.parse(row.departingTime)).toISOString(),
+    vesselId: row.vesselId != null ? Number(row.vesselId) : null,
+    vesselName: row.vesselName || null,
+  };
+}
+
+// First (not cancelled) departure from each terminal at or after fromMs.
+// terminalIds: { west, east } (or { west, east, south } on the triangle).
+function findFirstSailings(scheduleRows, terminalIds, fromMs, cancelledKeys) {
+  const firstSailings = {};
+  for (const [side, terminalId] of Object.entries(terminalIds)) {
+    firstSailings[side] = describeFirstSailing(
+      findNextScheduledSailing(scheduleRows, terminalId, fromMs, cancelledKeys)
+    );
+  }
+  const times = Object.values(firstSailings)
+    .filter(Boolean)
+    .map((s) => Date.parse(s.scheduledDeparture));
+  return {
+    firstSailings,
+    resumesAt: times.length > 0 ? new Date(Math.min(...times)).toISOString() : null,
+  };
+}
+
+// A late boat still crossing keeps the route running past its schedule.
+function hasVesselUnderwayBetween(liveVessels, terminalIds) {
+  const ids = new Set(Object.values(terminalIds).map(Number));
+  return (liveVessels || []).some(
+    (v) => v && !v.atDock && ids.has(Number(v.departingId)) && ids.has(Number(v.arrivingId))
+  );
+}
+
+// Service state for a route, or null while sailings are running (or when
+// there is no schedule to tell a quiet night from missing data).
+// terminalIds: { west, east } (or { west, east, south } on the triangle);
+// scheduleRaws: the schedule payloads scheduleRows came from (one per
+// member route on the triangle).
+async function resolveServiceWindow(options) {
+  const {
+    route,
+    terminalIds,
+    scheduleRaws,
+    scheduleRows,
+    cancelledKeys,
+    liveVessels,
+    tripDateText,
+    nowMs,
+  } = options;
+
+  if (!scheduleRaws.some((raw) => raw && Array.isArray(raw.TerminalCombos))) return null;
+  if (hasVesselUnderwayBetween(liveVessels, terminalIds)) return null;
+
+  const sailings = (scheduleRows || []).filter((r) => {
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    return isFinite(depMs) && !cancelledKeys.has(cancelledSailingKey(r.departingTerminalId, depMs));
+  });
+
+  // A schedule with no sailings today is not an evening that ended.
+  const noSailings = sailings.length === 0;
+  if (!noSailings && isPositionActive(sailings, route.crossingTimeMinutes, nowMs)) {
+    const started = sailings.some((r) => Date.parse(r.departingTime) < nowMs);
+    const next = findFirstSailings(sailings, terminalIds, nowMs, cancelledKeys);
+    const leadMs = next.resumesAt ? Date.parse(next.resumesAt) - nowMs : 0;
+    if (started || leadMs <= SERVICE_RESUME_LEAD_MS) return null;
+
+    return { status: "not_started", serviceDate: tripDateText, ...next };
+  }
+
+  // Last sailing is in (or there was none): look ahead to the next service day.
+  const nextDateText = addDaysToDateText(tripDateText, 1);
+  const routeIds = route.memberRouteIds || [route.routeId];
+  await Promise.all(routeIds.map((id) => primeSchedule(id, nextDateText)));
+  let nextRows = [];
+  for (const id of routeIds) {
+    const nextSnap = getSnapshot(scheduleKey(id, nextDateText));
+    if (!nextSnap || !nextSnap.data) continue;
+    nextRows = nextRows.concat(
+      normalizeScheduleRows(nextSnap.data, id).filter((r) => Number(r.routeId) === Number(id))
+    );
+  }
+
+  return {
+    status: noSailings ? "no_sailings" : "ended",
+    serviceDate: noSailings ? tripDateText : nextDateText,
+    ...findFirstSailings(nextRows, terminalIds, nowMs, cancelledKeys),
+  };
+}
+
+// dot-state route block of a two-terminal route.
+function describeRouteEnds(route, terminalIdWest, terminalIdEast) {
+  return {
+    routeId: route.routeId,
+    description: route.description,
+    crossingTimeMinutes: route.crossingTimeMinutes,
+    terminalNameWest: route.terminalNameWest,
+    terminalNameEast: route.terminalNameEast,
+    terminalIdWest,
+    terminalIdEast,
+    labelWest: deriveLabel(route.terminalNameWest),
+    labelEast: deriveLabel(route.terminalNameEast),
+  };
+}
+
+// State for a route outside its service hours: no lanes (no vessels on the
+// triangle), no capacity, just the service window. routeInfo: the route
+// block (describeRouteEnds or describeTriangleRoute). extras: { alerts,
+// waitTimes, cancelledSailings, swaps }.
+function buildServiceEndedState(routeInfo, now, feeds, service, extras = {}) {
+  const nowIso = now.toISOString();
+  const triangle = routeInfo.layout === "triangle";
+
+  return {
+    route: routeInfo,
+    lanes: triangle ? null : [],
+    ...(triangle ? { vessels: [] } : {}),
+    capacity: null,
+    cancelledSailings: extras.cancelledSailings || [],
+    waitTimes: extras.waitTimes || null,
+    service,
+    meta: {
+      lastUpdatedVessels: nowIso,
+      lastUpdatedCapacity: null,
+      vesselsStale: false,
+      capacityStale: false,
+      waitTimesStale: waitTimesStale(extras.waitTimes),
+      serverTime: nowIso,
+      replay: describeReplay(),
+      feeds: feeds || null,
+      alerts: extras.alerts || [],
+      swaps: extras.swaps || [],
+      fallback: {
+        mode: "none",
+        lanes: {},
+      },
+      reason: SERVICE_REASONS[service.status] || "service_ended",
+    },
+  };
+}
+
+// ---- Schedule projection (no live vessel data) ----
+//
+// A lane with neither a live vessel nor a last-good copy shows its scheduled
+// vessel where the timetable puts it: underway between a sailing's departure
+// and arrival (scheduled ArrivingTime, else departure + crossing time),
+// otherwise at dock where its last sailing arrived (or where its first one
+// leaves). Cancelled sailings do not move. Projected lanes carry
+// isProjected (and isStale), etaSource / dotPositionMethod "schedule", and
+// meta.fallback.lanes marks them "schedule".
+
+// Fraction of the 60-minute dock arc elapsed since dockStartMs.
+function dockArcFractionSince(dockStartMs, nowMs) {
+  if (!isFinite(dockStartMs)) return null;
+  const elapsedMs = nowMs - dockStartMs;
+  if (elapsedMs <= 0) return 0;
+  const frac = elapsedMs / (60 * 60 * 1000);
+  return frac >= 1 ? 1 : frac;
+}
+
+// Where the timetable puts one boat at now, from its schedule rows (every
+// direction it sails): null when no row has usable times.
+// crossingMinutesFor(row) stands in for a missing arrival time. Returns
+//   { underway, prev, onward, dockTerminalId, vesselRow, timing }
+// underway / prev / onward are { row, depMs, arrMs } or null: the sailing in
+// progress, the last one in and the next one out of dockTerminalId. timing
+// holds the lane's dock and motion fields.
+function locateOnSchedule(rows, crossingMinutesFor, cancelledKeys, now) {
+  const nowMs = now.getTime();
+  const iso = (ms) => new Date(ms).toISOString();
+
+  const sailings = [];
+  for (const r of rows || []) {
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (!isFinite(depMs)) continue;
+    if (cancelledKeys && cancelledKeys.has(cancelledSailingKey(r.departingTerminalId, depMs))) {
+      continue;
+    }
+    const schedArrMs = r.arrivingTime ? Date.parse(r.arrivingTime) : NaN;
+    const crossingMs = (crossingMinutesFor(r) || 0) * 60 * 1000;
+    const arrMs = isFinite(schedArrMs) && schedArrMs > depMs ? schedArrMs : depMs + crossingMs;
+    sailings.push({ row: r, depMs, arrMs });
+  }
+  if (sailings.length === 0) return null;
+  sailings.sort((a, b) => a.depMs - b.depMs);
+
+  const underway = sailings.find((s) => s.depMs <= nowMs && nowMs < s.arrMs) || null;
+  if (underway) {
+    return {
+      underway,
+      prev: null,
+      onward: null,
+      dockTerminalId: null,
+      vesselRow: underway.row,
+      timing: {
+        atDock: false,
+        scheduledDeparture: iso(underway.depMs),
+        leftDock: iso(underway.depMs),
+        eta: iso(underway.arrMs),
+        phase: "UNDERWAY",
+        dotPosition: computeDotPosition(iso(underway.depMs), iso(underway.arrMs), now),
+        dotPositionMethod: "schedule",
+        etaSource: "schedule",
+        currentArrivalTime: iso(underway.arrMs),
+        dockStartTime: null,
+        dockStartIsSynthetic: false,
+        dockArcFraction: null,
+      },
+    };
+  }
+
+  let prev = null;
+  for (const s of sailings) {
+    if (s.arrMs <= nowMs) prev = s;
+  }
+  // Nothing underway and nothing arrived yet: every sailing is ahead.
+  const dockTerminalId = prev
+    ? Number(prev.row.arrivingTerminalId)
+    : Number(sailings[0].row.departingTerminalId);
+  const onward = sailings.find(
+    (s) => s.depMs > nowMs && Number(s.row.departingTerminalId) === dockTerminalId
+  ) || null;
+
+  return {
+    underway: null,
+    prev,
+    onward,
+    dockTerminalId,
+    vesselRow: (onward || prev || sailings[0]).row,
+    timing: {
+      atDock: true,
+      scheduledDeparture: onward ? iso(onward.depMs) : null,
+      leftDock: null,
+      eta: null,
+      phase: "AT_DOCK",
+      dotPosition: 0,
+      dotPositionMethod: null,
+      etaSource: null,
+      currentArrivalTime: onward ? iso(onward.depMs) : null,
+      dockStartTime: prev ? iso(prev.arrMs) : null,
+      dockStartIsSynthetic: true,
+      dockArcFraction: prev ? dockArcFractionSince(prev.arrMs, nowMs) : null,
+    },
+  };
+}
+
+// Projected lane from a locateOnSchedule result. ids: { laneId, laneKey,
+// vesselPositionNumber }; dirMeta: { direction, departureTerminalId,
+// arrivalTerminalId }.
+function finishProjectedLane(ids, located, dirMeta, now) {
+  const row = located.vesselRow;
+  const lane = { ...located.timing, ...dirMeta };
+  return {
+    ...ids,
+    vesselId: row.vesselId != null ? Number(row.vesselId) : null,
+    vesselName: row.vesselName || "Unknown vessel",
+    ...lane,
+    // Timetable only: no speed or service flags, so never HOLDING or
+    // OUT_OF_SERVICE.
+    phase: classifyLanePhase(lane, null, now.getTime()),
+    phaseSince: null,
+    serviceMessage: null,
+    departureDelayMinutes: null,
+    arrivalDelayMinutes: null,
+    delayStatus: null,
+    lastUpdatedVessels: now.toISOString(),
+    isStale: true,
+    isProjected: true,
+  };
+}
+
+// rows: the lane's schedule rows (both directions). Returns null when the
+// timetable has no usable sailing for it.
+function projectLaneFromSchedule(rows, opts) {
+  const {
+    laneKey,
+    positionNumber,
+    terminalIdWest,
+    terminalIdEast,
+    route,
+    cancelledKeys,
+    now,
+  } = opts;
+
+  const located = locateOnSchedule(rows, () => route.crossingTimeMinutes, cancelledKeys, now);
+  if (!located) return null;
+
+  // Underway: the sailing's terminals. At dock: facing the other terminal.
+  let legTerminals;
+  if (located.underway) {
+    legTerminals = {
+      departingId: located.underway.row.departingTerminalId,
+      arrivingId: located.underway.row.arrivingTerminalId,
+    };
+  } else {
+    const dockTerminalId = located.dockTerminalId;
+    legTerminals = {
+      departingId: dockTerminalId,
+      arrivingId: dockTerminalId === Number(terminalIdWest) ? terminalIdEast : terminalIdWest,
+    };
+  }
+  const dirMeta = deriveDirectionAndTerminals(
+    legTerminals,
+    terminalIdWest,
+    terminalIdEast,
+    defaultDirectionForPosition(positionNumber)
+  );
+
+  return finishProjectedLane(
+    { laneId: `POSITION_${positionNumber}`, laneKey, vesselPositionNumber: positionNumber },
+    located,
+    dirMeta,
+    now
+  );
+}
+
+// ---- No timetable ----
+
+// Without a usable schedule there is nothing to project, so the route shows
+// no lanes rather than invented motion. extras: { alerts, waitTimes, swaps }
+// gathered before this was chosen; alerts and wait times come from feeds
+// independent of the schedule, so they stay real here.
+function buildNoScheduleState(route, terminalIdWest, terminalIdEast, now, feeds, extras = {}) {
+  const nowIso = now.toISOString();
+
+  return {
+    route: describeRouteEnds(route, terminalIdWest, terminalIdEast),
+    lanes: [],
+    capacity: null,
+    cancelledSailings: [],
+    waitTimes: extras.waitTimes || null,
+    // Unknown: without a schedule we cannot tell whether boats should run.
+    service: null,
+
+    meta: {
+      lastUpdatedVessels: nowIso,
+      lastUpdatedCapacity: null,
+      vesselsStale: true,
+      capacityStale: true,
+      serverTime: nowIso,
+      replay: describeReplay(),
+      feeds: feeds || null,
+      alerts: extras.alerts || [],
+      swaps: extras.swaps || [],
+      waitTimesStale: waitTimesStale(extras.waitTimes),
+      fallback: {
+        mode: "none",
+        lanes: {},
+      },
+      reason: "no_schedule",
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Multi-terminal routes (Fauntleroy / Vashon / Southworth triangle)
+//
+// The triangle has no fixed upper/lower lanes: boats rotate through all three
+// terminals. Instead of lanes we report every vessel with its current leg
+// (departure → arrival terminal) and capacity for every terminal pair.
+// Schedules come from all member routes (13, 14, 15) merged together.
+// ---------------------------------------------------------------------------
+
+// Leg crossing time from route.legs (unordered pair match).
+function getLegCrossingMinutes(route, depName, arrName) {
+  const legs = Array.isArray(route.legs) ? route.legs : [];
+  for (const leg of legs) {
+    if (
+      (leg.terminalNameA === depName && leg.terminalNameB === arrName) ||
+      (leg.terminalNameA === arrName && leg.terminalNameB === depName)
+    ) {
+      return leg.crossingTimeMinutes;
+    }
+  }
+  return route.crossingTimeMinutes;
+}
+
+// Terminal IDs for a triangle: catalogue IDs first, then the name map, then
+// schedule combo names.
+function resolveTriangleTerminals(route, scheduleRaws) {
+  const terminals = route.terminals.map((t) => ({
+    terminalId: t.terminalId != null ? Number(t.terminalId) : getTerminalIdByName(t.terminalName),
+    terminalName: t.terminalName,
+    label: deriveLabel(t.terminalName),
+    position: t.position,
+  }));
+
+  for (const raw of scheduleRaws) {
+    const combos = raw && Array.isArray(raw.TerminalCombos) ? raw.TerminalCombos : [];
+    for (const combo of combos) {
+      if (!combo || combo.DepartingTerminalName == null) continue;
+      const depName = String(combo.DepartingTerminalName).trim().toLowerCase();
+      for (const t of terminals) {
+        if (t.terminalId == null && t.terminalName.toLowerCase() === depName) {
+          t.terminalId = Number(combo.DepartingTerminalID);
+        }
+      }
+    }
+  }
+
+  return terminals;
+}
+
+// Next scheduled sailing for a vessel from a terminal (rows from all members).
+function findNextSailingForVessel(rows, vesselId, departingTerminalId, fromMs) {
+  let best = null;
+  let bestMs = Infinity;
+  for (const r of rows) {
+    if (Number(r.vesselId) !== Number(vesselId)) continue;
+    if (Number(r.departingTerminalId) !== Number(departingTerminalId)) continue;
+    const depMs = r.departingTime ? Date.parse(r.departingTime) : NaN;
+    if (!isFinite(depMs) || depMs < fromMs) continue;
+    if (depMs < bestMs) {
+      best = r;
+      bestMs = depMs;
+    }
+  }
+  return best;
+}
+
+// Current leg for a live vessel: live terminals when both are known,
+// otherwise the vessel's next scheduled sailing from its current terminal.
+function deriveTriangleLeg(raw, terminalsById, scheduleRows, nowMs) {
+  const depId = raw.departingId != null ? Number(raw.departingId) : null;
+  let arrId = raw.arrivingId != null ? Number(raw.arrivingId) : null;
+
+  if (depId == null || !terminalsById.has(depId)) return null;
+
+  if (arrId == null || !terminalsById.has(arrId)) {
+    const schedMs = raw.scheduledDepartureIso ? Date.parse(raw.scheduledDepartureIso) : NaN;
+    // Look back a few minutes so a boat still loading for its slot matches.
+    const fromMs = isFinite(schedMs) ? schedMs : nowMs - 5 * 60 * 1000;
+    const next = findNextSailingForVessel(scheduleRows, raw.vesselId, depId, fromMs);
+    arrId = next && next.arrivingTerminalId != null ? Number(next.arrivingTerminalId) : null;
+  }
+
+  if (arrId == null || !terminalsById.has(arrId) || arrId === depId) return null;
+
+  return {
+    departure: terminalsById.get(depId),
+    arrival: terminalsById.get(arrId),
+  };
+}
+
+// A scheduled vessel with neither live data nor a last-good copy, where its
+// timetable puts it (see locateOnSchedule): on the leg it is crossing, at
+// dock facing its next sailing, or facing back up the leg it came in on once
+// it has none left. rows: the vessel's rows from every member route.
+// Returns null when the timetable has no usable sailing for it.
+function projectTriangleVessel(rows, opts) {
+  const { vesselId, route, terminalsById, cancelledKeys, now } = opts;
+
+  const legMinutes = (depId, arrId) => {
+    const dep = terminalsById.get(Number(depId));
+    const arr = terminalsById.get(Number(arrId));
+    return dep && arr
+      ? getLegCrossingMinutes(route, dep.terminalName, arr.terminalName)
+      : route.crossingTimeMinutes;
+  };
+  const located = locateOnSchedule(
+    rows,
+    (r) => legMinutes(r.departingTerminalId, r.arrivingTerminalId),
+    cancelledKeys,
+    now
+  );
+  if (!located) return null;
+
+  const { underway, prev, onward } = located;
+  let depId = null;
+  let arrId = null;
+  if (underway || onward) {
+    depId = (underway || onward).row.departingTerminalId;
+    arrId = (underway || onward).row.arrivingTerminalId;
+  } else if (prev) {
+    depId = prev.row.arrivingTerminalId;
+    arrId = prev.row.departingTerminalId;
+  }
+  const departure = terminalsById.get(Number(depId));
+  const arrival = terminalsById.get(Number(arrId));
+  if (!departure || !arrival || departure === arrival) return null;
+
+  const laneKey = `vessel:${vesselId}`;
+  const positionNumber = located.vesselRow.vesselPositionNumber;
+  const lane = finishProjectedLane(
+    {
+      laneId: laneKey.toUpperCase(),
+      laneKey,
+      vesselPositionNumber: positionNumber != null ? Number(positionNumber) : null,
+    },
+    located,
+    {
+      direction: `${departure.position}_TO_${arrival.position}`.toUpperCase(),
+      departureTerminalId: departure.terminalId,
+      arrivalTerminalId: arrival.terminalId,
+    },
+    now
+  );
+  lane.leg = {
+    departureTerminalId: departure.terminalId,
+    departureTerminalName: departure.terminalName,
+    arrivalTerminalId: arrival.terminalId,
+    arrivalTerminalName: arrival.terminalName,
+    crossingTimeMinutes: legMinutes(departure.terminalId, arrival.terminalId),
+  };
+  return lane;
+}
+
+// dot-state route block of a triangle route.
+// terminals: resolveTriangleTerminals' result; legs take their IDs from it,
+// so a leg is drawn whenever both of its terminals were resolved.
+function describeTriangleRoute(route, terminals) {
+  const idByName = new Map(
+    terminals.map((t) => [String(t.terminalName).trim().toLowerCase(), t.terminalId])
+  );
+  const terminalIdFor = (name) => {
+    const id = idByName.get(String(name).trim().toLowerCase());
+    return id != null ? id : null;
+  };
+
+  return {
+    routeId: route.routeId,
+    description: route.description,
+    layout: "triangle",
+    memberRouteIds: route.memberRouteIds || [route.routeId],
+    crossingTimeMinutes: route.crossingTimeMinutes,
+    terminals,
+    legs: (route.legs || []).map((leg) => ({
+      terminalIdA: terminalIdFor(leg.terminalNameA),
+      terminalIdB: terminalIdFor(leg.terminalNameB),
+      crossingTimeMinutes: leg.crossingTimeMinutes,
+    })),
+  };
+}
+
+async function buildTriangleState(route, tripDateText) {
+  const memberRouteIds = route.memberRouteIds || [route.routeId];
+  await Promise.all(memberRouteIds.map((id) => primeSchedule(id, tripDateText)));
+
+  const now = clockNow();
+  const nowIso = now.toISOString();
+  const nowMs = now.getTime();
+
+  const scheduleFeeds = {};
+  const scheduleRaws = [];
+  let scheduleRows = [];
+  for (const id of memberRouteIds) {
+    const key = scheduleKey(id, tripDateText);
+    scheduleFeeds[id] = describeFeed(key, nowMs);
+    const snap = getSnapshot(key);
+    if (snap && snap.data) {
+      scheduleRaws.push(snap.data);
+      scheduleRows = scheduleRows.concat(normalizeScheduleRows(snap.data, id));
+    }
+  }
+
+  const feeds = {
+    vessels: describeFeed(vesselsKey(), nowMs),
+    terminals: describeFeed(terminalsKey(), nowMs),
+    schedules: scheduleFeeds,
+  };
+
+  const terminals = resolveTriangleTerminals(route, scheduleRaws);
+  const alerts = getAlertsForRoute({
+    routeIds: memberRouteIds,
+    terminalIds: terminals.map((t) => t.terminalId),
+    nowMs,
+  });
+  const terminalsById = new Map();
+  for (const t of terminals) {
+    if (t.terminalId != null) terminalsById.set(t.terminalId, t);
+  }
+
+  let liveVessels = [];
+  let usedFallback = false;
+  const vesselsSnap = getSnapshot(vesselsKey());
+  if (vesselsSnap && Array.isArray(vesselsSnap.data)) {
+    liveVessels = vesselsSnap.data;
+    usedFallback = !!feeds.vessels.isStale;
+  } else {
+    usedFallback = true;
+  }
+
+  const terminalsSnap = getSnapshot(terminalsKey());
+  const terminalsPayload =
+    terminalsSnap && Array.isArray(terminalsSnap.data) ? terminalsSnap.data : null;
+
+  const { cancelledSailings, cancelledKeys } = deriveCancelledSailings({
+    routeId: route.routeId,
+    terminalIds: new Set(terminalsById.keys()),
+    scheduleRows,
+    liveVessels,
+    terminalsPayload,
+    now,
+  });
+
+  // Overnight: first sailing from each terminal, as on two-terminal routes.
+  const terminalIds = {};
+  for (const t of terminals) {
+    if (t.terminalId != null && t.position) terminalIds[t.position] = t.terminalId;
+  }
+  const service = await resolveServiceWindow({
+    route,
+    terminalIds,
+    scheduleRaws,
+    scheduleRows,
+    cancelledKeys,
+    liveVessels,
+    tripDateText,
+    nowMs,
+  });
+  if (service) {
+    return buildServiceEndedState(describeTriangleRoute(route, terminals), now, feeds, service, {
+      alerts,
+      cancelledSailings,
+      swaps: getRecentSwaps(route.routeId, tripDateText, nowMs),
+    });
+  }
+
+  // Vessels that belong to the triangle today: scheduled on any member route.
+  const scheduledVesselIds = new Set();
+  for (const r of scheduleRows) {
+    if (r.vesselId != null) scheduledVesselIds.add(Number(r.vesselId));
+  }
+
+  const vessels = [];
+  const vesselSources = {};
+  const seen = new Set();
+
+  for (const raw of liveVessels) {
+    if (!raw || raw.vesselId == null) continue;
+    const vesselId = Number(raw.vesselId);
+    const inTriangle =
+      scheduledVesselIds.has(vesselId) ||
+      (terminalsById.has(Number(raw.departingId)) &&
+        terminalsById.has(Number(raw.arrivingId)));
+    if (!inTriangle) continue;
+
+    const leg = deriveTriangleLeg(raw, terminalsById, scheduleRows, nowMs);
+    if (!leg) continue;
+
+    const laneKey = `vessel:${vesselId}`;
+    const crossingTimeMinutes = getLegCrossingMinutes(
+      route,
+      leg.departure.terminalName,
+      leg.arrival.terminalName
+    );
+
+    let lane = buildLaneFromVessel(raw, {
+      laneId: laneKey.toUpperCase(),
+      positionNumber: raw.vesselPositionNumber ?? null,
+      direction: `${leg.departure.position}_TO_${leg.arrival.position}`.toUpperCase(),
+      departureTerminalId: leg.departure.terminalId,
+      arrivalTerminalId: leg.arrival.terminalId,
+      route: { crossingTimeMinutes },
+      now,
+    });
+    lane = applyLaneDelay(lane, raw, {
+      crossingMinutes: crossingTimeMinutes,
+      scheduleRows,
+      thresholds: getDelayThresholds(route),
+      now,
+    });
+    lane = applyVesselPhase(lane, raw, now);
+
+    lane.leg = {
+      departureTerminalId: leg.departure.terminalId,
+      departureTerminalName: leg.departure.terminalName,
+      arrivalTerminalId: leg.arrival.terminalId,
+      arrivalTerminalName: leg.arrival.terminalName,
+      crossingTimeMinutes,
+    };
+
+    setLastGoodLane(route.routeId, laneKey, lane, nowMs);
+    vessels.push(updateDockMetaForLane(route.routeId, laneKey, lane, now));
+    vesselSources[vesselId] = "live";
+    seen.add(vesselId);
+  }
+
+  // Scheduled vessels missing from the live feed: reuse last-good as stale,
+  // else place them by the timetable.
+  for (const vesselId of scheduledVesselIds) {
+    if (seen.has(vesselId)) continue;
+    const laneKey = `vessel:${vesselId}`;
+    const cached = getLastGoodLane(route.routeId, laneKey, nowMs);
+    if (!cached) {
+      const projected = projectTriangleVessel(
+        scheduleRows.filter((r) => Number(r.vesselId) === vesselId),
+        { vesselId, route, terminalsById, cancelledKeys, now }
+      );
+      // Projections stay out of the dock history, as on two-terminal lanes.
+      if (projected) {
+        vessels.push(projected);
+        vesselSources[vesselId] = "schedule";
+      }
+      continue;
+    }
+
+    let lane = { ...cached, lastUpdatedVessels: nowIso, isStale: true };
+    lane = refreshStaleLanePhase(lane, now);
+    lane = snapStaleLaneToDockIfArrived(lane, now);
+    vessels.push(updateDockMetaForLane(route.routeId, laneKey, lane, now));
+    vesselSources[vesselId] = "stale";
+  }
+
+  vessels.sort((a, b) => String(a.vesselName).localeCompare(String(b.vesselName)));
+
+  // ---- Capacity per ordered terminal pair ----
+  const pairs = [];
+  const capacityTimestamps = [];
+
+  for (const from of terminalsById.values()) {
+    for (const to of terminalsById.values()) {
+      if (from.terminalId === to.terminalId) continue;
+
+      const next = scheduleRows
+        .filter(
+          (r) =>
+            Number(r.departingTerminalId) === from.terminalId &&
+            Number(r.arrivingTerminalId) === to.terminalId &&
+            r.departingTime &&
+            Date.parse(r.departingTime) >= nowMs &&
+            !cancelledKeys.has(cancelledSailingKey(r.departingTerminalId, Date.parse(r.departingTime)))
+        )
+        .sort((a, b) => Date.parse(a.departingTime) - Date.parse(b.departingTime))[0];
+
+      const result = deriveCapacityForSide({
+        routeId: route.routeId,
+        side: `${from.terminalId}-${to.terminalId}`,
+        terminalIdSide: from.terminalId,
+        terminalIdOther: to.terminalId,
+        scheduledLane: next ? { vesselId: next.vesselId } : null,
+        terminalsPayload,
+        now,
+      });
+
+      // Pairs with no sailings left simply have no pie.
+      if (!result.data) continue;
+
+      pairs.push({
+        departureTerminalId: from.terminalId,
+        arrivalTerminalId: to.terminalId,
+        maxAuto: result.data.maxAuto,
+        availAuto: result.data.availAuto,
+        availReservable: result.data.availReservable != null ? result.data.availReservable : null,
+        vesselId: result.data.vesselId,
+        vesselName: result.data.vesselName,
+        lastUpdated: result.data.lastUpdated,
+        isStale: !!result.data.isStale,
+        sellOut: predictSellOut({
+          departingTerminalId: from.terminalId,
+          arrivingTerminalId: to.terminalId,
+          departure: result.data.departure,
+          nowMs,
+        }),
+      });
+      if (result.data.lastUpdated) capacityTimestamps.push(result.data.lastUpdated);
+    }
+  }
+
+  const sources = Object.values(vesselSources);
+  const anyStaleVessel = sources.some((s) => s !== "live");
+  let reason = "ok";
+  if (vessels.length === 0) {
+    reason = scheduleRows.length === 0 ? "no_schedule" : "missing_vessels";
+  } else if (sources.includes("schedule")) {
+    reason = "schedule_vessel";
+  } else if (anyStaleVessel) {
+    reason = "stale_vessel";
+  }
+  let fallbackMode = anyStaleVessel || vessels.length === 0 ? "partial" : "live";
+  // Every vessel placed by the timetable alone.
+  if (sources.length > 0 && sources.every((s) => s === "schedule")) fallbackMode = "schedule";
+  if (usedFallback) {
+    reason = reason === "ok" ? "api_error" : `${reason}_api_error`;
+  }
+
+  return {
+    route: describeTriangleRoute(route, terminals),
+    lanes: null,
+    vessels,
+    capacity: pairs.length > 0 ? { pairs } : null,
+    cancelledSailings,
+    // Wait times are shown next to the west/east pies; the triangle has none.
+    waitTimes: null,
+    // Outside service hours see buildServiceEndedState.
+    service: { status: "running" },
+    meta: {
+      lastUpdatedVessels: nowIso,
+      lastUpdatedCapacity:
+        capacityTimestamps.length > 0 ? capacityTimestamps.sort().slice(-1)[0] : null,
+      vesselsStale: anyStaleVessel || usedFallback,
+      capacityStale: !terminalsPayload || pairs.some((p) => p.isStale),
+      serverTime: nowIso,
+      replay: describeReplay(),
+      feeds,
+      alerts,
+      // Vessel swaps are tracked per position lane; triangle lanes are the
+      // vessels themselves.
+      swaps: getRecentSwaps(route.routeId, tripDateText, nowMs),
+      fallback: {
+        mode: fallbackMode,
+        vessels: vesselSources, // { <vesselId>: "live" | "stale" | "schedule" }
+      },
+      reason,
+    },
+  };
+}
+
+// Age of every upstream snapshot this dot-state was built from.
+function describeFeedsForRoute(routeId, tripDateText, nowMs) {
+  return {
+    vessels: describeFeed(vesselsKey(), nowMs),
+    terminals: describeFeed(terminalsKey(), nowMs),
+    schedule: describeFeed(scheduleKey(routeId, tripDateText), nowMs),
+    waitTimes: describeFeed(waitTimesKey(), nowMs),
+  };
+}
+
+// True when any side's wait time is stale (false when there are none).
+function waitTimesStale(waitTimes) {
+  if (!waitTimes) return false;
+  return !!((waitTimes.west && waitTimes.west.isStale) || (waitTimes.east && waitTimes.east.isStale));
+}
+
+// ---- Main entry point ----
+
+async function buildRouteState(routeId) {
+  const route = getRouteById(routeId);
+  if (!route) {
+    return null;
+  }
+
+  // Wait for the first ingestion round after boot; afterwards this is instant.
+  await whenReady();
+
+  // Trip date is the Pacific service day (see serviceDay.js), not the UTC date.
+  const tripDateText = getServiceDate(clockNow());
+
+  if (route.layout === "triangle") {
+    return buildTriangleState(route, tripDateText);
+  }
+
+  await primeSchedule(route.routeId, tripDateText);
+
+  const now = clockNow();
+  const nowIso = now.toISOString();
+  const nowMs = now.getTime();
+  const labelWest = deriveLabel(route.terminalNameWest);
+  const labelEast = deriveLabel(route.terminalNameEast);
+
+  const feeds = describeFeedsForRoute(route.routeId, tripDateText, nowMs);
+  const scheduleSnap = getSnapshot(scheduleKey(route.routeId, tripDateText));
+  const sched = scheduleSnap ? scheduleSnap.data : null;
+
+  let { terminalIdWest, terminalIdEast } = getTerminalIdsForRoute(route);
+
+  try {
+    if (sched && Array.isArray(sched.TerminalCombos)) {
+      const combos = sched.TerminalCombos;
+
+      const nameWest = route.terminalNameWest
+        ? String(route.terminalNameWest).trim().toLowerCase()
+        : null;
+      const nameEast = route.terminalNameEast
+        ? String(route.terminalNameEast).trim().toLowerCase()
+        : null;
+
+      let westId = terminalIdWest;
+      let eastId = terminalIdEast;
+
+      for (const combo of combos) {
+        if (!combo) continue;
 
         const depNameRaw = combo.DepartingTerminalName;
         const depId = combo.DepartingTerminalID;
@@ -883,14 +2358,9 @@ async function buildDotState(routeId) {
   let capacityStale = true;
   let capacityUsedFallback = false;
 
-  let terminalsPayload = null;
-  try {
-    terminalsPayload = await fetchTerminalSpaces();
-  } catch (err) {
-    console.error("Error fetching WSDOT terminalsailingspace:", err.message || err);
-    terminalsPayload = null;
-    capacityStale = true;
-  }
+  const terminalsSnap = getSnapshot(terminalsKey());
+  const terminalsPayload =
+    terminalsSnap && Array.isArray(terminalsSnap.data) ? terminalsSnap.data : null;
 
   // -------------------------------------------------------------------------
   // TerminalID fallback via terminalsailingspace (Cannon Section 2)
@@ -934,49 +2404,108 @@ async function buildDotState(routeId) {
     }
   }
 
-  // Live vessels (may be empty or error)
+  const alerts = getAlertsForRoute({
+    routeIds: [route.routeId],
+    terminalIds: [terminalIdWest, terminalIdEast],
+    nowMs,
+  });
+
+  const waitTimesById = getWaitTimesForTerminals({
+    routeIds: [route.routeId],
+    terminalIds: [terminalIdWest, terminalIdEast],
+    nowMs,
+  });
+  const waitTimes = {
+    west: waitTimesById.get(Number(terminalIdWest)) || null,
+    east: waitTimesById.get(Number(terminalIdEast)) || null,
+  };
+
+  // Live vessels (may be empty, missing or stale)
   let liveVessels = [];
   let usedFallback = false;
 
-  try {
-    liveVessels = await getNormalizedVessels();
-  } catch (err) {
-    console.error("Error fetching WSDOT vessellocations:", err.message || err);
+  const vesselsSnap = getSnapshot(vesselsKey());
+  if (vesselsSnap && Array.isArray(vesselsSnap.data)) {
+    liveVessels = vesselsSnap.data;
+    // Serving an old snapshot counts as a backend fallback.
+    usedFallback = !!feeds.vessels.isStale;
+  } else {
     usedFallback = true;
-    liveVessels = [];
   }
 
-// ---------------------------------------------------------------------------
-// NEW: Lane-vessel resolution (Cannon Section 3)
-// Instead of choosing lanes by direction, we map lanes to the vessels that
-// belong in slot 1 (upper) and slot 2 (lower), based on today's schedule.
-// ---------------------------------------------------------------------------
-const { upper: scheduledUpper, lower: scheduledLower, scheduleError } =
-  await deriveLaneVesselsForRoute(route, terminalIdWest, now);
+  // -------------------------------------------------------------------------
+  // Lane-vessel resolution (Cannon Section 3)
+  // One lane per schedule position active today (see deriveLaneVesselsForRoute).
+  // -------------------------------------------------------------------------
+  const { lanes: scheduledLanes, scheduleRows, scheduleError } =
+    deriveLaneVesselsForRoute(route, terminalIdWest, sched, now);
+
+  const { cancelledSailings, cancelledKeys } = deriveCancelledSailings({
+    routeId: route.routeId,
+    terminalIds: new Set([Number(terminalIdWest), Number(terminalIdEast)]),
+    scheduleRows,
+    liveVessels,
+    terminalsPayload,
+    now,
+  });
 
-// If schedule is unusable, *then* synthetic fallback is appropriate.
-if (scheduleError || (!scheduledUpper && !scheduledLower)) {
-  return buildSyntheticState(route, terminalIdWest, terminalIdEast, now);
-}
+  // Overnight: report when service resumes instead of inventing lanes.
+  const service = await resolveServiceWindow({
+    route,
+    terminalIds: { west: terminalIdWest, east: terminalIdEast },
+    scheduleRaws: [sched],
+    scheduleRows,
+    cancelledKeys,
+    liveVessels,
+    tripDateText,
+    nowMs,
+  });
+  if (service) {
+    const routeInfo = describeRouteEnds(route, terminalIdWest, terminalIdEast);
+    return buildServiceEndedState(routeInfo, now, feeds, service, {
+      alerts,
+      waitTimes,
+      cancelledSailings,
+      swaps: getRecentSwaps(route.routeId, tripDateText, nowMs),
+    });
+  }
 
-  // ---- Capacity for west/east terminals (Cannon capacity pies, hybrid rule) ----
-  if (terminalsPayload && Array.isArray(terminalsPayload)) {
-    // Choose the scheduled lane for each side based on departure terminal,
-    // not lane position (upper/lower).
-    let scheduledWestLane = null;
-    let scheduledEastLane = null;
-
-    if (scheduledUpper && scheduledUpper.departureTerminalId === terminalIdWest) {
-      scheduledWestLane = scheduledUpper;
-    } else if (scheduledLower && scheduledLower.departureTerminalId === terminalIdWest) {
-      scheduledWestLane = scheduledLower;
-    }
+  // No usable schedule: nothing to place the boats by.
+  if (scheduleError || scheduledLanes.length === 0) {
+    return buildNoScheduleState(route, terminalIdWest, terminalIdEast, now, feeds, {
+      alerts,
+      waitTimes,
+      swaps: getRecentSwaps(route.routeId, tripDateText, nowMs),
+    });
+  }
 
-    if (scheduledUpper && scheduledUpper.departureTerminalId === terminalIdEast) {
-      scheduledEastLane = scheduledUpper;
-    } else if (scheduledLower && scheduledLower.departureTerminalId === terminalIdEast) {
-      scheduledEastLane = scheduledLower;
+  // Load live vessels indexed by VesselID (may be empty)
+  const byId = new Map();
+  if (Array.isArray(liveVessels)) {
+    for (const v of liveVessels) {
+      if (v && v.vesselId != null) byId.set(v.vesselId, v);
     }
+  }
+
+  // Settle each lane's vessel and log swaps before capacity and the lanes
+  // read the caches a swap clears.
+  const laneVessels = resolveLaneVessels({
+    route,
+    serviceDate: tripDateText,
+    scheduledLanes,
+    liveVessels,
+    liveById: byId,
+    terminalIds: new Set([Number(terminalIdWest), Number(terminalIdEast)]),
+    nowMs,
+  });
+  const swaps = getRecentSwaps(route.routeId, tripDateText, nowMs);
+
+  // ---- Capacity for west/east terminals (Cannon capacity pies, hybrid rule) ----
+  if (terminalsPayload && Array.isArray(terminalsPayload)) {
+    // Prefer the vessel of the next scheduled (not cancelled) sailing from
+    // each side, whichever lane it belongs to.
+    const scheduledWestLane = findNextScheduledSailing(scheduleRows, terminalIdWest, nowMs, cancelledKeys);
+    const scheduledEastLane = findNextScheduledSailing(scheduleRows, terminalIdEast, nowMs, cancelledKeys);
 
     const westResult = deriveCapacityForSide({
       routeId: route.routeId,
@@ -1006,14 +2535,36 @@ if (scheduleError || (!scheduledUpper && !scheduledLower)) {
     if (west || east) {
       capacity = {
         westMaxAuto: west && typeof west.maxAuto === "number" ? west.maxAuto : null,
+        // AvailAuto is drive-up space; AvailReservable the open reservable
+        // space (null on routes without reservations).
         westAvailAuto: west && typeof west.availAuto === "number" ? west.availAuto : null,
+        westAvailReservable: west && typeof west.availReservable === "number" ? west.availReservable : null,
         westVesselId: west ? west.vesselId : null,
         westVesselName: west ? west.vesselName : null,
 
         eastMaxAuto: east && typeof east.maxAuto === "number" ? east.maxAuto : null,
         eastAvailAuto: east && typeof east.availAuto === "number" ? east.availAuto : null,
+        eastAvailReservable: east && typeof east.availReservable === "number" ? east.availReservable : null,
         eastVesselId: east ? east.vesselId : null,
         eastVesselName: east ? east.vesselName : null,
+
+        // When the sailing behind each pie is expected to fill (capacityTrend.js).
+        westSellOut: west
+          ? predictSellOut({
+              departingTerminalId: terminalIdWest,
+              arrivingTerminalId: terminalIdEast,
+              departure: west.departure,
+              nowMs,
+            })
+          : null,
+        eastSellOut: east
+          ? predictSellOut({
+              departingTerminalId: terminalIdEast,
+              arrivingTerminalId: terminalIdWest,
+              departure: east.departure,
+              nowMs,
+            })
+          : null,
       };
 
       const timestamps = [];
@@ -1038,144 +2589,107 @@ if (scheduleError || (!scheduledUpper && !scheduledLower)) {
     capacityStale = true;
   }
 
-// Load live vessels indexed by VesselID (may be empty)
-const byId = new Map();
-if (Array.isArray(liveVessels)) {
-  for (const v of liveVessels) {
-    if (v && v.vesselId != null) byId.set(v.vesselId, v);
-  }
-}
-
-// Determine live raw vessels for each lane by matching scheduled vesselIds
-let upperRaw = null;
-let lowerRaw = null;
-
-if (scheduledUpper && scheduledUpper.vesselId != null) {
-  upperRaw = byId.get(scheduledUpper.vesselId) || null;
-}
-
-if (scheduledLower && scheduledLower.vesselId != null) {
-  lowerRaw = byId.get(scheduledLower.vesselId) || null;
-}
-
-// If neither lane has a scheduled vessel OR schedule failed entirely,
-// we cannot assign lanes → synthetic fallback
-if (scheduleError || (!scheduledUpper && !scheduledLower)) {
-  return buildSyntheticState(route, terminalIdWest, terminalIdEast, now);
-}
-
   // ---- Build lanes with last-good caching ----
-  let upperLane;
-  let lowerLane;
-  let upperSource = "missing"; // "live" | "stale" | "missing"
-  let lowerSource = "missing";
-
-  // UPPER lane: slot 1 vessel, direction from live terminals when available.
-  if (upperRaw) {
-    const upperDirMeta = deriveDirectionAndTerminals(
-      upperRaw,
-      terminalIdWest,
-      terminalIdEast,
-      "WEST_TO_EAST" // default expectation for upper lane
-    );
+  const lanes = [];
+  const laneSources = {}; // laneKey -> "live" | "stale" | "schedule" | "missing"
+
+  for (const scheduled of laneVessels) {
+    const { laneKey, vesselPositionNumber } = scheduled;
+    const raw = byId.get(scheduled.vesselId) || null;
+    let lane = null;
+
+    if (raw) {
+      // Direction from live terminals when available.
+      const dirMeta = deriveDirectionAndTerminals(
+        raw,
+        terminalIdWest,
+        terminalIdEast,
+        defaultDirectionForPosition(vesselPositionNumber)
+      );
 
-    upperLane = buildLaneFromVessel(upperRaw, {
-      laneId: "UPPER",
-      positionNumber: 1,
-      direction: upperDirMeta.direction,
-      departureTerminalId: upperDirMeta.departureTerminalId,
-      arrivalTerminalId: upperDirMeta.arrivalTerminalId,
-      route,
-      now,
-    });
-    upperSource = "live";
-    setLastGoodLane(route.routeId, "upper", upperLane, nowMs);
+      lane = buildLaneFromVessel(raw, {
+        laneId: `POSITION_${vesselPositionNumber}`,
+        positionNumber: vesselPositionNumber,
+        direction: dirMeta.direction,
+        departureTerminalId: dirMeta.departureTerminalId,
+        arrivalTerminalId: dirMeta.arrivalTerminalId,
+        route,
+        now,
+      });
+      lane = applyLaneDelay(lane, raw, {
+        crossingMinutes: route.crossingTimeMinutes,
+        scheduleRows,
+        thresholds: getDelayThresholds(route),
+        now,
+      });
+      lane = applyVesselPhase(lane, raw, now);
+      lane.laneKey = laneKey;
+      laneSources[laneKey] = "live";
+      setLastGoodLane(route.routeId, laneKey, lane, nowMs);
     } else {
-      const cachedLower = getLastGoodLane(route.routeId, "lower", nowMs);
-      if (cachedLower) {
-        lowerLane = {
-          ...cachedLower,
+      const cached = getLastGoodLane(route.routeId, laneKey, nowMs);
+      if (cached) {
+        lane = {
+          ...cached,
           lastUpdatedVessels: nowIso,
           isStale: true,
         };
-        lowerSource = "stale";
+        laneSources[laneKey] = "stale";
       } else {
-        // No live or cached data: remove the lane instead of fabricating a bogus one.
-        lowerLane = null;
-        lowerSource = "missing";
+        // No live or cached data: where the timetable puts the boat, if it
+        // has a sailing for this lane.
+        const posRows = scheduleRows.filter(
+          (r) => Number(r.vesselPositionNumber) === Number(vesselPositionNumber)
+        );
+        const projected = projectLaneFromSchedule(posRows, {
+          laneKey,
+          positionNumber: vesselPositionNumber,
+          terminalIdWest,
+          terminalIdEast,
+          route,
+          cancelledKeys,
+          now,
+        });
+        laneSources[laneKey] = projected ? "schedule" : "missing";
+        // Projections carry their own dock times and stay out of the dock
+        // history, which only tracks observed arrivals.
+        if (projected) lanes.push(projected);
       }
     }
 
-  // LOWER lane: slot 2 vessel, direction from live terminals when available.
-  if (lowerRaw) {
-    const lowerDirMeta = deriveDirectionAndTerminals(
-      lowerRaw,
-      terminalIdWest,
-      terminalIdEast,
-      "EAST_TO_WEST" // default expectation for lower lane
-    );
+    if (!lane) continue;
 
-    lowerLane = buildLaneFromVessel(lowerRaw, {
-      laneId: "LOWER",
-      positionNumber: 2,
-      direction: lowerDirMeta.direction,
-      departureTerminalId: lowerDirMeta.departureTerminalId,
-      arrivalTerminalId: lowerDirMeta.arrivalTerminalId,
-      route,
-      now,
-    });
-    lowerSource = "live";
-    setLastGoodLane(route.routeId, "lower", lowerLane, nowMs);
-  } else {
+    // Move stale phases along, then snap them to dock once past their ETA.
+    lane = refreshStaleLanePhase(lane, now);
+    lane = snapStaleLaneToDockIfArrived(lane, now);
 
-    const cachedLower = getLastGoodLane(route.routeId, "lower", nowMs);
-    if (cachedLower) {
-      lowerLane = {
-        ...cachedLower,
-        lastUpdatedVessels: nowIso,
-        isStale: true,
-      };
-      lowerSource = "stale";
-    } else {
-      lowerLane = buildLaneFromVessel(null, {
-        laneId: "LOWER",
-        positionNumber: 2,
-        direction: "EAST_TO_WEST",
-        departureTerminalId: terminalIdEast,
-        arrivalTerminalId: terminalIdWest,
-        route,
-        now,
-      });
-      lowerSource = "missing";
-    }
+    // Compute Cannon dock metadata (dockStartTime, dockStartIsSynthetic, dockArcFraction)
+    // based on per-route, per-lane history.
+    lane = updateDockMetaForLane(route.routeId, laneKey, lane, now);
+    lanes.push(lane);
   }
 
-  // Snap stale lanes to dock if we've passed their ETA.
-  upperLane = snapStaleLaneToDockIfArrived(upperLane, now);
-  lowerLane = snapStaleLaneToDockIfArrived(lowerLane, now);
-
-  // Compute Cannon dock metadata (dockStartTime, dockStartIsSynthetic, dockArcFraction)
-  // based on per-route, per-lane history.
-  upperLane = updateDockMetaForLane(route.routeId, "upper", upperLane, now);
-  lowerLane = updateDockMetaForLane(route.routeId, "lower", lowerLane, now);
-
   // ---- Fallback classification for meta ----
   let fallbackMode = "live";
   let reason = "ok";
 
-  const anyNonLive =
-    (upperSource !== "live") || (lowerSource !== "live");
+  const sources = Object.values(laneSources);
+  const anyNonLive = sources.some((s) => s !== "live");
 
   if (anyNonLive) {
     fallbackMode = "partial";
-    // Distinguish between missing and stale lanes for debugging.
-    const anyMissing =
-      (upperSource === "missing") || (lowerSource === "missing");
-    if (anyMissing) {
+    // Distinguish between missing, projected and stale lanes for debugging.
+    if (sources.includes("missing")) {
       reason = "missing_lane";
+    } else if (sources.includes("schedule")) {
+      reason = "schedule_lane";
     } else {
       reason = "stale_lane";
     }
+    // Every lane placed by the timetable alone.
+    if (sources.every((s) => s === "schedule")) {
+      fallbackMode = "schedule";
+    }
   }
 
   // Route-level staleness: true if any lane is not live.
@@ -1202,29 +2716,69 @@ if (scheduleError || (!scheduledUpper && !scheduledLower)) {
       labelWest,
       labelEast,
     },
-    lanes: {
-      upper: upperLane,
-      lower: lowerLane,
-    },
+    // Ordered by schedule position; length varies (1 late at night, 3 on busy days).
+    lanes,
     capacity: capacity || null,
+    // Earliest first: { departingTerminalId, arrivingTerminalId,
+    //   scheduledDeparture, vesselId, vesselName, source }
+    cancelledSailings,
+    // Per side: { terminalId, terminalName, notes, waitMinutes, lastUpdated,
+    //   isStale } or null when WSDOT has no current note.
+    waitTimes,
+    // Outside service hours see buildServiceEndedState.
+    service: { status: "running" },
     meta: {
       lastUpdatedVessels: nowIso,
       lastUpdatedCapacity: capacityLastUpdatedIso,
       vesselsStale,
       capacityStale,
+      waitTimesStale: waitTimesStale(waitTimes),
       serverTime: nowIso,
+      replay: describeReplay(),
+      feeds,
+      alerts,
+      // Recent lane vessel changes, newest first (vesselSwaps.js).
+      swaps,
       fallback: {
         mode: fallbackMode,
-        lanes: {
-          upper: upperSource, // "live" | "stale" | "missing"
-          lower: lowerSource,
-        },
+        lanes: laneSources, // { pos1: "live" | "stale" | "missing", ... }
       },
       reason,
     },
   };
 }
 
+// Vessel class and capacities for a lane (vesselProfiles.js), or null.
+function laneVesselProfile(vesselId) {
+  const p = getVesselProfile(vesselId);
+  if (!p) return null;
+  return {
+    className: p.className,
+    maxVehicles: p.maxVehicles,
+    maxPassengers: p.maxPassengers,
+    yearBuilt: p.yearBuilt,
+  };
+}
+
+function withVesselProfiles(list) {
+  return Array.isArray(list)
+    ? list.map((lane) => ({ ...lane, vesselProfile: laneVesselProfile(lane.vesselId) }))
+    : list;
+}
+
+// Public entry point: lanes (and triangle vessels) get their vessel profile,
+// and every built state is archived (stateHistory.js) for /api/dot-state?at=
+// and /api/history.
+async function buildDotState(routeId) {
+  let state = await buildRouteState(routeId);
+  if (state) {
+    state = { ...state, lanes: withVesselProfiles(state.lanes) };
+    if (state.vessels) state.vessels = withVesselProfiles(state.vessels);
+    recordDotState(state.route.routeId, state);
+  }
+  return state;
+}
+
 module.exports = {
   buildDotState,
 };
@@ -0,0 +1,257 @@
+// backend/dotStateStream.js
+// Server-Sent Events stream of dot-state: GET /api/dot-state/stream?routeId=
+//
+// - One channel per route shared by every connected client
+// - The channel rebuilds dot-state whenever feedStore reports a poll result
+//   and pushes only when something beyond per-build timestamps changed
+// - Events:
+//     event: snapshot   data = full dot-state (same shape as /api/dot-state)
+//     event: delta      data = { base, ops } (ops from stateDiff.js, to be
+//                       applied on top of the state of event id `base`)
+// - A full snapshot replaces deltas every FULL_SNAPSHOT_EVERY events or
+//   FULL_SNAPSHOT_MAX_AGE_MS, so a client never depends on a long delta chain
+// - Reconnects with Last-Event-ID replay the missed events from a short ring
+//   buffer; anything older (or from a previous server process) gets a snapshot
+
+const { buildDotState } = require("./dotState");
+const { onFeedUpdate } = require("./feedStore");
+const { diffState, hasMeaningfulChange } = require("./stateDiff");
+const { now } = require("./clock");
+
+const FULL_SNAPSHOT_EVERY = 30;
+const FULL_SNAPSHOT_MAX_AGE_MS = 5 * 60 * 1000;
+const RESUME_BUFFER_SIZE = 50;
+const KEEPALIVE_MS = 20 * 1000;
+const RETRY_MS = 5000;
+// Several feeds often finish together; rebuild once for the burst.
+const REBUILD_DEBOUNCE_MS = 250;
+
+// Event ids are "<boot>.<seq>": never reused within a process, and ids from
+// an earlier process are recognisably foreign after a restart.
+const BOOT_ID = Date.now().toString(36);
+let lastSeq = 0;
+
+// routeId -> { routeId, clients, connecting, unknownRoute, state, events,
+//              sinceSnapshot, lastSnapshotMs, building, dirty, timer }
+const channels = new Map();
+
+let unsubscribeFeeds = null;
+let keepaliveTimer = null;
+
+function nextEventId() {
+  lastSeq += 1;
+  return `${BOOT_ID}.${lastSeq}`;
+}
+
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: ${event.type}\ndata: ${event.data}\n\n`;
+}
+
+function pushEvent(channel, type, payload) {
+  const event = { id: nextEventId(), type, data: JSON.stringify(payload) };
+  channel.events.push(event);
+  if (channel.events.length > RESUME_BUFFER_SIZE) channel.events.shift();
+
+  const text = formatEvent(event);
+  for (const res of channel.clients) res.write(text);
+  return event;
+}
+
+function lastEventId(channel) {
+  const last = channel.events[channel.events.length - 1];
+  return last ? last.id : null;
+}
+
+function pushSnapshot(channel, state) {
+  channel.state = state;
+  channel.sinceSnapshot = 0;
+  channel.lastSnapshotMs = Date.now();
+  pushEvent(channel, "snapshot", state);
+}
+
+// Rebuild one channel and push a snapshot or delta if anything changed.
+async function rebuildChannel(channel) {
+  if (channel.building) {
+    channel.dirty = true;
+    return channel.building;
+  }
+
+  channel.building = (async () => {
+    try {
+      const next = await buildDotState(channel.routeId);
+      channel.unknownRoute = !next;
+      if (!next) return;
+
+      if (!channel.state) {
+        pushSnapshot(channel, next);
+        return;
+      }
+
+      const ops = diffState(channel.state, next);
+      if (!hasMeaningfulChange(ops)) return;
+
+      const snapshotDue =
+        channel.sinceSnapshot + 1 >= FULL_SNAPSHOT_EVERY ||
+        Date.now() - channel.lastSnapshotMs >= FULL_SNAPSHOT_MAX_AGE_MS;
+
+      if (snapshotDue) {
+        pushSnapshot(channel, next);
+      } else {
+        const base = lastEventId(channel);
+        channel.state = next;
+        channel.sinceSnapshot += 1;
+        pushEvent(channel, "delta", { base, ops });
+      }
+    } catch (err) {
+      // Clients keep their last state; the next feed update retries.
+      console.error(`Error rebuilding dot-state stream for route ${channel.routeId}:`, err);
+    } finally {
+      channel.building = null;
+    }
+  })();
+
+  await channel.building;
+
+  if (channel.dirty) {
+    channel.dirty = false;
+    if (channels.get(channel.routeId) === channel) await rebuildChannel(channel);
+  }
+}
+
+function scheduleRebuild(channel) {
+  if (channel.timer) return;
+  channel.timer = setTimeout(() => {
+    channel.timer = null;
+    rebuildChannel(channel);
+  }, REBUILD_DEBOUNCE_MS);
+}
+
+function handleFeedUpdate() {
+  for (const channel of channels.values()) scheduleRebuild(channel);
+}
+
+function sendKeepalive() {
+  for (const channel of channels.values()) {
+    for (const res of channel.clients) res.write(": keepalive\n\n");
+  }
+}
+
+function ensureListening() {
+  if (!unsubscribeFeeds) unsubscribeFeeds = onFeedUpdate(handleFeedUpdate);
+  if (!keepaliveTimer) {
+    keepaliveTimer = setInterval(sendKeepalive, KEEPALIVE_MS);
+    if (typeof keepaliveTimer.unref === "function") keepaliveTimer.unref();
+  }
+}
+
+function stopListeningIfIdle() {
+  if (channels.size > 0) return;
+  if (unsubscribeFeeds) unsubscribeFeeds();
+  unsubscribeFeeds = null;
+  clearInterval(keepaliveTimer);
+  keepaliveTimer = null;
+}
+
+function getChannel(routeId) {
+  let channel = channels.get(routeId);
+  if (!channel) {
+    channel = {
+      routeId,
+      clients: new Set(),
+      connecting: 0, // requests still waiting for the first build
+      unknownRoute: false,
+      state: null,
+      events: [],
+      sinceSnapshot: 0,
+      lastSnapshotMs: 0,
+      building: null,
+      dirty: false,
+      timer: null,
+    };
+    channels.set(routeId, channel);
+  }
+  return channel;
+}
+
+function dropChannelIfIdle(channel) {
+  if (channel.clients.size > 0 || channel.connecting > 0) return;
+  if (channels.get(channel.routeId) !== channel) return;
+  clearTimeout(channel.timer);
+  channels.delete(channel.routeId);
+  stopListeningIfIdle();
+}
+
+// Events a reconnecting client missed, or null when it needs a snapshot.
+function eventsSince(channel, id) {
+  if (!id) return null;
+  const i = channel.events.findIndex((e) => e.id === id);
+  return i === -1 ? null : channel.events.slice(i + 1);
+}
+
+// Express handler for GET /api/dot-state/stream
+async function handleDotStateStream(req, res) {
+  const routeId = parseInt(req.query.routeId, 10) || 5;
+  const channel = getChannel(routeId);
+  ensureListening();
+
+  let closed = false;
+  channel.connecting += 1;
+  res.on("close", () => {
+    closed = true;
+    channel.clients.delete(res);
+    dropChannelIfIdle(channel);
+  });
+
+  if (!channel.state) {
+    await rebuildChannel(channel);
+  }
+  channel.connecting -= 1;
+
+  if (closed) {
+    // The close handler ran while this request was still connecting and
+    // could not drop the channel then.
+    dropChannelIfIdle(channel);
+    return;
+  }
+
+  if (!channel.state) {
+    // Same answers as /api/dot-state; EventSource gives up on a non-200.
+    return channel.unknownRoute
+      ? res.status(404).json({ error: "Unknown routeId" })
+      : res.status(500).json({ error: "Internal error building dot state" });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // let proxies stream instead of buffering
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const resumeId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+  const missed = eventsSince(channel, resumeId);
+  if (missed) {
+    missed.forEach((event) => res.write(formatEvent(event)));
+  } else {
+    // The shared state may be minutes old when nothing changed; clients sync
+    // their replay clock from serverTime, so restamp it for this connection.
+    const state = {
+      ...channel.state,
+      meta: { ...channel.state.meta, serverTime: now().toISOString() },
+    };
+    res.write(
+      formatEvent({
+        id: lastEventId(channel),
+        type: "snapshot",
+        data: JSON.stringify(state),
+      })
+    );
+  }
+
+  channel.clients.add(res);
+}
+
+module.exports = {
+  handleDotStateStream,
+};
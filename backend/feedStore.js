@@ -0,0 +1,358 @@
+// backend/feedStore.js
+// Shared background ingestion for WSDOT feeds.
+//
+// - One worker polls each WSDOT feed on its own cadence
+// - Results land in a shared in-memory snapshot store
+// - A failed poll keeps the previous snapshot and records the error
+// - buildDotState reads only from these snapshots; it never calls WSDOT itself.
+// - Listeners registered with onFeedUpdate hear about every poll result.
+//
+// vessellocations, terminalsailingspace, schedule alerts, terminal bulletins
+// and terminal wait times are global (every route), so they are fetched once
+// per cadence no matter how many clocks are polling.
+// Schedules are per route + trip date and are polled for every tracked route
+// (plus any later day already primed); once the service day rolls over,
+// earlier days' schedules are dropped.
+// The route catalogue (routeCatalog.js) is rebuilt once per service day; the
+// hourly poll just notices when the service day rolls over. Vessel profiles
+// (vesselProfiles.js) work the same way with a 24-hour cache.
+
+const { getRoutes, refreshRouteCatalog } = require("./routeCatalog");
+const { refreshVesselProfiles } = require("./vesselProfiles");
+const {
+  getNormalizedVessels,
+  fetchDailyScheduleRaw,
+  fetchTerminalSpaces,
+  fetchScheduleAlerts,
+  fetchTerminalBulletins,
+  fetchTerminalWaitTimes,
+} = require("./wsdotClient");
+const { getServiceDate } = require("./serviceDay");
+const { now, nowMs, realIntervalMs } = require("./clock");
+
+// Poll cadence per feed (env overrides are handy for local debugging).
+const FEED_INTERVALS_MS = {
+  vessels: Number(process.env.WSDOT_POLL_VESSELS_MS) || 10 * 1000,
+  terminals: Number(process.env.WSDOT_POLL_TERMINALS_MS) || 30 * 1000,
+  schedule: Number(process.env.WSDOT_POLL_SCHEDULE_MS) || 5 * 60 * 1000,
+  routes: Number(process.env.WSDOT_POLL_ROUTES_MS) || 60 * 60 * 1000,
+  alerts: Number(process.env.WSDOT_POLL_ALERTS_MS) || 5 * 60 * 1000,
+  bulletins: Number(process.env.WSDOT_POLL_BULLETINS_MS) || 15 * 60 * 1000,
+  waitTimes: Number(process.env.WSDOT_POLL_WAITTIMES_MS) || 5 * 60 * 1000,
+  vesselProfiles: Number(process.env.WSDOT_POLL_VESSEL_PROFILES_MS) || 60 * 60 * 1000,
+};
+
+// A snapshot older than this many poll intervals is reported as stale.
+const STALE_AFTER_INTERVALS = 3;
+
+// primeSchedule retries a schedule that has never loaded at most this often.
+const SCHEDULE_RETRY_MS = 60 * 1000;
+
+// key -> { feed, data, fetchedMs, lastAttemptMs, error }
+const snapshots = Object.create(null);
+
+// key -> Promise for a poll currently in flight (prevents overlapping polls).
+const inFlight = Object.create(null);
+
+// Routes whose schedules the worker keeps fresh.
+const trackedRouteIds = new Set();
+
+// Called with (key, feed) after every poll, successful or not.
+const updateListeners = new Set();
+
+let timers = [];
+let initialRound = null;
+
+function vesselsKey() {
+  return "vessels";
+}
+
+function terminalsKey() {
+  return "terminals";
+}
+
+function routesKey() {
+  return "routes";
+}
+
+function alertsKey() {
+  return "alerts";
+}
+
+function bulletinsKey() {
+  return "bulletins";
+}
+
+function waitTimesKey() {
+  return "waitTimes";
+}
+
+function vesselProfilesKey() {
+  return "vesselProfiles";
+}
+
+function scheduleKey(routeId, tripDateText) {
+  return `schedule:${routeId}:${tripDateText}`;
+}
+
+function recordSuccess(key, feed, data, nowMs) {
+  snapshots[key] = {
+    feed,
+    data,
+    fetchedMs: nowMs,
+    lastAttemptMs: nowMs,
+    error: null,
+  };
+}
+
+function recordFailure(key, feed, err, nowMs) {
+  const prev = snapshots[key] || null;
+  // Keep the previous data so readers can still serve it as stale.
+  snapshots[key] = {
+    feed,
+    data: prev ? prev.data : null,
+    fetchedMs: prev ? prev.fetchedMs : null,
+    lastAttemptMs: nowMs,
+    error: (err && err.message) || String(err),
+  };
+}
+
+function notifyUpdate(key, feed) {
+  for (const listener of updateListeners) {
+    try {
+      listener(key, feed);
+    } catch (err) {
+      console.error(`Feed update listener failed (${key}):`, err.message || err);
+    }
+  }
+}
+
+async function pollFeed(key, feed, fetchFn) {
+  if (inFlight[key]) return inFlight[key];
+
+  const run = (async () => {
+    try {
+      const data = await fetchFn();
+      recordSuccess(key, feed, data, nowMs());
+    } catch (err) {
+      console.error(`Error polling WSDOT ${feed} (${key}):`, err.message || err);
+      recordFailure(key, feed, err, nowMs());
+    } finally {
+      delete inFlight[key];
+    }
+    notifyUpdate(key, feed);
+  })();
+
+  inFlight[key] = run;
+  return run;
+}
+
+function pollVessels() {
+  return pollFeed(vesselsKey(), "vessels", getNormalizedVessels);
+}
+
+function pollTerminals() {
+  return pollFeed(terminalsKey(), "terminals", fetchTerminalSpaces);
+}
+
+function pollAlerts() {
+  return pollFeed(alertsKey(), "alerts", fetchScheduleAlerts);
+}
+
+function pollBulletins() {
+  return pollFeed(bulletinsKey(), "bulletins", fetchTerminalBulletins);
+}
+
+function pollWaitTimes() {
+  return pollFeed(waitTimesKey(), "waitTimes", fetchTerminalWaitTimes);
+}
+
+function pollVesselProfiles() {
+  return pollFeed(vesselProfilesKey(), "vesselProfiles", refreshVesselProfiles);
+}
+
+function pollRoutes() {
+  const tripDateText = getServiceDate(now());
+  return pollFeed(routesKey(), "routes", () => refreshRouteCatalog(tripDateText));
+}
+
+function pollSchedule(routeId, tripDateText) {
+  return pollFeed(scheduleKey(routeId, tripDateText), "schedule", () =>
+    fetchDailyScheduleRaw(routeId, tripDateText)
+  );
+}
+
+// Drop schedule snapshots for service days before tripDateText, so a long
+// running process does not keep every day's timetables. Today's and any
+// primed later day (end of service looks one day ahead) stay.
+function dropOldSchedules(tripDateText) {
+  for (const key of Object.keys(snapshots)) {
+    if (snapshots[key].feed !== "schedule" || inFlight[key]) continue;
+    const dateText = key.slice(key.lastIndexOf(":") + 1);
+    // YYYY-MM-DD compares correctly as text.
+    if (dateText < tripDateText) delete snapshots[key];
+  }
+}
+
+function pollSchedules() {
+  // Pacific service day, so evening polls never fetch tomorrow's schedule.
+  const tripDateText = getServiceDate(now());
+  dropOldSchedules(tripDateText);
+  const polls = [];
+  for (const routeId of trackedRouteIds) {
+    polls.push(pollSchedule(routeId, tripDateText));
+  }
+  // Later days primed for end of service stay fresh too, so a failed first
+  // fetch does not stick for the night.
+  for (const key of Object.keys(snapshots)) {
+    if (snapshots[key].feed !== "schedule") continue;
+    const [, routeIdText, dateText] = key.split(":");
+    if (dateText > tripDateText) polls.push(pollSchedule(Number(routeIdText), dateText));
+  }
+  return Promise.all(polls);
+}
+
+// Register a route so the worker keeps its schedule fresh.
+function trackRoute(routeId) {
+  if (routeId == null) return;
+  trackedRouteIds.add(Number(routeId));
+}
+
+// Track every route in the current catalogue.
+function trackCatalogRoutes() {
+  for (const route of getRoutes()) {
+    // Multi-terminal routes merge several WSDOT route schedules.
+    const ids = Array.isArray(route.memberRouteIds)
+      ? route.memberRouteIds
+      : [route.routeId];
+    ids.forEach(trackRoute);
+  }
+}
+
+// Refresh the catalogue, then pick up any newly discovered routes.
+function pollRoutesAndTrack() {
+  return pollRoutes().then(trackCatalogRoutes);
+}
+
+// ---------------------------------------------------------------------------
+// Worker lifecycle
+// ---------------------------------------------------------------------------
+
+function startIngestion() {
+  if (initialRound) return initialRound;
+
+  initialRound = Promise.all([
+    pollVessels(),
+    pollTerminals(),
+    pollAlerts(),
+    pollBulletins(),
+    pollWaitTimes(),
+    pollVesselProfiles(),
+    // Schedules need the catalogue first so discovered routes are tracked.
+    pollRoutesAndTrack().then(pollSchedules),
+  ]).then(() => undefined);
+
+  const every = (fn, ms) => {
+    // Cadences are in feed time; replay at N× speed polls N× as often.
+    const id = setInterval(fn, realIntervalMs(ms));
+    // Never keep the process alive just for polling (tools, scripts).
+    if (typeof id.unref === "function") id.unref();
+    timers.push(id);
+  };
+
+  every(pollVessels, FEED_INTERVALS_MS.vessels);
+  every(pollTerminals, FEED_INTERVALS_MS.terminals);
+  every(pollAlerts, FEED_INTERVALS_MS.alerts);
+  every(pollBulletins, FEED_INTERVALS_MS.bulletins);
+  every(pollWaitTimes, FEED_INTERVALS_MS.waitTimes);
+  every(pollVesselProfiles, FEED_INTERVALS_MS.vesselProfiles);
+  every(pollSchedules, FEED_INTERVALS_MS.schedule);
+  every(pollRoutesAndTrack, FEED_INTERVALS_MS.routes);
+
+  return initialRound;
+}
+
+function stopIngestion() {
+  for (const id of timers) clearInterval(id);
+  timers = [];
+  initialRound = null;
+}
+
+// Resolves once the first poll round has finished (starting the worker if
+// nobody has yet), so the very first request after boot sees real data.
+function whenReady() {
+  return startIngestion();
+}
+
+// Make sure a schedule snapshot exists for this route/date. A route that is
+// not tracked yet gets one poll now; afterwards the worker keeps it fresh.
+// A snapshot without data (every fetch so far failed) is retried, at most
+// once per SCHEDULE_RETRY_MS.
+async function primeSchedule(routeId, tripDateText) {
+  trackRoute(routeId);
+  const key = scheduleKey(routeId, tripDateText);
+  const snap = snapshots[key];
+  if (!snap || (snap.data == null && nowMs() - snap.lastAttemptMs >= SCHEDULE_RETRY_MS)) {
+    await pollSchedule(routeId, tripDateText);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Readers
+// ---------------------------------------------------------------------------
+
+// Subscribe to poll results (the SSE stream rebuilds dot-state on these).
+// Returns an unsubscribe function.
+function onFeedUpdate(listener) {
+  updateListeners.add(listener);
+  return () => updateListeners.delete(listener);
+}
+
+function getSnapshot(key) {
+  return snapshots[key] || null;
+}
+
+function intervalForFeed(feed) {
+  return FEED_INTERVALS_MS[feed] || FEED_INTERVALS_MS.vessels;
+}
+
+// Age/health descriptor for one snapshot, as reported in dot-state meta.
+function describeFeed(key, nowMs) {
+  const snap = snapshots[key] || null;
+  if (!snap || snap.fetchedMs == null) {
+    return {
+      lastUpdated: null,
+      ageMs: null,
+      isStale: true,
+      error: snap ? snap.error : null,
+    };
+  }
+
+  const ageMs = Math.max(0, nowMs - snap.fetchedMs);
+  return {
+    lastUpdated: new Date(snap.fetchedMs).toISOString(),
+    ageMs,
+    isStale: ageMs > intervalForFeed(snap.feed) * STALE_AFTER_INTERVALS,
+    error: snap.error,
+  };
+}
+
+module.exports = {
+  FEED_INTERVALS_MS,
+  startIngestion,
+  stopIngestion,
+  whenReady,
+  trackRoute,
+  primeSchedule,
+  getSnapshot,
+  describeFeed,
+  onFeedUpdate,
+  vesselsKey,
+  terminalsKey,
+  routesKey,
+  alertsKey,
+  bulletinsKey,
+  waitTimesKey,
+  vesselProfilesKey,
+  scheduleKey,
+};
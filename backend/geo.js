@@ -0,0 +1,48 @@
+// backend/geo.js
+// Great-circle helpers for placing a vessel along its crossing.
+
+const EARTH_RADIUS_M = 6371008.8;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function isCoordinate(p) {
+  return !!p && Number.isFinite(p.lat) && Number.isFinite(p.lon);
+}
+
+// Haversine distance in metres between two { lat, lon } points.
+function haversineMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Progress [0, 1] of `pos` between two terminals: distance already covered
+// over covered + remaining. Unlike a projection onto the straight line this
+// stays monotonic on dog-leg crossings (Bainbridge around Wing Point) and
+// reads 1 for a boat holding just outside the arrival slip.
+//
+// Returns null when `pos` is too far off the crossing to be on it
+// (covered + remaining > maxDetour × direct distance): bad fixes, or a boat
+// repositioning rather than sailing the leg.
+function crossingProgress(from, to, pos, maxDetour = 1.6) {
+  if (!isCoordinate(from) || !isCoordinate(to) || !isCoordinate(pos)) return null;
+
+  const direct = haversineMeters(from, to);
+  if (!(direct > 0)) return null;
+
+  const covered = haversineMeters(from, pos);
+  const remaining = haversineMeters(pos, to);
+  if (covered + remaining > direct * maxDetour) return null;
+
+  return covered / (covered + remaining);
+}
+
+module.exports = {
+  haversineMeters,
+  crossingProgress,
+};
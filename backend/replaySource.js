@@ -0,0 +1,268 @@
+// backend/replaySource.js
+// Offline replay of recorded WSDOT responses.
+//
+// Enabled by WSDOT_REPLAY_DIR. wsdotClient.js then answers every request
+// from the recordings in that directory instead of the network (no API key
+// needed), and clock.js reports the recording's virtual time.
+//
+//   WSDOT_REPLAY_DIR    directory with *.jsonl / *.jsonl.gz recordings
+//   WSDOT_REPLAY_SPEED  playback speed (1 = real time, 10 = ten times faster)
+//   WSDOT_REPLAY_LOOP   "0" to stop at the end of the recording (default: loop)
+//   WSDOT_REPLAY_FROM   ISO time to start playback at (default: first record)
+//   WSDOT_REPLAY_TO     ISO time to end playback at (default: last record)
+//
+// When the directory has an index.json (written by tools/recordWsdot.js),
+// only files overlapping FROM..TO are read, plus the one before FROM so slow
+// feeds (schedule, routedetails) already have a value at the seek point.
+//
+// Record formats (one JSON object per line):
+//   { t, vessels: [...] }          legacy vessellocations snapshot
+//   { t, error }                   legacy failed vessellocations poll
+//   { t, path, data }              any endpoint; path is the URL path after
+//                                  /rest/ without the query string, e.g.
+//                                  "schedule/2025-11-22/5"
+//   { t, path, error }             failed poll for that endpoint
+//
+// For a request at virtual time T the latest record for its path with t <= T
+// is served (or the first one when T is before it). Error records replay as
+// failures, so field bugs reproduce against the exact sequence that caused them.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const REPLAY_DIR = process.env.WSDOT_REPLAY_DIR || null;
+const REPLAY_SPEED = Number(process.env.WSDOT_REPLAY_SPEED) > 0
+  ? Number(process.env.WSDOT_REPLAY_SPEED)
+  : 1;
+const REPLAY_LOOP = process.env.WSDOT_REPLAY_LOOP !== "0";
+
+function parseIsoEnv(name) {
+  const raw = process.env[name];
+  if (!raw) return null;
+  const ms = Date.parse(raw);
+  if (!Number.isFinite(ms)) {
+    console.error(`Replay: ignoring ${name}=${raw} (not an ISO time)`);
+    return null;
+  }
+  return ms;
+}
+
+const REPLAY_FROM_MS = parseIsoEnv("WSDOT_REPLAY_FROM");
+const REPLAY_TO_MS = parseIsoEnv("WSDOT_REPLAY_TO");
+
+const LEGACY_VESSELS_PATH = "vessellocations";
+
+// path -> [{ tMs, data, error }] sorted by tMs; built lazily on first use.
+let timeline = null;
+let startMs = null;
+let endMs = null;
+
+// Real time at which playback started (first use).
+let playbackStartedMs = null;
+
+function isReplayEnabled() {
+  return !!REPLAY_DIR;
+}
+
+// URL path after /rest/ without query string: the key recordings use.
+function replayPathForUrl(url) {
+  const noQuery = String(url).split("?")[0];
+  const i = noQuery.indexOf("/rest/");
+  const rest = i === -1 ? noQuery : noQuery.slice(i + "/rest/".length);
+  return decodeURIComponent(rest).replace(/\/+$/, "");
+}
+
+function toRecordEntry(rec) {
+  const tMs = rec && rec.t ? Date.parse(rec.t) : NaN;
+  if (!Number.isFinite(tMs)) return null;
+
+  if (rec.path) {
+    return {
+      path: String(rec.path),
+      entry: { tMs, data: rec.data, error: rec.error || null },
+    };
+  }
+
+  // Legacy recorder (tools/recordTacomaWenatchee.js): vessellocations only.
+  if (Array.isArray(rec.vessels) || rec.error) {
+    return {
+      path: LEGACY_VESSELS_PATH,
+      entry: { tMs, data: rec.vessels || null, error: rec.error || null },
+    };
+  }
+
+  return null;
+}
+
+function readIndex(dir) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(path.join(dir, "index.json"), "utf8"));
+    return parsed && Array.isArray(parsed.files) ? parsed : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Recording files to load, narrowed to the FROM..TO window via index.json.
+function listRecordingFiles(dir) {
+  const names = fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".jsonl") || name.endsWith(".jsonl.gz"))
+    .sort();
+
+  const index = readIndex(dir);
+  if (!index || (REPLAY_FROM_MS == null && REPLAY_TO_MS == null)) {
+    return names.map((name) => path.join(dir, name));
+  }
+
+  const fromMs = REPLAY_FROM_MS != null ? REPLAY_FROM_MS : -Infinity;
+  const toMs = REPLAY_TO_MS != null ? REPLAY_TO_MS : Infinity;
+  const indexed = index.files
+    .filter((f) => names.includes(f.file))
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+
+  const keep = new Set();
+  indexed.forEach((f, i) => {
+    const start = Date.parse(f.start);
+    const end = Date.parse(f.end);
+    if (end >= fromMs && start <= toMs) {
+      keep.add(f.file);
+      if (i > 0) keep.add(indexed[i - 1].file);
+    }
+  });
+
+  // Files the index does not know about (e.g. legacy recordings) always load.
+  const known = new Set(indexed.map((f) => f.file));
+  return names
+    .filter((name) => keep.has(name) || !known.has(name))
+    .map((name) => path.join(dir, name));
+}
+
+function readRecordingLines(file) {
+  const buf = fs.readFileSync(file);
+  const text = file.endsWith(".gz") ? zlib.gunzipSync(buf).toString("utf8") : buf.toString("utf8");
+  return text.split("\n");
+}
+
+function loadTimeline() {
+  if (timeline) return timeline;
+
+  timeline = Object.create(null);
+  let files = [];
+  try {
+    files = listRecordingFiles(REPLAY_DIR);
+  } catch (err) {
+    console.error(`Replay: cannot read ${REPLAY_DIR}:`, err.message || err);
+  }
+
+  for (const file of files) {
+    let lines = [];
+    try {
+      lines = readRecordingLines(file);
+    } catch (err) {
+      console.error(`Replay: cannot read ${file}:`, err.message || err);
+      continue;
+    }
+    let skipped = 0;
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let rec;
+      try {
+        rec = JSON.parse(line);
+      } catch (_err) {
+        skipped++;
+        continue;
+      }
+      const parsed = toRecordEntry(rec);
+      if (!parsed) {
+        skipped++;
+        continue;
+      }
+      (timeline[parsed.path] = timeline[parsed.path] || []).push(parsed.entry);
+      if (startMs == null || parsed.entry.tMs < startMs) startMs = parsed.entry.tMs;
+      if (endMs == null || parsed.entry.tMs > endMs) endMs = parsed.entry.tMs;
+    }
+
+    if (skipped > 0) {
+      console.error(`Replay: skipped ${skipped} unreadable line(s) in ${file}`);
+    }
+  }
+
+  for (const key of Object.keys(timeline)) {
+    timeline[key].sort((a, b) => a.tMs - b.tMs);
+  }
+
+  // Seek window: records before FROM still seed the state at FROM.
+  if (startMs != null) {
+    if (REPLAY_FROM_MS != null) startMs = Math.min(Math.max(startMs, REPLAY_FROM_MS), endMs);
+    if (REPLAY_TO_MS != null) endMs = Math.max(Math.min(endMs, REPLAY_TO_MS), startMs);
+  }
+
+  console.log(
+    `Replay: ${files.length} file(s), ${Object.keys(timeline).length} endpoint(s)` +
+      (startMs != null
+        ? `, ${new Date(startMs).toISOString()} → ${new Date(endMs).toISOString()}`
+        : ", no records") +
+      ` at ${REPLAY_SPEED}x`
+  );
+
+  return timeline;
+}
+
+// Virtual "now" inside the recording.
+function getReplayNowMs() {
+  loadTimeline();
+  if (startMs == null) return Date.now();
+
+  if (playbackStartedMs == null) playbackStartedMs = Date.now();
+  const elapsed = (Date.now() - playbackStartedMs) * REPLAY_SPEED;
+  const span = endMs - startMs;
+
+  if (span <= 0) return startMs;
+  if (REPLAY_LOOP) return startMs + (elapsed % span);
+  return Math.min(endMs, startMs + elapsed);
+}
+
+// Recorded response for a request URL at the current virtual time.
+// Resolves to the recorded payload or throws for error records / no data.
+function getReplayResponse(url) {
+  const key = replayPathForUrl(url);
+  const entries = loadTimeline()[key];
+  if (!entries || entries.length === 0) {
+    throw new Error(`Replay: no recording for ${key}`);
+  }
+
+  const nowMs = getReplayNowMs();
+  let chosen = entries[0];
+  for (const e of entries) {
+    if (e.tMs > nowMs) break;
+    chosen = e;
+  }
+
+  if (chosen.error) {
+    throw new Error(`Replay: recorded error for ${key}: ${chosen.error}`);
+  }
+  return chosen.data;
+}
+
+// Replay descriptor for dot-state meta (null when serving live data).
+function describeReplay() {
+  if (!isReplayEnabled()) return null;
+  loadTimeline();
+  return {
+    speed: REPLAY_SPEED,
+    loop: REPLAY_LOOP,
+    recordingStart: startMs != null ? new Date(startMs).toISOString() : null,
+    recordingEnd: endMs != null ? new Date(endMs).toISOString() : null,
+  };
+}
+
+module.exports = {
+  REPLAY_SPEED,
+  isReplayEnabled,
+  getReplayNowMs,
+  getReplayResponse,
+  describeReplay,
+};
@@ -0,0 +1,299 @@
+// backend/routeCatalog.js
+// Route catalogue discovered from WSDOT instead of a hard-coded list.
+//
+// - routedetails/{TripDate} lists every route sailing on a service day
+// - terminal IDs come from routedetails TerminalCombos when present,
+//   otherwise from terminalsandmatesbyroute
+// - west/east orientation: local override, else local route entry, else
+//   terminal longitude (smaller longitude = west)
+// - crossing time: local override, else WSDOT CrossingTime, else local entry
+// - local multi-terminal definitions (triangle) absorb their member routes
+//
+// The catalogue is built once per service day (the worker in feedStore.js
+// calls refreshRouteCatalog). getRoutes()/getRouteById() stay synchronous and
+// serve the local ROUTES list until a catalogue has been built.
+
+const {
+  getLocalRoutes,
+  getLocalRouteById,
+  getRouteOverride,
+} = require("./routeConfig");
+const {
+  fetchAllRouteDetails,
+  fetchTerminalMatesByRoute,
+} = require("./wsdotClient");
+const { getTerminalIdByName, getTerminalCoordinates } = require("./terminalMap");
+const { nowMs } = require("./clock");
+
+const DEFAULT_CROSSING_MINUTES = 30;
+
+// { tripDateText, routes, builtMs } for the most recent successful build.
+let current = null;
+
+// { tripDateText, promise } while a build is running.
+let inFlight = null;
+
+function sameName(a, b) {
+  if (a == null || b == null) return false;
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function parseCrossingMinutes(raw) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Terminal pairs for one route, as [{ depId, depName, arrId, arrName }].
+function extractTerminalPairs(detail, mates) {
+  const combos = Array.isArray(detail.TerminalCombos) && detail.TerminalCombos.length > 0
+    ? detail.TerminalCombos
+    : (Array.isArray(mates) ? mates : []);
+
+  const pairs = [];
+  for (const c of combos) {
+    if (!c || c.DepartingTerminalID == null || c.ArrivingTerminalID == null) continue;
+    pairs.push({
+      depId: Number(c.DepartingTerminalID),
+      depName: c.DepartingTerminalName || c.DepartingDescription || null,
+      arrId: Number(c.ArrivingTerminalID),
+      arrName: c.ArrivingTerminalName || c.ArrivingDescription || null,
+    });
+  }
+  return pairs;
+}
+
+// Distinct terminals (id -> name) in the order WSDOT lists them.
+function collectTerminals(pairs) {
+  const terminals = new Map();
+  for (const p of pairs) {
+    if (!terminals.has(p.depId)) terminals.set(p.depId, p.depName);
+    if (!terminals.has(p.arrId)) terminals.set(p.arrId, p.arrName);
+  }
+  return Array.from(terminals, ([terminalId, terminalName]) => ({
+    terminalId,
+    terminalName,
+  }));
+}
+
+// Returns { west, east, orientedBy } for a two-terminal route.
+function orientTerminals(terminals, local, override) {
+  const [a, b] = terminals;
+
+  const fromOverride = !!(override && override.terminalNameWest);
+  const westName = fromOverride
+    ? override.terminalNameWest
+    : (local && local.terminalNameWest) || null;
+  const orientedBy = fromOverride ? "override" : "local";
+
+  if (westName) {
+    if (sameName(a.terminalName, westName)) return { west: a, east: b, orientedBy };
+    if (sameName(b.terminalName, westName)) return { west: b, east: a, orientedBy };
+  }
+
+  const ca = getTerminalCoordinates(a.terminalId);
+  const cb = getTerminalCoordinates(b.terminalId);
+  if (ca && cb) {
+    return ca.lon <= cb.lon
+      ? { west: a, east: b, orientedBy: "longitude" }
+      : { west: b, east: a, orientedBy: "longitude" };
+  }
+
+  return { west: a, east: b, orientedBy: "wsdot_order" };
+}
+
+function buildTwoTerminalRoute(detail, terminals) {
+  const routeId = Number(detail.RouteID);
+  const local = getLocalRouteById(routeId);
+  const override = getRouteOverride(routeId);
+  const { west, east, orientedBy } = orientTerminals(terminals, local, override);
+
+  const wsdotCrossing = parseCrossingMinutes(detail.CrossingTime);
+  let crossingTimeMinutes;
+  let crossingTimeSource;
+  if (override && parseCrossingMinutes(override.crossingTimeMinutes) != null) {
+    crossingTimeMinutes = Number(override.crossingTimeMinutes);
+    crossingTimeSource = "override";
+  } else if (wsdotCrossing != null) {
+    crossingTimeMinutes = wsdotCrossing;
+    crossingTimeSource = "wsdot";
+  } else if (local && local.crossingTimeMinutes) {
+    crossingTimeMinutes = local.crossingTimeMinutes;
+    crossingTimeSource = "local";
+  } else {
+    crossingTimeMinutes = DEFAULT_CROSSING_MINUTES;
+    crossingTimeSource = "default";
+  }
+
+  return {
+    routeId,
+    routeAbbrev: detail.RouteAbbrev || null,
+    description:
+      (override && override.description) ||
+      detail.Description ||
+      (local && local.description) ||
+      `Route ${routeId}`,
+    terminalNameWest: west.terminalName,
+    terminalNameEast: east.terminalName,
+    terminalIdWest: west.terminalId,
+    terminalIdEast: east.terminalId,
+    crossingTimeMinutes,
+    reservationsAvailable: !!detail.ReservationFlag,
+    delayThresholds:
+      (override && override.delayThresholds) || (local && local.delayThresholds) || null,
+    source: "wsdot",
+    discovery: {
+      orientedBy,
+      crossingTimeSource,
+    },
+  };
+}
+
+// Local multi-terminal definition with terminal IDs filled from its members.
+function buildMultiTerminalRoute(local, discoveredTerminals) {
+  const terminals = local.terminals.map((t) => {
+    const found = discoveredTerminals.find((d) => sameName(d.terminalName, t.terminalName));
+    return {
+      ...t,
+      terminalId: found ? found.terminalId : getTerminalIdByName(t.terminalName),
+    };
+  });
+
+  return {
+    ...local,
+    terminals,
+    source: "local",
+  };
+}
+
+// Local ROUTES order first (keeps the default route first in the picker),
+// then everything else by RouteID.
+function sortRoutes(routes) {
+  const localOrder = getLocalRoutes().map((r) => r.routeId);
+  const rank = (r) => {
+    const i = localOrder.indexOf(r.routeId);
+    return i === -1 ? localOrder.length + r.routeId : i;
+  };
+  return routes.slice().sort((a, b) => rank(a) - rank(b));
+}
+
+async function buildRouteCatalog(tripDateText) {
+  const details = await fetchAllRouteDetails(tripDateText);
+  if (!Array.isArray(details) || details.length === 0) {
+    throw new Error(`routedetails returned no routes for ${tripDateText}`);
+  }
+
+  const multiTerminal = getLocalRoutes().filter((r) => Array.isArray(r.memberRouteIds));
+  const memberIds = new Set();
+  multiTerminal.forEach((r) => r.memberRouteIds.forEach((id) => memberIds.add(Number(id))));
+
+  // Terminal pairs per route (one call per route unless routedetails has them).
+  const results = await Promise.allSettled(
+    details.map(async (detail) => {
+      const hasCombos = Array.isArray(detail.TerminalCombos) && detail.TerminalCombos.length > 0;
+      const mates = hasCombos
+        ? null
+        : await fetchTerminalMatesByRoute(detail.RouteID, tripDateText);
+      return { detail, terminals: collectTerminals(extractTerminalPairs(detail, mates)) };
+    })
+  );
+
+  const routes = [];
+  const memberTerminals = [];
+
+  results.forEach((result, i) => {
+    const detail = details[i];
+    const routeId = Number(detail && detail.RouteID);
+
+    if (result.status !== "fulfilled") {
+      console.error(
+        `Route catalogue: terminals for route ${routeId} unavailable:`,
+        (result.reason && result.reason.message) || result.reason
+      );
+      // Keep a curated local entry rather than dropping the route.
+      const local = getLocalRouteById(routeId);
+      if (local && !memberIds.has(routeId)) routes.push({ ...local, source: "local" });
+      return;
+    }
+
+    const { terminals } = result.value;
+
+    if (memberIds.has(routeId)) {
+      memberTerminals.push(...terminals);
+      return;
+    }
+
+    if (terminals.length !== 2) {
+      // e.g. Anacortes / San Juan Islands: no clock layout for it yet.
+      console.warn(
+        `Route catalogue: skipping route ${routeId} (${detail.Description}) with ${terminals.length} terminals`
+      );
+      return;
+    }
+
+    routes.push(buildTwoTerminalRoute(detail, terminals));
+  });
+
+  for (const local of multiTerminal) {
+    routes.push(buildMultiTerminalRoute(local, memberTerminals));
+  }
+
+  return sortRoutes(routes);
+}
+
+// Build (or reuse) the catalogue for a service day. Concurrent callers share
+// one build; a failed build leaves the previous catalogue in place.
+async function refreshRouteCatalog(tripDateText) {
+  if (current && current.tripDateText === tripDateText) {
+    return current.routes;
+  }
+  if (inFlight && inFlight.tripDateText === tripDateText) {
+    return inFlight.promise;
+  }
+
+  const promise = (async () => {
+    try {
+      const routes = await buildRouteCatalog(tripDateText);
+      current = { tripDateText, routes, builtMs: nowMs() };
+      return routes;
+    } finally {
+      inFlight = null;
+    }
+  })();
+
+  inFlight = { tripDateText, promise };
+  return promise;
+}
+
+function getRoutes() {
+  return current ? current.routes : getLocalRoutes();
+}
+
+// Also accepts the WSDOT member route IDs of a multi-terminal route.
+function getRouteById(routeId) {
+  const idNum = Number(routeId);
+  const routes = getRoutes();
+  return (
+    routes.find((r) => r.routeId === idNum) ||
+    routes.find((r) => Array.isArray(r.memberRouteIds) && r.memberRouteIds.includes(idNum)) ||
+    getLocalRouteById(idNum)
+  );
+}
+
+// Where the current catalogue came from, for /api/routes.
+function getCatalogInfo() {
+  if (!current) {
+    return { source: "local", tripDate: null, builtAt: null };
+  }
+  return {
+    source: "wsdot",
+    tripDate: current.tripDateText,
+    builtAt: new Date(current.builtMs).toISOString(),
+  };
+}
+
+module.exports = {
+  refreshRouteCatalog,
+  getRoutes,
+  getRouteById,
+  getCatalogInfo,
+};
@@ -1,10 +1,16 @@
 // backend/routeConfig.js
-// Minimal route → terminal mapping.
-// Only stores what the user (or upstream table) actually assigns:
-// - routeId
-// - description
-// - terminalNameWest / terminalNameEast
-// - crossingTimeMinutes
+// Local route configuration.
+//
+// The live route catalogue is discovered from WSDOT routedetails (see
+// routeCatalog.js). This file only holds what WSDOT cannot tell us:
+// - ROUTES: the local route list, used as-is whenever discovery is
+//   unavailable (no API key, WSDOT down) and as the preferred order
+// - ROUTE_OVERRIDES: optional per-route corrections applied on top of
+//   discovered routes (crossing time, west/east orientation)
+// - multi-terminal definitions (layout: "triangle"), which list their
+//   terminals and legs instead of a west/east pair.
+// - delay thresholds (delayThresholds on a route or override) for the
+//   on-time / late / very late lane status; DEFAULT_DELAY_THRESHOLDS otherwise.
 
 const ROUTES = [
   {
@@ -20,6 +26,8 @@ const ROUTES = [
     terminalNameWest: "Point Defiance",
     terminalNameEast: "Tahlequah",
     crossingTimeMinutes: 15,
+    // Short crossing: a few minutes late already matters.
+    delayThresholds: { lateMinutes: 3, veryLateMinutes: 10 },
   },
   {
     routeId: 3,
@@ -49,40 +57,72 @@ const ROUTES = [
     terminalNameEast: "Coupeville", 
     crossingTimeMinutes: 35,
   },
-  //  removed the below beacuse these routes are actually a triangle with three terminals 
-  //   {
-  //   routeId: 13,
-  //   description: "Fauntleroy (West Seattle) / Southworth",
-  //   terminalNameWest: "Southworth",
-  //   terminalNameEast: "Fauntleroy",
-  //   crossingTimeMinutes: 40,
-  // },
-  // {
-  //   routeId: 14,
-  //   description: "Fauntleroy (West Seattle) / Vashon",
-  //   terminalNameWest: "Vashon Island",
-  //   terminalNameEast: "Fauntleroy",
-  //   crossingTimeMinutes: 20,
-  // },
-  // {
-  //   routeId: 15,
-  //   description: "Southworth / Vashon",
-  //   terminalNameWest: "Vashon Island",
-  //   terminalNameEast: "Southworth",
-  //   crossingTimeMinutes: 10,
-  // },
+  // WSDOT publishes the triangle as three routes (13 F/S, 14 F/V, 15 S/V),
+  // but the same boats rotate through all three terminals, so we model it as
+  // one multi-terminal route and merge the three schedules.
+  {
+    routeId: 13,
+    description: "Fauntleroy / Vashon / Southworth",
+    layout: "triangle",
+    memberRouteIds: [13, 14, 15],
+    // position = where the terminal sits on the clock face.
+    terminals: [
+      { terminalName: "Fauntleroy", position: "east" },
+      { terminalName: "Vashon Island", position: "south" },
+      { terminalName: "Southworth", position: "west" },
+    ],
+    legs: [
+      { terminalNameA: "Fauntleroy", terminalNameB: "Southworth", crossingTimeMinutes: 40 },
+      { terminalNameA: "Fauntleroy", terminalNameB: "Vashon Island", crossingTimeMinutes: 20 },
+      { terminalNameA: "Southworth", terminalNameB: "Vashon Island", crossingTimeMinutes: 10 },
+    ],
+    crossingTimeMinutes: 20,
+  },
 ];
 
-function getRoutes() {
+// Optional corrections for discovered routes, keyed by RouteID.
+// Supported fields:
+//   crossingTimeMinutes  - replaces WSDOT CrossingTime
+//   terminalNameWest     - forces which terminal is drawn on the west side
+//                          (default: the terminal with the smaller longitude)
+//   description          - replaces the WSDOT description
+//   delayThresholds      - { lateMinutes, veryLateMinutes } for lane status
+//
+// Example:
+//   5: { crossingTimeMinutes: 35, terminalNameWest: "Bainbridge Island" },
+const ROUTE_OVERRIDES = {};
+
+// Minutes behind schedule at which a lane counts as late / very late.
+const DEFAULT_DELAY_THRESHOLDS = { lateMinutes: 5, veryLateMinutes: 15 };
+
+function getLocalRoutes() {
   return ROUTES;
 }
 
-function getRouteById(routeId) {
+function getLocalRouteById(routeId) {
   const idNum = Number(routeId);
   return ROUTES.find((r) => r.routeId === idNum) || null;
 }
 
+function getRouteOverride(routeId) {
+  return ROUTE_OVERRIDES[Number(routeId)] || null;
+}
+
+// Thresholds for a route object, falling back to the defaults per field.
+function getDelayThresholds(route) {
+  const t = (route && route.delayThresholds) || {};
+  const late = Number(t.lateMinutes);
+  const veryLate = Number(t.veryLateMinutes);
+  return {
+    lateMinutes: Number.isFinite(late) ? late : DEFAULT_DELAY_THRESHOLDS.lateMinutes,
+    veryLateMinutes: Number.isFinite(veryLate) ? veryLate : DEFAULT_DELAY_THRESHOLDS.veryLateMinutes,
+  };
+}
+
 module.exports = {
-  getRoutes,
-  getRouteById,
+  DEFAULT_DELAY_THRESHOLDS,
+  getDelayThresholds,
+  getLocalRoutes,
+  getLocalRouteById,
+  getRouteOverride,
 };
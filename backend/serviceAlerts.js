@@ -0,0 +1,163 @@
+// backend/serviceAlerts.js
+// Active service alerts for one route, attached to dot-state as meta.alerts.
+//
+// Two WSDOT sources, both polled by feedStore.js:
+//   - schedule alerts     per route (AffectedRouteIDs / AllRoutesFlag):
+//                         cancellations, tide holds, vessel swaps
+//   - terminal bulletins  per terminal: construction, parking, closures
+//
+// Output entries (newest first, route alerts before terminal bulletins):
+//   { id, source: "route_alert" | "terminal_bulletin", title, text,
+//     publishedAt, isDisruption, routeIds, terminalId, terminalName }
+//
+// id is stable while the alert is unchanged and changes when WSDOT updates
+// it, so a rider who dismissed an alert sees it again after an update.
+
+const { parseWsdotDate } = require("./wsdotClient");
+const { getSnapshot, alertsKey, bulletinsKey } = require("./feedStore");
+
+// The alerts feed only lists alerts WSDOT still publishes, including notices
+// posted days ahead (a season's tide cancellations), so route alerts have no
+// age limit.
+const ROUTE_ALERT_MAX_AGE_MS = Infinity;
+// Bulletins are long-lived (construction), but stale ones are boilerplate.
+const BULLETIN_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const MAX_ALERTS = 8;
+
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+// WSDOT alert text is HTML; the banner shows plain text.
+function stripHtml(raw) {
+  if (!raw) return "";
+  return String(raw)
+    .replace(/<\s*br\s*\/?>/gi, "\n")
+    .replace(/<\/\s*(p|div|li)\s*>/gi, "\n")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#\d+|[a-z]+);/gi, (m, name) => {
+      if (name[0] === "#") return String.fromCharCode(parseInt(name.slice(1), 10));
+      return HTML_ENTITIES[name.toLowerCase()] || m;
+    })
+    .replace(/[ \t]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+function isActive(publishedMs, maxAgeMs, nowMs) {
+  // Undated entries are kept: WSDOT only lists what it still publishes.
+  if (!Number.isFinite(publishedMs)) return true;
+  // Replay: an alert published after the virtual "now" does not exist yet.
+  return publishedMs <= nowMs && nowMs - publishedMs <= maxAgeMs;
+}
+
+function normalizeRouteAlert(raw, routeIds, nowMs) {
+  if (!raw || raw.BulletinID == null) return null;
+
+  const affected = Array.isArray(raw.AffectedRouteIDs)
+    ? raw.AffectedRouteIDs.map(Number)
+    : [];
+  if (!raw.AllRoutesFlag && !affected.some((id) => routeIds.has(id))) return null;
+
+  const publishedAt = parseWsdotDate(raw.PublishDate);
+  const publishedMs = publishedAt ? Date.parse(publishedAt) : NaN;
+  if (!isActive(publishedMs, ROUTE_ALERT_MAX_AGE_MS, nowMs)) return null;
+
+  const title = stripHtml(raw.AlertFullTitle || raw.RouteAlertText || raw.BulletinText);
+  const text = stripHtml(raw.AlertFullText || raw.AlertDescription || raw.DisruptionDescription);
+  if (!title && !text) return null;
+
+  return {
+    id: `route:${raw.BulletinID}:${Number.isFinite(publishedMs) ? publishedMs : 0}`,
+    source: "route_alert",
+    title: title || text.split("\n")[0],
+    text,
+    publishedAt,
+    isDisruption: !!raw.DisruptionDescription,
+    routeIds: affected.filter((id) => routeIds.has(id)),
+    terminalId: null,
+    terminalName: null,
+  };
+}
+
+function normalizeTerminalBulletins(terminalRow, terminalIds, nowMs) {
+  if (!terminalRow || terminalRow.TerminalID == null) return [];
+  const terminalId = Number(terminalRow.TerminalID);
+  if (!terminalIds.has(terminalId)) return [];
+
+  const bulletins = Array.isArray(terminalRow.Bulletins) ? terminalRow.Bulletins : [];
+  const out = [];
+
+  bulletins.forEach((b, i) => {
+    if (!b) return;
+    const publishedAt = parseWsdotDate(b.BulletinLastUpdated);
+    const publishedMs = publishedAt ? Date.parse(publishedAt) : NaN;
+    if (!isActive(publishedMs, BULLETIN_MAX_AGE_MS, nowMs)) return;
+
+    const title = stripHtml(b.BulletinTitle);
+    const text = stripHtml(b.BulletinText);
+    if (!title && !text) return;
+
+    out.push({
+      id: `terminal:${terminalId}:${b.BulletinSortSeq != null ? b.BulletinSortSeq : i}:` +
+        `${Number.isFinite(publishedMs) ? publishedMs : 0}`,
+      source: "terminal_bulletin",
+      title: title || text.split("\n")[0],
+      text,
+      publishedAt,
+      isDisruption: false,
+      routeIds: [],
+      terminalId,
+      terminalName: terminalRow.TerminalName || null,
+    });
+  });
+
+  return out;
+}
+
+function newestFirst(a, b) {
+  const am = a.publishedAt ? Date.parse(a.publishedAt) : 0;
+  const bm = b.publishedAt ? Date.parse(b.publishedAt) : 0;
+  return bm - am;
+}
+
+// Active alerts for a route. routeIds: WSDOT route ids (member routes for the
+// triangle); terminalIds: the terminals it serves. Never throws: alerts are
+// an extra, and a bad payload must not break dot-state.
+function getAlertsForRoute({ routeIds, terminalIds, nowMs }) {
+  try {
+    const routeIdSet = new Set((routeIds || []).map(Number));
+    const terminalIdSet = new Set(
+      (terminalIds || []).filter((id) => id != null).map(Number)
+    );
+
+    const alertsSnap = getSnapshot(alertsKey());
+    const routeAlerts = (alertsSnap && Array.isArray(alertsSnap.data) ? alertsSnap.data : [])
+      .map((raw) => normalizeRouteAlert(raw, routeIdSet, nowMs))
+      .filter(Boolean)
+      .sort(newestFirst);
+
+    const bulletinsSnap = getSnapshot(bulletinsKey());
+    const terminalBulletins = (bulletinsSnap && Array.isArray(bulletinsSnap.data)
+      ? bulletinsSnap.data
+      : []
+    )
+      .flatMap((row) => normalizeTerminalBulletins(row, terminalIdSet, nowMs))
+      .sort(newestFirst);
+
+    return routeAlerts.concat(terminalBulletins).slice(0, MAX_ALERTS);
+  } catch (err) {
+    console.error("Error deriving service alerts:", err);
+    return [];
+  }
+}
+
+module.exports = {
+  getAlertsForRoute,
+};
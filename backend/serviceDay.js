@@ -0,0 +1,128 @@
+// backend/serviceDay.js
+// Pacific service-day model for WSDOT trip dates.
+//
+// WSDOT schedules are published per *service day* in Seattle local time, not
+// per UTC date. Two rules matter:
+//   1) The date is the America/Los_Angeles calendar date, never the UTC date
+//      (UTC rolls over at 4–5 pm Pacific).
+//   2) Sailings shortly after midnight (e.g. a 12:55 AM or 1:35 AM boat) still
+//      belong to the previous day's schedule, so a service day starts at
+//      SERVICE_DAY_START_HOUR local time instead of midnight.
+//
+// All arithmetic is done on local wall-clock parts, so DST changeover nights
+// (23 h / 25 h service days) come out right without special cases.
+
+const SERVICE_TIME_ZONE = "America/Los_Angeles";
+
+// Local hour at which a new service day begins.
+const SERVICE_DAY_START_HOUR = 3;
+
+const partsFormatter = new Intl.DateTimeFormat("en-US", {
+  timeZone: SERVICE_TIME_ZONE,
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+  second: "2-digit",
+});
+
+// Wall-clock parts of an instant in Pacific time.
+function getPacificParts(date) {
+  const parts = {};
+  for (const p of partsFormatter.formatToParts(date)) {
+    if (p.type !== "literal") parts[p.type] = Number(p.value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function formatDateText(year, month, day) {
+  return `${year}-${pad2(month)}-${pad2(day)}`;
+}
+
+function parseDateText(dateText) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateText || ""));
+  if (!m) return null;
+  return { year: Number(m[1]), month: Number(m[2]), day: Number(m[3]) };
+}
+
+// Pure calendar arithmetic on "YYYY-MM-DD" (no time zone involved).
+function addDaysToDateText(dateText, days) {
+  const d = parseDateText(dateText);
+  if (!d) return null;
+  const ms = Date.UTC(d.year, d.month - 1, d.day + days);
+  const shifted = new Date(ms);
+  return formatDateText(
+    shifted.getUTCFullYear(),
+    shifted.getUTCMonth() + 1,
+    shifted.getUTCDate()
+  );
+}
+
+// Offset (ms) between Pacific wall-clock time and UTC at a given instant.
+function pacificOffsetMs(date) {
+  const p = getPacificParts(date);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Instant for a Pacific wall-clock time on a given date.
+function pacificTimeToDate(dateText, hour, minute) {
+  const d = parseDateText(dateText);
+  if (!d) return null;
+
+  const wallMs = Date.UTC(d.year, d.month - 1, d.day, hour || 0, minute || 0);
+
+  // First guess with the offset at the wall time, then re-check once: on a
+  // changeover day the offset at the real instant can differ from the guess.
+  let guess = wallMs - pacificOffsetMs(new Date(wallMs));
+  const offsetAtGuess = pacificOffsetMs(new Date(guess));
+  guess = wallMs - offsetAtGuess;
+
+  return new Date(guess);
+}
+
+// Service date ("YYYY-MM-DD") that an instant belongs to.
+function getServiceDate(now) {
+  const p = getPacificParts(now || new Date());
+  const localDate = formatDateText(p.year, p.month, p.day);
+
+  // After-midnight sailings stay on the previous service day.
+  if (p.hour < SERVICE_DAY_START_HOUR) {
+    return addDaysToDateText(localDate, -1);
+  }
+  return localDate;
+}
+
+// Start (inclusive) and end (exclusive) instants of a service day.
+function getServiceDayBounds(serviceDateText) {
+  const nextDateText = addDaysToDateText(serviceDateText, 1);
+  if (!nextDateText) return null;
+
+  return {
+    start: pacificTimeToDate(serviceDateText, SERVICE_DAY_START_HOUR, 0),
+    end: pacificTimeToDate(nextDateText, SERVICE_DAY_START_HOUR, 0),
+  };
+}
+
+module.exports = {
+  SERVICE_TIME_ZONE,
+  SERVICE_DAY_START_HOUR,
+  getPacificParts,
+  getServiceDate,
+  getServiceDayBounds,
+  addDaysToDateText,
+  pacificTimeToDate,
+};
@@ -0,0 +1,117 @@
+// backend/stateDiff.js
+// Compact deltas between two dot-state payloads (used by the SSE stream).
+//
+// A delta is a list of ops applied in order:
+//   { p: ["lanes", 0, "dotPosition"], v: 0.42 }   set value at path
+//   { p: ["capacity", "westVesselId"], d: 1 }     delete key at path
+//
+// Objects are diffed key by key. Arrays are diffed element by element when
+// their length is unchanged and replaced whole otherwise (a lane appearing or
+// disappearing is rare and small). The browser-side applyStateDelta in
+// public/*/ferryClock.js mirrors applyDelta below.
+
+// Keys restamped on every build; a change in only these is not an update.
+const VOLATILE_KEYS = new Set([
+  "serverTime",
+  "lastUpdatedVessels",
+  "lastUpdatedCapacity",
+  "ageMs",
+]);
+
+// Deeper paths restamped on every poll ("*" matches any key): each feed's
+// lastUpdated in meta.feeds moves with every successful poll even when the
+// data did not change (the triangle nests its member schedules one level
+// further down). Matched by path because lastUpdated elsewhere (e.g. a
+// wait-time note) is real data.
+const VOLATILE_PATHS = [
+  ["meta", "feeds", "*", "lastUpdated"],
+  ["meta", "feeds", "schedules", "*", "lastUpdated"],
+];
+
+function isVolatilePath(path) {
+  const last = path[path.length - 1];
+  if (typeof last === "string" && VOLATILE_KEYS.has(last)) return true;
+  return VOLATILE_PATHS.some(
+    (pattern) =>
+      pattern.length === path.length &&
+      pattern.every((part, i) => part === "*" || part === path[i])
+  );
+}
+
+function isPlainObject(v) {
+  return v != null && typeof v === "object" && !Array.isArray(v);
+}
+
+function diffInto(prev, next, path, ops) {
+  if (prev === next) return;
+
+  if (Array.isArray(prev) && Array.isArray(next)) {
+    if (prev.length !== next.length) {
+      ops.push({ p: path, v: next });
+      return;
+    }
+    for (let i = 0; i < next.length; i++) {
+      diffInto(prev[i], next[i], path.concat(i), ops);
+    }
+    return;
+  }
+
+  if (isPlainObject(prev) && isPlainObject(next)) {
+    for (const key of Object.keys(prev)) {
+      if (!Object.prototype.hasOwnProperty.call(next, key)) {
+        ops.push({ p: path.concat(key), d: 1 });
+      }
+    }
+    for (const key of Object.keys(next)) {
+      diffInto(prev[key], next[key], path.concat(key), ops);
+    }
+    return;
+  }
+
+  // Scalars, null, or a type change: replace.
+  if (next === undefined) {
+    ops.push({ p: path, d: 1 });
+  } else {
+    ops.push({ p: path, v: next });
+  }
+}
+
+// Ops turning prev into next ([] when they are equal).
+function diffState(prev, next) {
+  const ops = [];
+  diffInto(prev, next, [], ops);
+  return ops;
+}
+
+// True when some op touches more than per-build timestamps.
+function hasMeaningfulChange(ops) {
+  return ops.some((op) => !isVolatilePath(op.p));
+}
+
+// Apply ops to a deep copy of state and return it.
+function applyDelta(state, ops) {
+  let root = JSON.parse(JSON.stringify(state));
+  for (const op of ops) {
+    if (op.p.length === 0) {
+      root = op.d ? null : op.v;
+      continue;
+    }
+    let target = root;
+    for (let i = 0; i < op.p.length - 1; i++) {
+      target = target[op.p[i]];
+    }
+    const key = op.p[op.p.length - 1];
+    if (op.d) {
+      delete target[key];
+    } else {
+      target[key] = op.v;
+    }
+  }
+  return root;
+}
+
+module.exports = {
+  diffState,
+  hasMeaningfulChange,
+  applyDelta,
+};
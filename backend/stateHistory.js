@@ -0,0 +1,468 @@
+// backend/stateHistory.js
+// Archive of built dot-states and the feed snapshots behind them, for
+// GET /api/dot-state?at=<iso> and GET /api/history.
+//
+// - Every built dot-state is recorded per route when it differs from the
+//   last recorded one in more than per-build timestamps, feed lastUpdated
+//   included (stateDiff.js), so an idle route writes nothing per poll
+// - Every feed poll result (feedStore.onFeedUpdate) is recorded when its
+//   data changed, plus failed polls, so a wrong clock can be traced back to
+//   what WSDOT sent
+// - Writes are queued and flushed in the background, off the request path
+// - Files are one per hour (UTC), gzipped once the hour is over (files left
+//   by a previous run are gzipped on startup; an hour the clock returns to,
+//   as when replay loops, starts a fresh file):
+//     <dir>/route-<routeId>/<YYYY-MM-DDTHH>.jsonl[.gz]
+//       { t, ops }                 diff from the previous record (stateDiff ops)
+//       { t, ops, state }          keyframe: full state (ops null after a gap)
+//     <dir>/feeds/<YYYY-MM-DDTHH>.jsonl[.gz]
+//       { t, key, fetchedAt, data }   feedStore key + snapshot data
+//       { t, key, error }             failed poll
+//   Each file opens with keyframes (written even when nothing changed), so
+//   a lookup reads the file for the requested hour, or walks back to the
+//   last hour that has one (nothing built while no one watched).
+// - Retention: files older than FERRY_HISTORY_RETENTION_HOURS (default 72)
+//   are deleted, then the oldest ones until the archive fits in
+//   FERRY_HISTORY_MAX_MB (default 2048)
+//
+// Directory: FERRY_HISTORY_DIR (default data/history). Like the state store,
+// replay mode only archives when the directory is set explicitly.
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { pipeline } = require("stream/promises");
+const {
+  onFeedUpdate,
+  getSnapshot,
+  vesselsKey,
+  terminalsKey,
+  alertsKey,
+  bulletinsKey,
+  waitTimesKey,
+} = require("./feedStore");
+const { diffState, hasMeaningfulChange, applyDelta } = require("./stateDiff");
+const { isReplayEnabled } = require("./replaySource");
+const { nowMs } = require("./clock");
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, "..", "data", "history");
+const RETENTION_HOURS = Number(process.env.FERRY_HISTORY_RETENTION_HOURS) || 72;
+const MAX_BYTES = (Number(process.env.FERRY_HISTORY_MAX_MB) || 2048) * 1024 * 1024;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// A full state every this many route records bounds the deltas a lookup replays.
+const KEYFRAME_EVERY = 60;
+
+// /api/history answers at most this range and this many entries.
+const MAX_RANGE_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_MS = 60 * 60 * 1000;
+const MAX_ENTRIES = 1000;
+
+const FEEDS_STREAM = "feeds";
+
+const gunzip = promisify(zlib.gunzip);
+
+let historyDir = null;
+let pruneTimer = null;
+let unsubscribe = null;
+
+// stream ("route-5" | "feeds") -> { hour, file }
+const openFiles = new Map();
+
+// routeId -> { state, sinceKeyframe }
+const lastStateByRoute = new Map();
+
+// feed key -> { json, fetchedAt } last data written
+const lastFeedByKey = new Map();
+
+function resolveHistoryDir() {
+  if (process.env.FERRY_HISTORY_DIR) return path.resolve(process.env.FERRY_HISTORY_DIR);
+  return isReplayEnabled() ? null : DEFAULT_HISTORY_DIR;
+}
+
+function hourOf(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+function routeStream(routeId) {
+  return `route-${routeId}`;
+}
+
+// ---- Writing ----
+//
+// Recording only queues: appends, gzips and pruning run one at a time on a
+// background queue, so a dot-state build never waits on the disk.
+
+// Jobs in order: { file, lines } (an append) or { run } (async task).
+const writeQueue = [];
+let draining = null;
+
+async function drainWriteQueue() {
+  try {
+    while (writeQueue.length > 0) {
+      const job = writeQueue.shift();
+      try {
+        if (job.run) await job.run();
+        else await fs.promises.appendFile(job.file, job.lines.join("\n") + "\n", "utf8");
+      } catch (err) {
+        console.error(`History: write failed${job.file ? ` for ${job.file}` : ""}:`, err.message || err);
+      }
+    }
+  } finally {
+    draining = null;
+  }
+}
+
+function startDraining() {
+  if (!draining) draining = drainWriteQueue();
+}
+
+function queueTask(run) {
+  writeQueue.push({ run });
+  startDraining();
+}
+
+function queueLines(file, lines) {
+  // Records arriving before the last append ran share its write.
+  const last = writeQueue[writeQueue.length - 1];
+  if (last && last.file === file) last.lines.push(...lines);
+  else writeQueue.push({ file, lines });
+  startDraining();
+}
+
+// Resolves once everything queued so far is on disk.
+function whenFlushed() {
+  return new Promise((resolve) => queueTask(async () => resolve()));
+}
+
+async function gzipFile(file) {
+  try {
+    await pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(file + ".gz"));
+    await fs.promises.unlink(file);
+  } catch (err) {
+    if (err.code !== "ENOENT") console.error(`History: cannot gzip ${file}:`, err.message || err);
+  }
+}
+
+async function fileExists(file) {
+  try {
+    await fs.promises.access(file);
+    return true;
+  } catch (_err) {
+    return false;
+  }
+}
+
+// Get the file for a newly opened hour ready. An hour that already has a
+// .gz (or that the clock went back to, as when replay loops) was recorded
+// on an earlier pass; its old records are dropped so the file stays in
+// time order.
+async function prepareHourFile(file, revisited) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  if (revisited || (await fileExists(file + ".gz"))) {
+    await fs.promises.rm(file, { force: true });
+    await fs.promises.rm(file + ".gz", { force: true });
+  }
+}
+
+// True when a record at tMs goes to a new file (which must open with keyframes).
+function startsNewFile(stream, tMs) {
+  const open = openFiles.get(stream);
+  return !open || open.hour !== hourOf(tMs);
+}
+
+// Queue records for the stream's file for the hour of tMs.
+function appendRecords(stream, tMs, records) {
+  const hour = hourOf(tMs);
+  let open = openFiles.get(stream);
+
+  if (!open || open.hour !== hour) {
+    const previous = open;
+    open = { hour, file: path.join(historyDir, stream, `${hour}.jsonl`) };
+    openFiles.set(stream, open);
+    // The previous hour is done either way, also when the clock went back.
+    if (previous) queueTask(() => gzipFile(previous.file));
+    const file = open.file;
+    const revisited = !!previous && hour < previous.hour;
+    queueTask(() => prepareHourFile(file, revisited));
+  }
+
+  if (records.length === 0) return;
+  queueLines(open.file, records.map((r) => JSON.stringify(r)));
+}
+
+// Record one built dot-state (called from dotState.buildDotState).
+function recordDotState(routeId, state) {
+  if (!historyDir || !state) return;
+
+  try {
+    const t = nowMs();
+    const last = lastStateByRoute.get(routeId) || null;
+    const ops = last ? diffState(last.state, state) : null;
+    const stream = routeStream(routeId);
+    const newFile = startsNewFile(stream, t);
+    // An unchanged state still opens each new hour, so a quiet stretch has
+    // a keyframe to look up.
+    if (ops && !hasMeaningfulChange(ops) && !newFile) return;
+
+    const keyframe = !last || last.sinceKeyframe + 1 >= KEYFRAME_EVERY || newFile;
+    const record = { t: new Date(t).toISOString(), ops };
+    if (keyframe) record.state = state;
+
+    appendRecords(stream, t, [record]);
+    lastStateByRoute.set(routeId, {
+      state,
+      sinceKeyframe: keyframe ? 0 : last.sinceKeyframe + 1,
+    });
+  } catch (err) {
+    console.error(`History: cannot record dot-state for route ${routeId}:`, err.message || err);
+  }
+}
+
+// Every feed's last data, restated at the top of a new feeds file.
+function feedKeyframes(t) {
+  return [...lastFeedByKey.entries()].map(([key, last]) => ({
+    t,
+    key,
+    fetchedAt: last.fetchedAt,
+    data: JSON.parse(last.json),
+  }));
+}
+
+function handleFeedUpdate(key) {
+  if (!historyDir) return;
+
+  try {
+    const snap = getSnapshot(key);
+    if (!snap) return;
+    const t = nowMs();
+    const tIso = new Date(t).toISOString();
+
+    // null: unchanged data, recorded only as part of a new hour's keyframes.
+    let record = null;
+    if (snap.error) {
+      record = { t: tIso, key, error: snap.error };
+    } else {
+      const json = JSON.stringify(snap.data);
+      const last = lastFeedByKey.get(key);
+      if (!last || last.json !== json) {
+        const fetchedAt = snap.fetchedMs != null ? new Date(snap.fetchedMs).toISOString() : null;
+        lastFeedByKey.set(key, { json, fetchedAt });
+        record = { t: tIso, key, fetchedAt, data: snap.data };
+      }
+    }
+
+    if (startsNewFile(FEEDS_STREAM, t)) {
+      // The keyframes already hold this poll's data.
+      const records = feedKeyframes(tIso);
+      if (record && record.error) records.push(record);
+      appendRecords(FEEDS_STREAM, t, records);
+    } else if (record) {
+      appendRecords(FEEDS_STREAM, t, [record]);
+    }
+  } catch (err) {
+    console.error(`History: cannot record feed ${key}:`, err.message || err);
+  }
+}
+
+// ---- Retention ----
+
+async function listArchiveFiles() {
+  const out = [];
+  for (const stream of await fs.promises.readdir(historyDir)) {
+    const dir = path.join(historyDir, stream);
+    if (!(await fs.promises.stat(dir)).isDirectory()) continue;
+    for (const name of await fs.promises.readdir(dir)) {
+      const m = /^(\d{4}-\d{2}-\d{2}T\d{2})\.jsonl(\.gz)?$/.exec(name);
+      if (!m) continue;
+      const file = path.join(dir, name);
+      out.push({ file, hour: m[1], gzipped: !!m[2], bytes: (await fs.promises.stat(file)).size });
+    }
+  }
+  return out.sort((a, b) => (a.hour < b.hour ? -1 : a.hour > b.hour ? 1 : 0));
+}
+
+async function pruneHistory() {
+  if (!historyDir || !(await fileExists(historyDir))) return;
+
+  try {
+    const open = new Set([...openFiles.values()].map((o) => o.file));
+    const oldestHour = hourOf(nowMs() - RETENTION_HOURS * 60 * 60 * 1000);
+    const files = await listArchiveFiles();
+    let total = files.reduce((sum, f) => sum + f.bytes, 0);
+
+    for (const f of files) {
+      if (open.has(f.file)) continue;
+      if (f.hour >= oldestHour && total <= MAX_BYTES) break;
+      await fs.promises.unlink(f.file);
+      total -= f.bytes;
+    }
+  } catch (err) {
+    console.error("History: pruning failed:", err.message || err);
+  }
+}
+
+// Gzip the plain files a previous run left for hours other than the current
+// one (a restart skips the rollover that would have compressed them).
+async function gzipLeftoverFiles() {
+  if (!historyDir || !(await fileExists(historyDir))) return;
+
+  try {
+    const currentHour = hourOf(nowMs());
+    const open = new Set([...openFiles.values()].map((o) => o.file));
+    for (const f of await listArchiveFiles()) {
+      if (f.gzipped || f.hour === currentHour || open.has(f.file)) continue;
+      await gzipFile(f.file);
+    }
+  } catch (err) {
+    console.error("History: cannot gzip leftover files:", err.message || err);
+  }
+}
+
+function startHistoryArchive() {
+  if (unsubscribe) return;
+
+  historyDir = resolveHistoryDir();
+  if (!historyDir) return;
+
+  unsubscribe = onFeedUpdate(handleFeedUpdate);
+  queueTask(gzipLeftoverFiles);
+  queueTask(pruneHistory);
+  pruneTimer = setInterval(() => queueTask(pruneHistory), PRUNE_INTERVAL_MS);
+  if (typeof pruneTimer.unref === "function") pruneTimer.unref();
+}
+
+function isHistoryEnabled() {
+  return !!historyDir;
+}
+
+// ---- Reading ----
+
+// Records of one stream for one hour ([] when there is no file).
+async function readHourRecords(stream, hour) {
+  const base = path.join(historyDir, stream, `${hour}.jsonl`);
+  let text = null;
+  try {
+    // Let queued appends and gzips for this hour land first.
+    await whenFlushed();
+    if (await fileExists(base)) {
+      text = await fs.promises.readFile(base, "utf8");
+    } else if (await fileExists(base + ".gz")) {
+      text = (await gunzip(await fs.promises.readFile(base + ".gz"))).toString("utf8");
+    }
+  } catch (err) {
+    console.error(`History: cannot read ${base}:`, err.message || err);
+  }
+  if (!text) return [];
+
+  const out = [];
+  for (const line of text.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      rec.tMs = Date.parse(rec.t);
+      if (Number.isFinite(rec.tMs)) out.push(rec);
+    } catch (_err) {
+      // A torn last line after a crash; skip it.
+    }
+  }
+  return out;
+}
+
+// Records at or before atMs from the file for that hour, or from the latest
+// earlier hour with any (within the retention window).
+async function recordsUpTo(stream, atMs) {
+  for (let back = 0; back <= RETENTION_HOURS; back++) {
+    const hour = hourOf(atMs - back * 60 * 60 * 1000);
+    const upTo = (await readHourRecords(stream, hour)).filter((r) => r.tMs <= atMs);
+    if (upTo.length > 0) return upTo;
+  }
+  return [];
+}
+
+// The dot-state as recorded at atMs: { state, recordedAt } or null.
+async function getDotStateAt(routeId, atMs) {
+  if (!historyDir) return null;
+
+  const records = await recordsUpTo(routeStream(routeId), atMs);
+  let start = -1;
+  for (let i = records.length - 1; i >= 0; i--) {
+    if (records[i].state) {
+      start = i;
+      break;
+    }
+  }
+  if (start === -1) return null;
+
+  let state = records[start].state;
+  for (let i = start + 1; i < records.length; i++) {
+    state = applyDelta(state, records[i].ops || []);
+  }
+  return { state, recordedAt: records[records.length - 1].t };
+}
+
+// Feed snapshots behind a route's dot-state at atMs (the global feeds plus
+// the schedules of its WSDOT routes, any trip date):
+//   { <feedStore key>: { fetchedAt, recordedAt, data, error } }
+async function getFeedsAt(route, atMs) {
+  const out = {};
+  if (!historyDir) return out;
+
+  const globalKeys = new Set([vesselsKey(), terminalsKey(), alertsKey(), bulletinsKey(), waitTimesKey()]);
+  const schedulePrefixes = (route.memberRouteIds || [route.routeId]).map((id) => `schedule:${id}:`);
+  const wanted = (key) => globalKeys.has(key) || schedulePrefixes.some((p) => key.startsWith(p));
+  for (const rec of await recordsUpTo(FEEDS_STREAM, atMs)) {
+    if (!wanted(rec.key)) continue;
+    if (rec.error) {
+      // The last good data stays in effect; the error explains staleness.
+      const prev = out[rec.key] || { fetchedAt: null, data: null };
+      out[rec.key] = { ...prev, recordedAt: rec.t, error: rec.error };
+    } else {
+      out[rec.key] = { fetchedAt: rec.fetchedAt, recordedAt: rec.t, data: rec.data, error: null };
+    }
+  }
+  return out;
+}
+
+// Recorded changes for a route between fromMs and toMs (oldest first):
+//   { from, to, changes: [{ t, changes: [{ path, value } | { path, deleted }] }],
+//     truncated }
+// Restamped timestamps are left out; a record after a gap (restart, no
+// viewers) has no previous state to compare with and lists changes: null.
+async function listHistory(routeId, { fromMs, toMs, limit }) {
+  const max = Math.min(Number(limit) > 0 ? Number(limit) : MAX_ENTRIES, MAX_ENTRIES);
+  const out = { from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), changes: [], truncated: false };
+  if (!historyDir) return out;
+
+  const firstHourMs = Date.parse(hourOf(fromMs) + ":00:00.000Z");
+  for (let hourMs = firstHourMs; hourMs <= toMs; hourMs += 60 * 60 * 1000) {
+    for (const rec of await readHourRecords(routeStream(routeId), hourOf(hourMs))) {
+      if (rec.tMs < fromMs || rec.tMs > toMs) continue;
+      if (out.changes.length >= max) {
+        out.truncated = true;
+        return out;
+      }
+      out.changes.push({
+        t: rec.t,
+        changes: rec.ops
+          ? rec.ops
+              .filter((op) => hasMeaningfulChange([op]))
+              .map((op) => (op.d ? { path: op.p.join("."), deleted: true } : { path: op.p.join("."), value: op.v }))
+          : null,
+      });
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  DEFAULT_RANGE_MS,
+  MAX_RANGE_MS,
+  startHistoryArchive,
+  isHistoryEnabled,
+  recordDotState,
+  getDotStateAt,
+  getFeedsAt,
+  listHistory,
+};
@@ -0,0 +1,227 @@
+// backend/stateStore.js
+// Persists in-memory caches across restarts in local JSON files.
+//
+// - Modules register named sections: the cache object itself plus an
+//   optional prune(target, nowMs) that drops entries too old to trust and
+//   optional volatileKeys, per-build stamps (e.g. updatedMs) that alone do
+//   not make a section worth rewriting
+// - startStatePersistence() loads the files into the registered objects
+//   (then prunes them), saves every SAVE_INTERVAL_MS and on SIGINT / SIGTERM
+// - Each section has its own file and only sections that changed are
+//   written, asynchronously; a section whose only changes are volatile keys
+//   is rewritten at most every VOLATILE_REFRESH_MS, so the stamps its TTLs
+//   are checked against stay fresh
+// - Writes go to a temp file and are renamed, so a crash mid-write never
+//   leaves a half-written section
+//
+// Files: FERRY_STATE_FILE (default data/state/ferryState.json) names the
+// store; section <name> lives beside it in ferryState.<name>.json. A store
+// saved as one file (ferryState.json) by an older version is read once and
+// replaced by the section files.
+// Replay mode jumps and loops through recorded time, so it does not persist
+// unless FERRY_STATE_FILE is set explicitly.
+//
+// Section file format: { version, savedAt, data: <cache object> }
+
+const fs = require("fs");
+const path = require("path");
+const { isReplayEnabled } = require("./replaySource");
+const { nowMs } = require("./clock");
+
+const STATE_VERSION = 1;
+const SAVE_INTERVAL_MS = 15 * 1000;
+// Under the shortest section TTL (dock history, 5 minutes).
+const VOLATILE_REFRESH_MS = 60 * 1000;
+
+const DEFAULT_STATE_FILE = path.join(__dirname, "..", "data", "state", "ferryState.json");
+
+// name -> { target, prune, volatileKeys, lastBody, lastFullBody, lastSavedMs }
+const sections = new Map();
+
+let stateFile = null;
+let saveTimer = null;
+// The save in progress, if any.
+let saving = null;
+// Single-file store from an older version, deleted after the first save.
+let legacyFile = null;
+
+function resolveStateFile() {
+  if (process.env.FERRY_STATE_FILE) return path.resolve(process.env.FERRY_STATE_FILE);
+  return isReplayEnabled() ? null : DEFAULT_STATE_FILE;
+}
+
+function sectionFile(name) {
+  const ext = path.extname(stateFile);
+  return path.join(path.dirname(stateFile), `${path.basename(stateFile, ext)}.${name}${ext || ".json"}`);
+}
+
+// Register a cache object (mutated in place by its owner) under `name`.
+// options: { prune(target, nowMs), volatileKeys: [key, ...] }
+function registerState(name, target, options = {}) {
+  sections.set(name, {
+    target,
+    prune: typeof options.prune === "function" ? options.prune : null,
+    volatileKeys: new Set(options.volatileKeys || []),
+    lastBody: null,
+    lastFullBody: null,
+    lastSavedMs: 0,
+  });
+}
+
+function readJsonFile(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    // Missing file is the normal first boot; anything else is worth a line.
+    if (err.code !== "ENOENT") {
+      console.error(`State store: cannot read ${file}:`, err.message || err);
+    }
+    return null;
+  }
+}
+
+function readLegacyStore(file) {
+  const parsed = readJsonFile(file);
+  if (!parsed) return null;
+  if (parsed.version !== STATE_VERSION || !parsed.sections) {
+    console.error(`State store: ignoring ${file} (unknown format)`);
+    return null;
+  }
+  return parsed.sections;
+}
+
+// Saved data for a section: { data, savedMs } from its own file (savedMs
+// null from the legacy single file), or null.
+function readSection(name, legacySections) {
+  const parsed = readJsonFile(sectionFile(name));
+  if (parsed) {
+    if (parsed.version === STATE_VERSION && parsed.data && typeof parsed.data === "object") {
+      return { data: parsed.data, savedMs: Date.parse(parsed.savedAt) };
+    }
+    console.error(`State store: ignoring ${sectionFile(name)} (unknown format)`);
+  }
+  const legacy = legacySections ? legacySections[name] : null;
+  return legacy && typeof legacy === "object" ? { data: legacy, savedMs: null } : null;
+}
+
+function loadState() {
+  const legacySections = fs.existsSync(stateFile) ? readLegacyStore(stateFile) : null;
+  if (legacySections) legacyFile = stateFile;
+
+  const t = nowMs();
+  let loaded = 0;
+
+  for (const [name, section] of sections) {
+    const saved = readSection(name, legacySections);
+    if (!saved) continue;
+
+    for (const key of Object.keys(saved.data)) {
+      section.target[key] = saved.data[key];
+    }
+    if (Number.isFinite(saved.savedMs)) {
+      // What the file holds; the first save skips the section until it changes.
+      section.lastFullBody = JSON.stringify(saved.data);
+      section.lastSavedMs = saved.savedMs;
+    }
+    if (section.prune) {
+      try {
+        section.prune(section.target, t);
+      } catch (err) {
+        console.error(`State store: pruning ${name} failed:`, err.message || err);
+      }
+    }
+    loaded++;
+  }
+
+  if (loaded > 0) console.log(`State store: restored ${loaded} section(s)`);
+}
+
+async function writeSection(name, text) {
+  const file = sectionFile(name);
+  const tmp = file + ".tmp";
+  await fs.promises.writeFile(tmp, text, "utf8");
+  await fs.promises.rename(tmp, file);
+}
+
+// Write the sections that changed since their last save.
+async function saveChangedSections() {
+  const t = nowMs();
+  let dirReady = false;
+  let failed = false;
+
+  for (const [name, section] of sections) {
+    try {
+      const full = JSON.stringify(section.target);
+      if (full === section.lastFullBody) continue;
+
+      // Compare without the per-build stamps.
+      const volatile = section.volatileKeys;
+      const body = volatile.size > 0
+        ? JSON.stringify(section.target, (key, value) => (volatile.has(key) ? undefined : value))
+        : full;
+      const onlyStamps = body === section.lastBody;
+      if (onlyStamps && t - section.lastSavedMs < VOLATILE_REFRESH_MS) continue;
+
+      if (!dirReady) {
+        await fs.promises.mkdir(path.dirname(stateFile), { recursive: true });
+        dirReady = true;
+      }
+      const savedAt = new Date(t).toISOString();
+      await writeSection(name, `{"version":${STATE_VERSION},"savedAt":"${savedAt}","data":${full}}\n`);
+      section.lastBody = body;
+      section.lastFullBody = full;
+      section.lastSavedMs = t;
+    } catch (err) {
+      console.error(`State store: cannot write section ${name}:`, err.message || err);
+      failed = true;
+    }
+  }
+
+  if (legacyFile && !failed) {
+    // Every section now has its own file.
+    await fs.promises.rm(legacyFile, { force: true }).catch(() => {});
+    legacyFile = null;
+  }
+}
+
+// Save changed sections; resolves when done. Overlapping calls wait for the
+// running save, then save again so nothing after it is missed.
+function saveState() {
+  if (!stateFile) return Promise.resolve();
+
+  const run = (saving || Promise.resolve()).then(saveChangedSections);
+  const current = run.finally(() => {
+    if (saving === current) saving = null;
+  });
+  saving = current;
+  return current;
+}
+
+// Load once, then keep the files current. Call after every module that
+// registers state has been required (server.js does this at startup).
+function startStatePersistence() {
+  if (saveTimer) return;
+
+  stateFile = resolveStateFile();
+  if (!stateFile) return;
+
+  loadState();
+
+  saveTimer = setInterval(() => {
+    // A slow disk must not pile up saves.
+    if (!saving) saveState();
+  }, SAVE_INTERVAL_MS);
+  if (typeof saveTimer.unref === "function") saveTimer.unref();
+
+  const saveAndExit = () => {
+    saveState().finally(() => process.exit(0));
+  };
+  process.once("SIGINT", saveAndExit);
+  process.once("SIGTERM", saveAndExit);
+}
+
+module.exports = {
+  registerState,
+  startStatePersistence,
+  saveState,
+};
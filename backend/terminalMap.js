@@ -1,23 +1,70 @@
 // backend/terminalMap.js
 // Derive WSDOT terminal IDs from terminal names.
-// For now this is a minimal hard coded map; later this can be driven by
-// Status_Terminals or your canon table instead of code.
+// Routes discovered from WSDOT (see routeCatalog.js) already carry their
+// terminal IDs; this static map is the fallback for local route entries.
+
+const { getServiceDate } = require("./serviceDay");
 
 const TERMINAL_NAME_TO_ID = {
   
   // Canonical SEA-BI mapping
   "Bainbridge Island": 3,
-  "Seattle": 7
+  "Seattle": 7,
+
+  // Fauntleroy / Vashon / Southworth triangle
+  "Fauntleroy": 9,
+  "Southworth": 20,
+  "Vashon Island": 22,
+
+  // Remaining WSDOT terminals
+  "Anacortes": 1,
+  "Bremerton": 4,
+  "Clinton": 5,
+  "Edmonds": 8,
+  "Friday Harbor": 10,
+  "Coupeville": 11,
+  "Kingston": 12,
+  "Lopez Island": 13,
+  "Mukilteo": 14,
+  "Orcas Island": 15,
+  "Point Defiance": 16,
+  "Port Townsend": 17,
+  "Shaw Island": 18,
+  "Sidney B.C.": 19,
+  "Tahlequah": 21,
+};
+
+// Terminal dock positions (WGS84), keyed by WSDOT TerminalID.
+// Used to orient discovered routes west/east by longitude.
+const TERMINAL_COORDINATES = {
+  1: { lat: 48.507351, lon: -122.677649 },  // Anacortes
+  3: { lat: 47.622339, lon: -122.509617 },  // Bainbridge Island
+  4: { lat: 47.561847, lon: -122.624089 },  // Bremerton
+  5: { lat: 47.974700, lon: -122.349581 },  // Clinton
+  7: { lat: 47.602501, lon: -122.340472 },  // Seattle
+  8: { lat: 47.813378, lon: -122.385378 },  // Edmonds
+  9: { lat: 47.523115, lon: -122.396214 },  // Fauntleroy
+  10: { lat: 48.535783, lon: -123.013844 }, // Friday Harbor
+  11: { lat: 48.159008, lon: -122.672603 }, // Coupeville
+  12: { lat: 47.794606, lon: -122.494442 }, // Kingston
+  13: { lat: 48.570928, lon: -122.882764 }, // Lopez Island
+  14: { lat: 47.949700, lon: -122.304747 }, // Mukilteo
+  15: { lat: 48.597333, lon: -122.943494 }, // Orcas Island
+  16: { lat: 47.305769, lon: -122.514377 }, // Point Defiance
+  17: { lat: 48.110847, lon: -122.759584 }, // Port Townsend
+  18: { lat: 48.584792, lon: -122.929689 }, // Shaw Island
+  19: { lat: 48.643114, lon: -123.396739 }, // Sidney B.C.
+  20: { lat: 47.513064, lon: -122.495742 }, // Southworth
+  21: { lat: 47.331961, lon: -122.507786 }, // Tahlequah
+  22: { lat: 47.511200, lon: -122.463600 }, // Vashon Island
 };
 
-// Optional: resolve terminal IDs for a route using the routedetails API.
-// This is non-breaking: callers must opt in and provide fetchRouteDetailsFn.
 // Optional: resolve terminal IDs for a route using the routedetails API.
 // This is non-breaking: callers must opt in and provide fetchRouteDetailsFn.
 async function resolveTerminalIdsFromRouteDetails(routeId, fetchRouteDetailsFn, now) {
   if (!routeId || !fetchRouteDetailsFn || !now) return null;
 
-  const tripDateText = now.toISOString().slice(0, 10);
+  const tripDateText = getServiceDate(now);
 
   let details;
   try {
@@ -70,13 +117,23 @@ function getTerminalIdByName(name) {
   return null;
 }
 
+function getTerminalCoordinates(terminalId) {
+  if (terminalId == null) return null;
+  return TERMINAL_COORDINATES[Number(terminalId)] || null;
+}
+
 function getTerminalIdsForRoute(route) {
   if (!route) {
     return { terminalIdWest: null, terminalIdEast: null };
   }
 
-  const terminalIdWest = getTerminalIdByName(route.terminalNameWest);
-  const terminalIdEast = getTerminalIdByName(route.terminalNameEast);
+  // Discovered routes carry IDs straight from WSDOT; names are the fallback.
+  const terminalIdWest = route.terminalIdWest != null
+    ? Number(route.terminalIdWest)
+    : getTerminalIdByName(route.terminalNameWest);
+  const terminalIdEast = route.terminalIdEast != null
+    ? Number(route.terminalIdEast)
+    : getTerminalIdByName(route.terminalNameEast);
 
   return {
     terminalIdWest,
@@ -86,6 +143,7 @@ function getTerminalIdsForRoute(route) {
 
 module.exports = {
   getTerminalIdByName,
-  getTerminalIdsForRoute, 
+  getTerminalCoordinates,
+  getTerminalIdsForRoute,
   resolveTerminalIdsFromRouteDetails,
 };
@@ -0,0 +1,146 @@
+// backend/vesselProfiles.js
+// Vessel profiles from WSDOT vesselbasics + vesselstats.
+//
+// - Profile per vessel:
+//     { vesselId, vesselName, abbrev, classId, className, status, inService,
+//       maxVehicles, tallVehicles, maxPassengers, yearBuilt, yearRebuilt,
+//       speedKnots, length, beam }
+// - maxVehicles (RegDeckSpace) is the authoritative auto capacity for the
+//   capacity pies; the first MaxSpaceCount seen in terminalsailingspace is
+//   only the fallback for vessels WSDOT has no stats for
+// - The data changes a few times a year, so profiles are refetched only when
+//   older than PROFILE_MAX_AGE_MS. The worker in feedStore.js calls
+//   refreshVesselProfiles() hourly; most calls are answered from the cache.
+// - The cache survives restarts via stateStore.js, so the pies have the right
+//   capacity before the first fetch finishes.
+
+const { fetchVesselBasics, fetchVesselStats } = require("./wsdotClient");
+const { registerState } = require("./stateStore");
+const { nowMs } = require("./clock");
+
+const PROFILE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// WSDOT vesselbasics Status: 1 in service, 2 maintenance, 3 out of service.
+const STATUS_NAMES = { 1: "in_service", 2: "maintenance", 3: "out_of_service" };
+
+// { refreshedMs, byId: { vesselId -> profile } }
+const cache = { refreshedMs: null, byId: Object.create(null) };
+
+// Promise while a fetch is running.
+let inFlight = null;
+
+registerState("vesselProfiles", cache);
+
+function positiveOrNull(n) {
+  return typeof n === "number" && Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function textOrNull(s) {
+  return s != null && String(s).trim() !== "" ? String(s).trim() : null;
+}
+
+// Merge one basics row and one stats row (either may be missing).
+function buildProfile(vesselId, basics, stats) {
+  const b = basics || {};
+  const s = stats || {};
+  const cls = b.Class || s.Class || {};
+
+  return {
+    vesselId,
+    vesselName: textOrNull(b.VesselName) || textOrNull(s.VesselName),
+    abbrev: textOrNull(b.VesselAbbrev) || textOrNull(s.VesselAbbrev),
+    classId: cls.ClassID != null ? Number(cls.ClassID) : null,
+    className: textOrNull(cls.PublicDisplayName) || textOrNull(cls.ClassName),
+    status: STATUS_NAMES[b.Status] || null,
+    inService: b.Status != null ? Number(b.Status) === 1 : null,
+    maxVehicles: positiveOrNull(s.RegDeckSpace),
+    tallVehicles: positiveOrNull(s.TallDeckSpace),
+    maxPassengers: positiveOrNull(s.MaxPassengerCount),
+    yearBuilt: positiveOrNull(s.YearBuilt),
+    yearRebuilt: positiveOrNull(s.YearRebuilt),
+    speedKnots: positiveOrNull(s.SpeedInKnots),
+    length: textOrNull(s.Length),
+    beam: textOrNull(s.Beam),
+  };
+}
+
+async function fetchProfiles() {
+  const [basics, stats] = await Promise.allSettled([fetchVesselBasics(), fetchVesselStats()]);
+  if (basics.status === "rejected" && stats.status === "rejected") {
+    throw basics.reason;
+  }
+  // One feed failing still refreshes what the other one knows.
+  [basics, stats].forEach((r) => {
+    if (r.status === "rejected") {
+      console.error("Vessel profiles: partial refresh:", r.reason && r.reason.message);
+    }
+  });
+
+  const basicsById = new Map();
+  const statsById = new Map();
+  for (const row of basics.status === "fulfilled" ? basics.value : []) {
+    if (row && row.VesselID != null) basicsById.set(Number(row.VesselID), row);
+  }
+  for (const row of stats.status === "fulfilled" ? stats.value : []) {
+    if (row && row.VesselID != null) statsById.set(Number(row.VesselID), row);
+  }
+
+  const ids = new Set([...basicsById.keys(), ...statsById.keys()]);
+  for (const id of ids) {
+    const profile = buildProfile(id, basicsById.get(id), statsById.get(id));
+    const prev = cache.byId[id] || null;
+    // Keep what a failed half of the fetch would otherwise blank out.
+    cache.byId[id] = prev
+      ? Object.fromEntries(
+          Object.entries(profile).map(([k, v]) => [k, v != null ? v : prev[k]])
+        )
+      : profile;
+  }
+
+  // Only a complete fetch resets the clock; a partial one retries next hour.
+  if (basics.status === "fulfilled" && stats.status === "fulfilled") {
+    cache.refreshedMs = nowMs();
+  }
+  return describeVesselProfiles();
+}
+
+// Refetch when the cache is older than PROFILE_MAX_AGE_MS (or empty).
+function refreshVesselProfiles() {
+  const fresh =
+    cache.refreshedMs != null &&
+    nowMs() - cache.refreshedMs < PROFILE_MAX_AGE_MS &&
+    Object.keys(cache.byId).length > 0;
+  if (fresh) return Promise.resolve(describeVesselProfiles());
+
+  if (!inFlight) {
+    inFlight = fetchProfiles().finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+function getVesselProfile(vesselId) {
+  if (vesselId == null) return null;
+  return cache.byId[Number(vesselId)] || null;
+}
+
+// Authoritative auto capacity for a vessel, or null when WSDOT has none.
+function getVesselMaxVehicles(vesselId) {
+  const profile = getVesselProfile(vesselId);
+  return profile ? profile.maxVehicles : null;
+}
+
+function describeVesselProfiles() {
+  return {
+    count: Object.keys(cache.byId).length,
+    refreshedAt: cache.refreshedMs != null ? new Date(cache.refreshedMs).toISOString() : null,
+  };
+}
+
+module.exports = {
+  refreshVesselProfiles,
+  getVesselProfile,
+  getVesselMaxVehicles,
+  describeVesselProfiles,
+};
@@ -0,0 +1,167 @@
+// backend/vesselSwaps.js
+// Vessel swaps per route lane, attached to dot-state as meta.swaps.
+//
+// dotState.js reports the vessel each lane shows on every build; a change
+// from the previous build is a swap:
+//   reason "schedule"        the timetable now assigns the lane another vessel
+//   reason "live"            another vessel is running the lane's position
+//                            while the scheduled one is missing or elsewhere
+//   reason "out_of_service"  the lane's vessel was pulled from service; the
+//                            "to" vessel is its replacement, or null while
+//                            there is none
+//
+// Entries (newest first):
+//   { id, routeId, laneKey, vesselPositionNumber, reason,
+//     fromVesselId, fromVesselName, toVesselId, toVesselName,
+//     message, detectedAt }
+// message is ready to show: "Tacoma replaced by Wenatchee", "Tacoma out of
+// service".
+//
+// The log holds the current service day only (at most MAX_SWAPS_PER_ROUTE per
+// route); meta.swaps is the part detected in the last RECENT_SWAP_MS. Lane
+// assignments and the log survive restarts via stateStore.js. A new service
+// day starts clean, so the morning's first boats are never reported as swaps.
+
+const { registerState } = require("./stateStore");
+const { getServiceDate } = require("./serviceDay");
+
+const RECENT_SWAP_MS = 2 * 60 * 60 * 1000;
+const MAX_SWAPS_PER_ROUTE = 50;
+
+// routeId -> { serviceDate, lanes: { laneKey -> { vesselId, vesselName,
+//   scheduledVesselId, outOfService, updatedMs } } }
+const laneVesselsByRoute = Object.create(null);
+
+// routeId -> { serviceDate, swaps: [entry] }
+const swapLogByRoute = Object.create(null);
+
+function pruneOtherServiceDays(target, nowMs) {
+  const today = getServiceDate(new Date(nowMs));
+  for (const routeKey of Object.keys(target)) {
+    const entry = target[routeKey];
+    if (!entry || entry.serviceDate !== today) delete target[routeKey];
+  }
+}
+
+registerState("laneVessels", laneVesselsByRoute, {
+  prune: pruneOtherServiceDays,
+  // Restamped on every build.
+  volatileKeys: ["updatedMs"],
+});
+registerState("vesselSwaps", swapLogByRoute, { prune: pruneOtherServiceDays });
+
+// Per-route entry for serviceDate, reset when the day rolls over.
+function entryForDay(byRoute, routeId, serviceDate, empty) {
+  const routeKey = String(routeId);
+  const existing = byRoute[routeKey];
+  if (existing && existing.serviceDate === serviceDate) return existing;
+  byRoute[routeKey] = { serviceDate, ...empty() };
+  return byRoute[routeKey];
+}
+
+function describeSwap(fromName, toName) {
+  const from = fromName || "Scheduled vessel";
+  return toName ? `${from} replaced by ${toName}` : `${from} out of service`;
+}
+
+/**
+ * Record the vessel a lane shows this build; returns the swap entry when it
+ * differs from the last build (or the same vessel just went out of service),
+ * else null.
+ *
+ * options: { routeId, serviceDate, laneKey, vesselPositionNumber,
+ *   vesselId, vesselName,      vessel the lane shows
+ *   scheduledVesselId,         vessel the timetable assigns the lane
+ *   outOfServiceIds,           Set of live vessel ids out of service
+ *   nowMs }
+ */
+function trackLaneVessel(options) {
+  const {
+    routeId,
+    serviceDate,
+    laneKey,
+    vesselPositionNumber,
+    vesselId,
+    vesselName,
+    scheduledVesselId,
+    outOfServiceIds,
+    nowMs,
+  } = options;
+  if (vesselId == null) return null;
+
+  const routeLanes = entryForDay(laneVesselsByRoute, routeId, serviceDate, () => ({
+    lanes: Object.create(null),
+  })).lanes;
+  const prev = routeLanes[laneKey] || null;
+  const outOfService = !!(outOfServiceIds && outOfServiceIds.has(Number(vesselId)));
+
+  routeLanes[laneKey] = {
+    vesselId: Number(vesselId),
+    vesselName: vesselName || null,
+    scheduledVesselId: scheduledVesselId != null ? Number(scheduledVesselId) : null,
+    outOfService,
+    updatedMs: nowMs,
+  };
+
+  // First sighting today: nothing to compare with.
+  if (!prev) return null;
+
+  let reason = null;
+  let to = null;
+  if (prev.vesselId !== Number(vesselId)) {
+    if (prev.outOfService || (outOfServiceIds && outOfServiceIds.has(prev.vesselId))) {
+      reason = "out_of_service";
+    } else if (prev.scheduledVesselId !== routeLanes[laneKey].scheduledVesselId) {
+      reason = "schedule";
+    } else {
+      reason = "live";
+    }
+    to = { vesselId: Number(vesselId), vesselName: vesselName || null };
+  } else if (outOfService && !prev.outOfService) {
+    // Still on the lane, but pulled from service with no replacement yet.
+    reason = "out_of_service";
+  }
+  if (!reason) return null;
+
+  const detectedAt = new Date(nowMs).toISOString();
+  const swap = {
+    id: `${routeId}:${laneKey}:${nowMs}`,
+    routeId: Number(routeId),
+    laneKey,
+    vesselPositionNumber: vesselPositionNumber != null ? Number(vesselPositionNumber) : null,
+    reason,
+    fromVesselId: prev.vesselId,
+    fromVesselName: prev.vesselName,
+    toVesselId: to ? to.vesselId : null,
+    toVesselName: to ? to.vesselName : null,
+    message: describeSwap(prev.vesselName, to ? to.vesselName || "another vessel" : null),
+    detectedAt,
+  };
+
+  const log = entryForDay(swapLogByRoute, routeId, serviceDate, () => ({ swaps: [] }));
+  log.swaps.unshift(swap);
+  if (log.swaps.length > MAX_SWAPS_PER_ROUTE) log.swaps.length = MAX_SWAPS_PER_ROUTE;
+
+  return swap;
+}
+
+// Today's swaps for a route, newest first.
+function getSwapLog(routeId, serviceDate) {
+  const log = swapLogByRoute[String(routeId)];
+  if (!log || log.serviceDate !== serviceDate) return [];
+  return log.swaps.slice();
+}
+
+// meta.swaps: swaps detected in the last RECENT_SWAP_MS.
+function getRecentSwaps(routeId, serviceDate, nowMs) {
+  return getSwapLog(routeId, serviceDate).filter((s) => {
+    const t = Date.parse(s.detectedAt);
+    return isFinite(t) && nowMs - t <= RECENT_SWAP_MS;
+  });
+}
+
+module.exports = {
+  trackLaneVessel,
+  getSwapLog,
+  getRecentSwaps,
+};
@@ -0,0 +1,101 @@
+// backend/waitTimes.js
+// Terminal wait times for dot-state ("2 hour wait for vehicles at Edmonds").
+//
+// Reads the terminalwaittimes snapshot (feedStore.js) and picks, per
+// terminal, the newest note for the selected route (or a terminal-wide one).
+// Output per terminal:
+//   { terminalId, terminalName, notes, waitMinutes, lastUpdated, isStale }
+//
+// Staleness follows the capacity pies: isStale when the feed itself is stale
+// (failed polls, serving the last good snapshot) or when WSDOT has not
+// touched the note for WAIT_TIME_STALE_MS. Notes older than
+// WAIT_TIME_MAX_AGE_MS are dropped: WSDOT often leaves the morning's note up.
+
+const { getSnapshot, describeFeed, waitTimesKey } = require("./feedStore");
+const { parseWsdotDate } = require("./wsdotClient");
+
+const WAIT_TIME_STALE_MS = 60 * 60 * 1000;
+const WAIT_TIME_MAX_AGE_MS = 4 * 60 * 60 * 1000;
+
+// Minutes from free text: "2 hour wait", "1-2 hours", "90 minute wait",
+// "1.5 hr". Ranges use the upper bound. "No wait" is 0; anything else null.
+function parseWaitMinutes(notes) {
+  if (!notes) return null;
+  const text = String(notes).toLowerCase();
+  if (/\bno (vehicle )?wait\b/.test(text)) return 0;
+
+  const m = /(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?)\b/.exec(text);
+  if (!m) return null;
+
+  const value = parseFloat(m[2] || m[1]);
+  if (!Number.isFinite(value)) return null;
+  return /^h/.test(m[3]) ? Math.round(value * 60) : Math.round(value);
+}
+
+// Newest usable note for one terminal, or null.
+function pickWaitTime(terminalRow, routeIds, nowMs) {
+  const entries = Array.isArray(terminalRow.WaitTimes) ? terminalRow.WaitTimes : [];
+  let best = null;
+  let bestMs = -Infinity;
+
+  for (const w of entries) {
+    if (!w || !w.WaitTimeNotes) continue;
+    // RouteID 0 / missing: applies to every route at this terminal.
+    const routeId = w.RouteID != null ? Number(w.RouteID) : 0;
+    if (routeId !== 0 && !routeIds.has(routeId)) continue;
+
+    const updatedIso = parseWsdotDate(w.WaitTimeLastUpdated);
+    const updatedMs = updatedIso ? Date.parse(updatedIso) : NaN;
+    if (Number.isFinite(updatedMs) && nowMs - updatedMs > WAIT_TIME_MAX_AGE_MS) continue;
+
+    const rankMs = Number.isFinite(updatedMs) ? updatedMs : -1;
+    if (rankMs > bestMs) {
+      best = { entry: w, updatedIso, updatedMs };
+      bestMs = rankMs;
+    }
+  }
+
+  return best;
+}
+
+// Wait times keyed by terminalId (only terminals with a current note).
+// Never throws: wait times are an extra on top of the clock.
+function getWaitTimesForTerminals({ routeIds, terminalIds, nowMs }) {
+  const out = new Map();
+  try {
+    const snap = getSnapshot(waitTimesKey());
+    if (!snap || !Array.isArray(snap.data)) return out;
+
+    const feedStale = describeFeed(waitTimesKey(), nowMs).isStale;
+    const routeIdSet = new Set((routeIds || []).map(Number));
+    const wanted = new Set((terminalIds || []).filter((id) => id != null).map(Number));
+
+    for (const row of snap.data) {
+      if (!row || row.TerminalID == null) continue;
+      const terminalId = Number(row.TerminalID);
+      if (!wanted.has(terminalId)) continue;
+
+      const best = pickWaitTime(row, routeIdSet, nowMs);
+      if (!best) continue;
+
+      const notes = String(best.entry.WaitTimeNotes).trim();
+      out.set(terminalId, {
+        terminalId,
+        terminalName: row.TerminalName || null,
+        notes,
+        waitMinutes: parseWaitMinutes(notes),
+        lastUpdated: best.updatedIso,
+        isStale:
+          feedStale ||
+          (Number.isFinite(best.updatedMs) && nowMs - best.updatedMs > WAIT_TIME_STALE_MS),
+      });
+    }
+  } catch (err) {
+    console.error("Error deriving terminal wait times:", err);
+  }
+  return out;
+}
+
+module.exports = {
+  getWaitTimesForTerminals,
+};
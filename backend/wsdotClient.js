@@ -3,10 +3,18 @@
 // - Handles all HTTP calls to /vessellocations
 // - Handles schedule + routedetails
 // - Handles terminalsailingspace for capacity pies
+// - Handles schedule alerts and terminal bulletins (service alert banner)
+// - Handles terminal wait times (waitTimes.js)
+// - Handles vessel basics and stats (vesselProfiles.js)
 // - Parses WSDOT date strings
 // - Normalizes vessel records into a stable shape for consumers.
+// - In replay mode (WSDOT_REPLAY_DIR) answers from recordings instead of the
+//   network; see replaySource.js.
+// - WSDOT_API_BASE_URL swaps the API root (default the real WSDOT API), e.g.
+//   for the local simulator in tools/wsdotSimulator.js.
 
 const axios = require("axios");
+const { isReplayEnabled, getReplayResponse } = require("./replaySource");
 
 // Small retry/backoff wrapper for flaky WSDOT endpoints (Cannon Section 9).
 function isRetryableError(err) {
@@ -33,6 +41,11 @@ function isRetryableError(err) {
 }
 
 async function getWithRetry(url, options, maxAttempts = 2, backoffMs = 500) {
+  if (isReplayEnabled()) {
+    // Same response shape as axios so every fetcher works unchanged.
+    return { data: getReplayResponse(url) };
+  }
+
   let lastErr = null;
 
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -59,12 +72,25 @@ async function getWithRetry(url, options, maxAttempts = 2, backoffMs = 500) {
 // Shared helpers
 // ---------------------------------------------------------------------------
 
+const DEFAULT_API_BASE_URL = "https://www.wsdot.wa.gov/Ferries/API";
+
+// API root. WSDOT_API_BASE_URL points every fetcher at another server with
+// the same paths, e.g. the local simulator (tools/wsdotSimulator.js).
+function apiBaseUrl() {
+  return (process.env.WSDOT_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+}
+
 function requireApiKey() {
+  // Recordings never contain the key, and replay makes no network calls.
+  if (isReplayEnabled()) return "replay";
+
   const key = process.env.WSDOT_API_KEY;
-  if (!key) {
-    throw new Error("WSDOT_API_KEY environment variable is not set");
-  }
-  return key;
+  if (key) return key;
+
+  // A custom base URL (the simulator) does not check the key.
+  if (process.env.WSDOT_API_BASE_URL) return "local";
+
+  throw new Error("WSDOT_API_KEY environment variable is not set");
 }
 
 // WSDOT date format: "/Date(1763623116000-0800)/"
@@ -84,7 +110,8 @@ function parseWsdotDate(raw) {
 // This fetches the *daily* schedule for a given route, normalized down to only
 // the fields Cannon needs for LaneVessels:
 //   - routeId
-//   - departingTerminalId
+//   - departingTerminalId / arrivingTerminalId
+//   - departingTime / arrivingTime (ISO)
 //   - vesselPositionNumber (1 or 2)
 //   - vesselId
 //   - vesselName
@@ -99,7 +126,7 @@ async function fetchDailySchedule(routeId, tripDateText) {
   // Example URL per Cannon:
   //   Ferries/API/Schedule/rest/schedule/{TripDateText}/{Route}?apiaccesscode=...
   const url =
-    `https://www.wsdot.wa.gov/Ferries/API/Schedule/rest/schedule/` +
+    `${apiBaseUrl()}/Schedule/rest/schedule/` +
     `${encodeURIComponent(tripDateText)}/` +
     `${encodeURIComponent(routeId)}?apiaccesscode=${encodeURIComponent(apiKey)}`;
 
@@ -120,11 +147,22 @@ async function fetchDailySchedule(routeId, tripDateText) {
     throw new Error("Unexpected schedule payload (no object data)");
   }
 
+  // Empty array is OK; deriveLaneVesselsForRoute will mark scheduleError.
+  return normalizeScheduleRows(data, routeId);
+}
+
+// Flatten a raw schedule payload (TerminalCombos[].Times[]) into the
+// per-sailing rows described above. Shared by fetchDailySchedule and by
+// consumers that already hold the raw payload (feedStore snapshots).
+function normalizeScheduleRows(data, routeId) {
+  if (!data || typeof data !== "object") return [];
+
   const combos = Array.isArray(data.TerminalCombos) ? data.TerminalCombos : [];
   const rows = [];
 
   for (const combo of combos) {
     const departingTerminalId = combo.DepartingTerminalID ?? null;
+    const arrivingTerminalId = combo.ArrivingTerminalID ?? null;
     const times = Array.isArray(combo.Times) ? combo.Times : [];
 
     for (const t of times) {
@@ -141,6 +179,9 @@ async function fetchDailySchedule(routeId, tripDateText) {
       rows.push({
         routeId: rowRouteId,
         departingTerminalId,
+        arrivingTerminalId,
+        departingTime: parseWsdotDate(t.DepartingTime),
+        arrivingTime: parseWsdotDate(t.ArrivingTime),
         vesselPositionNumber,
         vesselId,
         vesselName,
@@ -148,7 +189,6 @@ async function fetchDailySchedule(routeId, tripDateText) {
     }
   }
 
-  // Empty array is OK; deriveLaneVesselsForRoute will mark scheduleError.
   return rows;
 }
 
@@ -171,7 +211,7 @@ async function fetchRouteDetails(routeId, tripDateText) {
   const apiKey = requireApiKey();
 
   const url =
-    `https://www.wsdot.wa.gov/Ferries/API/Schedule/rest/routedetails/` +
+    `${apiBaseUrl()}/Schedule/rest/routedetails/` +
     `${encodeURIComponent(tripDateText)}/` +
     `${encodeURIComponent(routeId)}?apiaccesscode=${encodeURIComponent(apiKey)}`;
 
@@ -188,15 +228,67 @@ async function fetchRouteDetails(routeId, tripDateText) {
   return res && typeof res.data !== "undefined" ? res.data : null;
 }
 
+// All routes sailing on a trip date (route catalogue discovery).
+// Each entry carries RouteID, RouteAbbrev, Description, CrossingTime, ...
+async function fetchAllRouteDetails(tripDateText) {
+  const apiKey = requireApiKey();
+
+  const url =
+    `${apiBaseUrl()}/Schedule/rest/routedetails/` +
+    `${encodeURIComponent(tripDateText)}?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  return res && Array.isArray(res.data) ? res.data : [];
+}
+
+// Terminal pairs served by one route on a trip date:
+//   [{ DepartingTerminalID, DepartingDescription, ArrivingTerminalID, ArrivingDescription }]
+async function fetchTerminalMatesByRoute(routeId, tripDateText) {
+  const apiKey = requireApiKey();
+
+  const url =
+    `${apiBaseUrl()}/Schedule/rest/terminalsandmatesbyroute/` +
+    `${encodeURIComponent(tripDateText)}/` +
+    `${encodeURIComponent(routeId)}?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  return res && Array.isArray(res.data) ? res.data : [];
+}
+
 // ---------------------------------------------------------------------------
 // Vessels API: /vessellocations (Cannon live vessel layer)
 // ---------------------------------------------------------------------------
 
-const WSDOT_BASE = "https://www.wsdot.wa.gov/Ferries/API/Vessels/rest";
+function finiteOrNull(n) {
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
 
 function normalizeVessel(rec) {
   if (!rec) return null;
 
+  // VesselWatch "shut" state: the flag is "0" normally. The message is only
+  // meaningful while shut; WSDOT fills it with boilerplate otherwise.
+  const shut = rec.VesselWatchShutFlag != null && String(rec.VesselWatchShutFlag) !== "0";
+  const shutMsg = String(rec.VesselWatchShutMsg || "").trim();
+
   return {
     vesselId: rec.VesselID,
     vesselName: rec.VesselName,
@@ -204,7 +296,16 @@ function normalizeVessel(rec) {
     departingName: rec.DepartingTerminalName,
     arrivingId: rec.ArrivingTerminalID,
     arrivingName: rec.ArrivingTerminalName,
+    // Position and motion: WGS84 degrees, knots, degrees true.
+    latitude: finiteOrNull(rec.Latitude),
+    longitude: finiteOrNull(rec.Longitude),
+    speed: finiteOrNull(rec.Speed),
+    heading: finiteOrNull(rec.Heading),
     atDock: !!rec.AtDock,
+    // false once WSDOT pulls the vessel from service; null when not reported.
+    inService: rec.InService == null ? null : !!rec.InService,
+    vesselWatchShut: shut,
+    vesselWatchShutMsg: shut && shutMsg ? shutMsg : null,
     vesselPositionNumber: rec.VesselPositionNum,
     leftDockIso: parseWsdotDate(rec.LeftDock),
     etaIso: parseWsdotDate(rec.Eta),
@@ -216,9 +317,10 @@ function normalizeVessel(rec) {
   };
 }
 
-async function getNormalizedVessels() {
+// Raw vessellocations rows (recorder and debugging); see getNormalizedVessels.
+async function fetchVesselLocationsRaw() {
   const apiKey = requireApiKey();
-  const url = `${WSDOT_BASE}/vessellocations?apiaccesscode=${encodeURIComponent(
+  const url = `${apiBaseUrl()}/Vessels/rest/vessellocations?apiaccesscode=${encodeURIComponent(
     apiKey
   )}`;
 
@@ -235,7 +337,48 @@ async function getNormalizedVessels() {
   if (!res || !Array.isArray(res.data)) {
     throw new Error("Unexpected vessellocations payload");
   }
-  return res.data.map(normalizeVessel).filter(Boolean);
+  return res.data;
+}
+
+async function getNormalizedVessels() {
+  const rows = await fetchVesselLocationsRaw();
+  return rows.map(normalizeVessel).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// Vessels API: /vesselbasics and /vesselstats (vessel profiles)
+// ---------------------------------------------------------------------------
+//
+// Basics: name, abbreviation, class, status. Stats: deck space, passenger
+// capacity, year built, speed. Both change a few times a year;
+// vesselProfiles.js merges and caches them.
+
+async function fetchVesselMetadata(endpoint) {
+  const apiKey = requireApiKey();
+  const url = `${apiBaseUrl()}/Vessels/rest/${endpoint}?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  if (!res || !Array.isArray(res.data)) {
+    throw new Error(`Unexpected ${endpoint} payload (expected array)`);
+  }
+  return res.data;
+}
+
+function fetchVesselBasics() {
+  return fetchVesselMetadata("vesselbasics");
+}
+
+function fetchVesselStats() {
+  return fetchVesselMetadata("vesselstats");
 }
 
 // ---------------------------------------------------------------------------
@@ -278,7 +421,7 @@ async function getNormalizedVessels() {
 async function fetchTerminalSpaces() {
   const apiKey = requireApiKey();
   const url =
-    `https://www.wsdot.wa.gov/Ferries/API/Terminals/rest/terminalsailingspace` +
+    `${apiBaseUrl()}/Terminals/rest/terminalsailingspace` +
     `?apiaccesscode=${encodeURIComponent(apiKey)}`;
 
   const res = await getWithRetry(
@@ -306,7 +449,7 @@ async function fetchDailyScheduleRaw(routeId, tripDateText) {
   const apiKey = requireApiKey();
 
   const url =
-    `https://www.wsdot.wa.gov/Ferries/API/Schedule/rest/schedule/` +
+    `${apiBaseUrl()}/Schedule/rest/schedule/` +
     `${encodeURIComponent(tripDateText)}/` +
     `${encodeURIComponent(routeId)}?apiaccesscode=${encodeURIComponent(apiKey)}`;
 
@@ -323,10 +466,115 @@ async function fetchDailyScheduleRaw(routeId, tripDateText) {
   return res && typeof res.data !== "undefined" ? res.data : null;
 }
 
+// ---------------------------------------------------------------------------
+// Service alerts: schedule alerts + terminal bulletins (serviceAlerts.js)
+// ---------------------------------------------------------------------------
+//
+// Schedule alerts (per route):
+//   [{ BulletinID, AlertFullTitle, AlertFullText, AlertDescription,
+//      DisruptionDescription, AffectedRouteIDs: [..], AllRoutesFlag,
+//      PublishDate, AlertType, ... }]
+//
+// Terminal bulletins (per terminal):
+//   [{ TerminalID, TerminalName, ...,
+//      Bulletins: [{ BulletinTitle, BulletinText, BulletinLastUpdated, ... }] }]
+//
+// Both are returned raw; serviceAlerts.js filters them per route.
+
+async function fetchScheduleAlerts() {
+  const apiKey = requireApiKey();
+  const url =
+    `${apiBaseUrl()}/Schedule/rest/alerts` +
+    `?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  if (!res || !Array.isArray(res.data)) {
+    throw new Error("Unexpected alerts payload (expected array)");
+  }
+  return res.data;
+}
+
+async function fetchTerminalBulletins() {
+  const apiKey = requireApiKey();
+  const url =
+    `${apiBaseUrl()}/Terminals/rest/terminalbulletins` +
+    `?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  if (!res || !Array.isArray(res.data)) {
+    throw new Error("Unexpected terminalbulletins payload (expected array)");
+  }
+  return res.data;
+}
+
+// ---------------------------------------------------------------------------
+// Terminals API: terminal wait times (waitTimes.js)
+// ---------------------------------------------------------------------------
+//
+// Raw shape:
+//   [{ TerminalID, TerminalName, ...,
+//      WaitTimes: [{ RouteID, RouteName, WaitTimeNotes, WaitTimeLastUpdated,
+//                    WaitTimeIVRNotes }] }]
+//
+// WaitTimeNotes is free text ("2 hour wait for vehicles"); waitTimes.js
+// extracts minutes from it where it can.
+
+async function fetchTerminalWaitTimes() {
+  const apiKey = requireApiKey();
+  const url =
+    `${apiBaseUrl()}/Terminals/rest/terminalwaittimes` +
+    `?apiaccesscode=${encodeURIComponent(apiKey)}`;
+
+  const res = await getWithRetry(
+    url,
+    {
+      timeout: 8000,
+      headers: { Accept: "application/json" },
+    },
+    2,
+    500
+  );
+
+  if (!res || !Array.isArray(res.data)) {
+    throw new Error("Unexpected terminalwaittimes payload (expected array)");
+  }
+  return res.data;
+}
+
 module.exports = {
+  apiBaseUrl,
+  requireApiKey,
   getNormalizedVessels,
+  fetchVesselLocationsRaw,
+  fetchVesselBasics,
+  fetchVesselStats,
   fetchDailySchedule,
   fetchDailyScheduleRaw,
   fetchRouteDetails,
+  fetchAllRouteDetails,
+  fetchTerminalMatesByRoute,
   fetchTerminalSpaces,
+  fetchScheduleAlerts,
+  fetchTerminalBulletins,
+  fetchTerminalWaitTimes,
+  normalizeScheduleRows,
+  parseWsdotDate,
 };
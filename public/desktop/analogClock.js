@@ -53,7 +53,8 @@ console.log("[analogClock] init, svg found:", !!document.getElementById("clockFa
 
     // Return current time in Seattle (America/Los_Angeles), independent of client time zone.
     function getSeattleTimeParts() {
-        const now = new Date();
+        // Replay mode shifts "now" to the recording (see ferryClock.js).
+        const now = typeof window.FerryNow === "function" ? window.FerryNow() : new Date();
 
         const fmt = new Intl.DateTimeFormat("en-US", {
             timeZone: "America/Los_Angeles",
@@ -78,7 +79,8 @@ console.log("[analogClock] init, svg found:", !!document.getElementById("clockFa
 
     // Return current Seattle time zone abbreviation (e.g., "PST" or "PDT").
     function getSeattleZoneAbbrev() {
-        const now = new Date();
+        // Replay mode shifts "now" to the recording (see ferryClock.js).
+        const now = typeof window.FerryNow === "function" ? window.FerryNow() : new Date();
         const fmt = new Intl.DateTimeFormat("en-US", {
             timeZone: "America/Los_Angeles",
             timeZoneName: "short",
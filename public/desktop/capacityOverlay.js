@@ -21,6 +21,27 @@ console.log("[capacityOverlay] loaded");
   function render(opts) {
     if (!opts || !opts.group || !opts.state) return;
     drawCapacityPies(opts.group, opts.state);
+    drawCancelledMarkers(opts.group, opts.state);
+    drawWaitTimes(opts.group, opts.state);
+    drawSellOutHints(opts.group, opts.state);
+    drawReservationLegend(opts.group, opts.state);
+  }
+
+  // Pie centres (west / east), shared by the pies and the cancelled markers.
+  function pieGeometry() {
+    // Dial geometry
+    const CX = 200;
+    const CY = 200;
+    const BAR_W = 150;
+    const offset = BAR_W / 2 + 50;
+    const xWestLabel = CX - offset;
+    const xEastLabel = CX + offset;
+    const yMid = CY;
+
+    const xWestPie = xWestLabel + (CX - xWestLabel) / 3;
+    const xEastPie = xEastLabel + (CX - xEastLabel) / 3;
+
+    return { xWestPie, xEastPie, yMid };
   }
 
   // --- copied logic (identical behavior) ------------------------------------
@@ -54,17 +75,7 @@ console.log("[capacityOverlay] loaded");
     const strokeWidth = 6;
     const rInner = rOuter - strokeWidth;
 
-    // Dial geometry
-    const CX = 200;
-    const CY = 200;
-    const BAR_W = 150;
-    const offset = BAR_W / 2 + 50;
-    const xWestLabel = CX - offset;
-    const xEastLabel = CX + offset;
-    const yMid = CY;
-
-    const xWestPie = xWestLabel + (CX - xWestLabel) / 3;
-    const xEastPie = xEastLabel + (CX - xEastLabel) / 3;
+    const { xWestPie, xEastPie, yMid } = pieGeometry();
 
     drawOneCapacityPie(group, {
       cx: xWestPie,
@@ -72,6 +83,7 @@ console.log("[capacityOverlay] loaded");
       rOuter,
       rInner,
       avail: availW,
+      reservable: cap.westAvailReservable,
       max: maxW,
       side: "west",
       capacityStale: capacityStaleWest,
@@ -83,6 +95,7 @@ console.log("[capacityOverlay] loaded");
       rOuter,
       rInner,
       avail: availE,
+      reservable: cap.eastAvailReservable,
       max: maxE,
       side: "east",
       capacityStale: capacityStaleEast,
@@ -95,6 +108,7 @@ console.log("[capacityOverlay] loaded");
       rOuter,
       rInner,
       avail,
+      reservable,
       max,
       side,
       capacityStale,
@@ -108,6 +122,10 @@ console.log("[capacityOverlay] loaded");
     if (frac < 0) frac = 0;
     if (frac > 1) frac = 1;
 
+    // Reservation routes: open reservable space is its own segment.
+    const hasReservable = typeof reservable === "number" && Number.isFinite(reservable) && reservable > 0;
+    const resFrac = hasReservable ? Math.min(reservable / max, 1 - frac) : 0;
+
     // color mapping must match ferryClock.js COLORS.ltr / COLORS.rtl
     const COLOR_STRONG_LTR = "#1c9560a7";
     const COLOR_STRONG_RTL = "#ff2121b9";
@@ -134,43 +152,18 @@ console.log("[capacityOverlay] loaded");
       "stroke-width": thickness,
       opacity: baseOpacity,
     });
+    if (typeof reservable === "number") {
+      const tip = elNS("title", {});
+      tip.textContent = `${Math.round(avail)} drive-up · ${Math.round(reservable)} reservable of ${max}`;
+      track.appendChild(tip);
+    }
     group.appendChild(track);
 
-    // Fraction arc
-    if (frac > 0) {
-      if (frac >= 0.999) {
-        const ring = elNS("circle", {
-          cx, cy,
-          r: rMid,
-          fill: "none",
-          stroke: strokeColor,
-          "stroke-width": thickness,
-          opacity: baseOpacity,
-        });
-        group.appendChild(ring);
-      } else {
-        // 12 o’clock start, clockwise grow
-        const startAngle = -Math.PI / 2;
-        const endAngle = startAngle + frac * Math.PI * 2;
-
-        // Prefer shared helper from ferryClock.js; fall back to local copy
-        const arcFn = (typeof window.FerryDescribeArcPath === "function")
-          ? window.FerryDescribeArcPath
-          : describeArcPathLocal;
-
-        const d = arcFn(cx, cy, rMid, startAngle, endAngle);
-
-        const path = elNS("path", {
-          d,
-          fill: "none",
-          stroke: strokeColor,
-          "stroke-width": thickness,
-          "stroke-linecap": "butt",
-          opacity: baseOpacity,
-        });
-        group.appendChild(path);
-      }
-    }
+    // Open drive-up space from 12 o'clock, then open reservable space.
+    appendPieSegment(group, { cx, cy, rMid, thickness, opacity: baseOpacity },
+      0, frac, strokeColor);
+    appendPieSegment(group, { cx, cy, rMid, thickness, opacity: baseOpacity },
+      frac, frac + resFrac, COLOR_RESERVABLE);
 
     // inner disk
     const inner = elNS("circle", {
@@ -195,6 +188,255 @@ console.log("[capacityOverlay] loaded");
     group.appendChild(label);
   }
 
+  // Open reservable space (segment and legend swatch).
+  const COLOR_RESERVABLE = "#6366f1";
+
+  // One arc of a pie ring between two fractions of the circle (0 = 12 o'clock,
+  // clockwise); a near-full span is drawn as a ring.
+  function appendPieSegment(group, ring, fromFrac, toFrac, color) {
+    const span = toFrac - fromFrac;
+    if (!(span > 0)) return;
+
+    if (span >= 0.999) {
+      group.appendChild(elNS("circle", {
+        cx: ring.cx,
+        cy: ring.cy,
+        r: ring.rMid,
+        fill: "none",
+        stroke: color,
+        "stroke-width": ring.thickness,
+        opacity: ring.opacity,
+      }));
+      return;
+    }
+
+    const startAngle = -Math.PI / 2 + fromFrac * Math.PI * 2;
+    const endAngle = -Math.PI / 2 + toFrac * Math.PI * 2;
+
+    // Prefer shared helper from ferryClock.js; fall back to local copy
+    const arcFn = (typeof window.FerryDescribeArcPath === "function")
+      ? window.FerryDescribeArcPath
+      : describeArcPathLocal;
+
+    group.appendChild(elNS("path", {
+      d: arcFn(ring.cx, ring.cy, ring.rMid, startAngle, endAngle),
+      fill: "none",
+      stroke: color,
+      "stroke-width": ring.thickness,
+      "stroke-linecap": "butt",
+      opacity: ring.opacity,
+    }));
+  }
+
+  // ---- Reservation legend ---------------------------------------------------
+  // Between the pies, under the attribution, on routes that report reservable
+  // space: which part of each ring is open reservable vs open drive-up space.
+  function drawReservationLegend(group, state) {
+    const cap = state.capacity || null;
+    if (!cap) return;
+    if (typeof cap.westAvailReservable !== "number" && typeof cap.eastAvailReservable !== "number") {
+      return;
+    }
+
+    const { xWestPie, xEastPie, yMid } = pieGeometry();
+    const xMid = (xWestPie + xEastPie) / 2;
+    const y = yMid + 22;
+    const legend = elNS("g", { class: "reservation-legend", "font-size": "6" });
+
+    // Drive-up space takes each side's colour, so its swatch shows both.
+    [
+      { label: "reservable", colors: [COLOR_RESERVABLE], x: xMid - 34 },
+      { label: "drive-up", colors: ["#1c9560a7", "#ff2121b9"], x: xMid + 6 },
+    ].forEach((item) => {
+      const w = 6 / item.colors.length;
+      item.colors.forEach((color, i) => {
+        legend.appendChild(elNS("rect", {
+          x: item.x + i * w,
+          y: y - 3,
+          width: w,
+          height: 5,
+          fill: color,
+        }));
+      });
+      const text = elNS("text", {
+        x: item.x + 8,
+        y: y + 1,
+        "dominant-baseline": "middle",
+        fill: "#9ca3af",
+      });
+      text.textContent = item.label;
+      legend.appendChild(text);
+    });
+
+    group.appendChild(legend);
+  }
+
+  // ---- Cancelled sailing markers ------------------------------------------
+  // Around each terminal's pie: "✕ CANCELLED" above, the departure time of
+  // the next cancelled sailing from that terminal below (state.cancelledSailings).
+  // A sailing stays marked for a few minutes after its slot.
+  const CANCELLED_MARKER_GRACE_MS = 10 * 60 * 1000;
+  const COLOR_CANCELLED = "#dc2626";
+
+  function nextCancelledFrom(state, terminalId, nowMs) {
+    const list = Array.isArray(state.cancelledSailings) ? state.cancelledSailings : [];
+    let best = null;
+    let bestMs = Infinity;
+    for (const c of list) {
+      if (!c || Number(c.departingTerminalId) !== Number(terminalId)) continue;
+      const ms = Date.parse(c.scheduledDeparture);
+      if (!Number.isFinite(ms) || ms < nowMs - CANCELLED_MARKER_GRACE_MS) continue;
+      if (ms < bestMs) {
+        best = c;
+        bestMs = ms;
+      }
+    }
+    return best;
+  }
+
+  function drawCancelledMarkers(group, state) {
+    const route = state.route || null;
+    if (!route || route.terminalIdWest == null || route.terminalIdEast == null) return;
+
+    const now = typeof window.FerryNow === "function" ? window.FerryNow() : new Date();
+    const { xWestPie, xEastPie, yMid } = pieGeometry();
+
+    [
+      { terminalId: route.terminalIdWest, x: xWestPie },
+      { terminalId: route.terminalIdEast, x: xEastPie },
+    ].forEach((side) => {
+      const cancelled = nextCancelledFrom(state, side.terminalId, now.getTime());
+      if (!cancelled) return;
+
+      const marker = elNS("g", { class: "cancelled-marker" });
+      const title = elNS("text", {
+        x: side.x,
+        y: yMid - 26, // above the pie
+        "text-anchor": "middle",
+        "font-size": "9",
+        "font-weight": "700",
+        fill: COLOR_CANCELLED,
+      });
+      title.textContent = "✕ CANCELLED";
+      marker.appendChild(title);
+
+      const time = elNS("text", {
+        x: side.x,
+        y: yMid + 31, // below the pie
+        "text-anchor": "middle",
+        "font-size": "9",
+        fill: COLOR_CANCELLED,
+      });
+      time.textContent = new Date(cancelled.scheduledDeparture).toLocaleTimeString([], {
+        hour: "numeric",
+        minute: "2-digit",
+      });
+      marker.appendChild(time);
+
+      group.appendChild(marker);
+    });
+  }
+
+  // ---- Terminal wait times ------------------------------------------------
+  // Under each terminal's pie (state.waitTimes.west / .east): "⏱ 2 h wait".
+  // Stale notes are dimmed like stale pies; the full WSDOT note is the tooltip.
+  // Sits one line lower when that side also shows a cancelled sailing time.
+  function formatWait(w) {
+    const m = w.waitMinutes;
+    if (m === 0) return "No wait";
+    if (typeof m !== "number" || !Number.isFinite(m)) {
+      const notes = String(w.notes || "");
+      return notes.length > 16 ? notes.slice(0, 15) + "…" : notes;
+    }
+    if (m < 60) return `${m} min wait`;
+    const h = Math.round((m / 60) * 2) / 2; // nearest half hour
+    return `${h} h wait`;
+  }
+
+  function drawWaitTimes(group, state) {
+    const waits = state.waitTimes || null;
+    const route = state.route || null;
+    if (!waits || !route) return;
+
+    const now = typeof window.FerryNow === "function" ? window.FerryNow() : new Date();
+    const { xWestPie, xEastPie, yMid } = pieGeometry();
+
+    [
+      { w: waits.west, terminalId: route.terminalIdWest, x: xWestPie },
+      { w: waits.east, terminalId: route.terminalIdEast, x: xEastPie },
+    ].forEach((side) => {
+      if (!side.w || !side.w.notes) return;
+
+      const belowCancelled = !!nextCancelledFrom(state, side.terminalId, now.getTime());
+      const text = elNS("text", {
+        x: side.x,
+        y: yMid + (belowCancelled ? 42 : 31),
+        class: "wait-time",
+        "text-anchor": "middle",
+        "font-size": "9",
+        fill: "#111827",
+        opacity: side.w.isStale ? 0.6 : 1.0,
+      });
+      text.textContent = `⏱ ${formatWait(side.w)}`;
+
+      const title = elNS("title", {});
+      title.textContent = side.w.notes;
+      text.appendChild(title);
+
+      group.appendChild(text);
+    });
+  }
+
+  // ---- Sell-out hints -----------------------------------------------------
+  // Above each pie (state.capacity.westSellOut / .eastSellOut, see
+  // backend/capacityTrend.js): "likely full by 7:15" when the sailing is
+  // expected to fill before it leaves. Low-confidence guesses stay hidden;
+  // medium ones are dimmed. Sits one line higher above a "✕ CANCELLED" title.
+  const COLOR_SELL_OUT = "#b45309";
+
+  function formatClockTime(iso) {
+    return new Date(iso).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  }
+
+  function drawSellOutHints(group, state) {
+    const cap = state.capacity || null;
+    const route = state.route || null;
+    if (!cap || !route) return;
+
+    const now = typeof window.FerryNow === "function" ? window.FerryNow() : new Date();
+    const { xWestPie, xEastPie, yMid } = pieGeometry();
+
+    [
+      { s: cap.westSellOut, terminalId: route.terminalIdWest, x: xWestPie },
+      { s: cap.eastSellOut, terminalId: route.terminalIdEast, x: xEastPie },
+    ].forEach((side) => {
+      const s = side.s;
+      if (!s || !s.likelyFull || !s.fullAt || s.basis === "full") return;
+      if (s.confidence !== "medium" && s.confidence !== "high") return;
+
+      const aboveCancelled = !!nextCancelledFrom(state, side.terminalId, now.getTime());
+      const text = elNS("text", {
+        x: side.x,
+        y: yMid - (aboveCancelled ? 37 : 26),
+        class: "sell-out-hint",
+        "text-anchor": "middle",
+        "font-size": "8",
+        "font-weight": "600",
+        fill: COLOR_SELL_OUT,
+        opacity: s.confidence === "high" ? 1.0 : 0.75,
+      });
+      text.textContent = `likely full by ${formatClockTime(s.fullAt)}`;
+
+      const title = elNS("title", {});
+      title.textContent =
+        `Drive-up space on the ${formatClockTime(s.departure)} sailing is likely ` +
+        `to run out by ${formatClockTime(s.fullAt)} (${s.confidence} confidence)`;
+      text.appendChild(title);
+
+      group.appendChild(text);
+    });
+  }
+
   // Local fallback, identical geometry to ferryClock.js describeArcPath
   function describeArcPathLocal(cx, cy, r, startAngle, endAngle) {
     function polarToCartesianLocal(cx, cy, r, angleRad) {
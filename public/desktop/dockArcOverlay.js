@@ -14,8 +14,7 @@ console.log("[dockArcOverlay] loaded");
   const CX = 200;
   const CY = 200;
   const DOCK_ARC_THICKNESS = 8;
-  const R_DOCK_UPPER = 174; // outer lane ring
-  const R_DOCK_LOWER = 165; // inner lane ring
+  const R_DOCK_OUTER = 174; // outer lane ring (used when no radius is supplied)
 
   // Color palette: match ferryClock.js
   const COLOR_STRONG_LTR = "#1c9560a7"; // BI → SEA
@@ -59,7 +58,7 @@ console.log("[dockArcOverlay] loaded");
     ].join(" ");
   }
 
-  function drawDockArcForLane(group, lane, laneKey, now) {
+  function drawDockArcForLane(group, lane, ring, now) {
     if (!group || !lane) return;
     if (!lane.atDock) return;
     if (!lane.dockStartTime) return;
@@ -77,7 +76,9 @@ console.log("[dockArcOverlay] loaded");
     if (frac <= 0) return;
     if (frac > 1) frac = 1;
 
-    const radius = laneKey === "upper" ? R_DOCK_UPPER : R_DOCK_LOWER;
+    // Ring radius/thickness come from ferryClock's lane layout.
+    const radius = typeof ring.radius === "number" ? ring.radius : R_DOCK_OUTER;
+    const thickness = typeof ring.thickness === "number" ? ring.thickness : DOCK_ARC_THICKNESS;
 
     // Anchor: minute hand at dockStartTime, local minutes + seconds
     const localMinutes = (startDate.getMinutes() + startDate.getSeconds() / 60) % 60;
@@ -100,7 +101,7 @@ console.log("[dockArcOverlay] loaded");
         r: String(radius),
         fill: "none",
         stroke: strokeColor,
-        "stroke-width": String(DOCK_ARC_THICKNESS),
+        "stroke-width": String(thickness),
       });
       group.appendChild(circle);
     } else {
@@ -109,7 +110,7 @@ console.log("[dockArcOverlay] loaded");
         d,
         fill: "none",
         stroke: strokeColor,
-        "stroke-width": String(DOCK_ARC_THICKNESS),
+        "stroke-width": String(thickness),
         "stroke-linecap": "butt",
       });
       group.appendChild(path);
@@ -117,12 +118,11 @@ console.log("[dockArcOverlay] loaded");
   }
 
   /**
-   * Main entry: draws dock arcs for upper / lower lanes.
+   * Main entry: draws one dock-arc ring per lane.
    *
    * opts: {
    *   group:     <SVGGroupElement>, // #dock-arcs
-   *   upperLane: state.lanes.upper,
-   *   lowerLane: state.lanes.lower,
+   *   lanes:     [{ lane, radius, thickness }], // outermost ring first
    *   now:       Date
    * }
    */
@@ -130,12 +130,12 @@ console.log("[dockArcOverlay] loaded");
     if (!opts || !opts.group || !opts.now) return;
 
     const g = opts.group;
-    const upper = opts.upperLane || null;
-    const lower = opts.lowerLane || null;
+    const rings = Array.isArray(opts.lanes) ? opts.lanes : [];
     const now = opts.now;
 
-    if (upper) drawDockArcForLane(g, upper, "upper", now);
-    if (lower) drawDockArcForLane(g, lower, "lower", now);
+    rings.forEach((ring) => {
+      if (ring && ring.lane) drawDockArcForLane(g, ring.lane, ring, now);
+    });
   }
 
   window.FerryDockArcOverlay = { render };
@@ -138,32 +138,35 @@ function renderDotState(state) {
 
   canvasEl.innerHTML = "";
 
-  // Read lane fallback statuses
-  const upperStatus =
-    state.meta?.fallback?.lanes?.upper || null;
-  const lowerStatus =
-    state.meta?.fallback?.lanes?.lower || null;
-
-  const rawUpper = state.lanes.upper || null;
-  const rawLower = state.lanes.lower || null;
-
-  const upperLane = normalizeLaneForRenderDot(rawUpper, upperStatus);
-  const lowerLane = normalizeLaneForRenderDot(rawLower, lowerStatus);
-
-  if (!upperLane && !lowerLane) {
+  // One lane per schedule position, keyed "pos<N>" in meta.fallback.lanes
+  const laneStatuses = state.meta?.fallback?.lanes || {};
+  const rawLanes = Array.isArray(state.lanes) ? state.lanes : [];
+
+  const lanes = rawLanes
+    .map((lane) => {
+      const status = (lane && laneStatuses[lane.laneKey]) || null;
+      return { lane: normalizeLaneForRenderDot(lane, status), status };
+    })
+    .filter((entry) => entry.lane);
+
+  if (lanes.length === 0) {
+    const service = state.service;
+    if (service && service.status && service.status !== "running") {
+      canvasEl.textContent = service.resumesAt
+        ? `Service resumes ${new Date(service.resumesAt).toLocaleTimeString([], {
+            hour: "numeric",
+            minute: "2-digit",
+          })}.`
+        : "No sailings scheduled.";
+      return;
+    }
     canvasEl.textContent = "No active lanes for this route.";
     return;
   }
 
-  if (upperLane) {
+  for (const { lane, status } of lanes) {
     canvasEl.appendChild(
-      renderLane("Upper lane", upperLane, left, right, upperStatus)
-    );
-  }
-
-  if (lowerLane) {
-    canvasEl.appendChild(
-      renderLane("Lower lane", lowerLane, left, right, lowerStatus)
+      renderLane(`Boat ${lane.vesselPositionNumber}`, lane, left, right, status)
     );
   }
 }
@@ -201,8 +204,11 @@ function renderLane(labelText, laneState, labelWest, labelEast, laneStatus) {
   dot.className = "lane-dot";
 
   const phase = (laneState.phase || "").toUpperCase();
-  if (phase === "UNDERWAY") dot.classList.add("underway");
-  if (phase === "AT_DOCK") dot.classList.add("at-dock");
+  if (["DEPARTING", "UNDERWAY", "HOLDING", "ARRIVING"].includes(phase)) {
+    dot.classList.add("underway");
+  }
+  if (phase === "AT_DOCK" || phase === "BOARDING") dot.classList.add("at-dock");
+  if (phase === "OUT_OF_SERVICE") dot.classList.add("out-of-service");
 
   // Direction-based coloring (global rules)
   if (dir === "WEST_TO_EAST") {
@@ -233,7 +239,8 @@ function renderLane(labelText, laneState, labelWest, labelEast, laneStatus) {
   const vesselLabel = document.createElement("div");
   vesselLabel.className = "vessel-label";
   vesselLabel.textContent =
-    `${laneState.vesselName || "Unknown vessel"} (${phase})`;
+    `${laneState.vesselName || "Unknown vessel"} (${phase}${laneState.isProjected ? ", scheduled" : ""})` +
+    (laneState.serviceMessage ? ` — ${laneState.serviceMessage}` : "");
   laneDiv.appendChild(vesselLabel);
 
   return laneDiv;
@@ -7,6 +7,7 @@
   let routeSelectEl = null;
   let routeChangeBtnEl = null;
   let routeInfoEl = null;
+  let swapInfoEl = null;
   let layersRef = null;
 
   // --- clock geometry ---
@@ -22,6 +23,20 @@
   const COLOR_DOT_LTR   = "#10b981"; // WEST → EAST dot
   const COLOR_DOT_RTL   = "#ef4444"; // EAST → WEST dot
 
+  // Delay badge next to the vessel name (lane.delayStatus)
+  const COLOR_DELAY_LATE      = "#d97706";
+  const COLOR_DELAY_VERY_LATE = "#dc2626";
+
+  // Phase tag next to the vessel name (lane.phase); plain AT_DOCK / UNDERWAY
+  // get no tag
+  const PHASE_TAGS = {
+    BOARDING:       { text: "Boarding",       fill: "#2563eb" },
+    DEPARTING:      { text: "Departing",      fill: "#0d9488" },
+    HOLDING:        { text: "Holding",        fill: "#d97706" },
+    ARRIVING:       { text: "Arriving",       fill: "#7c3aed" },
+    OUT_OF_SERVICE: { text: "Out of service", fill: "#6b7280" },
+  };
+
   const COLORS = {
     ltr:  { strong: COLOR_STRONG_LTR, light: COLOR_STRONG_LTR, dot: COLOR_DOT_LTR },
     rtl:  { strong: COLOR_STRONG_RTL, light: COLOR_STRONG_RTL, dot: COLOR_DOT_RTL },
@@ -43,6 +58,79 @@
   const R_DOCK_UPPER = 174;       // outer lane: midpoint of 160–178 band
   const R_DOCK_LOWER = 165;       // inner lane: midpoint above numerals at ~148
 
+  // Lane layout: one row per lane returned by /api/dot-state.
+  // A half of the dial holding a single lane uses the classic row (95 / 305);
+  // a half holding several lanes packs them at a tighter pitch.
+  // Dock rings split the same outer band, outermost ring for the first lane.
+  const LANE_ROW_UPPER = 95;
+  const LANE_ROW_LOWER = 305;
+  const LANE_ROW_EDGE  = 60;   // px, outermost compact row distance from the top/bottom
+  const LANE_HALF_SPAN = 112;  // px available to compact rows in each half
+  const DOCK_RING_PITCH = R_DOCK_UPPER - R_DOCK_LOWER;
+  const DOCK_BAND_OUTER = R_DOCK_UPPER + (DOCK_RING_PITCH / 2);
+
+  function computeLaneLayout(count) {
+    const n = Math.max(0, Math.floor(count) || 0);
+    const nTop = Math.ceil(n / 2);
+    const nBottom = n - nTop;
+    // Two lanes reproduce the classic rings exactly; more lanes share the band.
+    const ringPitch = (DOCK_RING_PITCH * 2) / Math.max(n, 2);
+    const slots = [];
+
+    for (let i = 0; i < n; i++) {
+      const inTop = i < nTop;
+      const k = inTop ? nTop : nBottom;
+      const j = inTop ? i : i - nTop; // row index within its half, top to bottom
+      let y;
+      let barYOffset;
+
+      if (k <= 1) {
+        y = inTop ? LANE_ROW_UPPER : LANE_ROW_LOWER;
+        barYOffset = BAR_Y_OFFSET;
+      } else {
+        const pitch = LANE_HALF_SPAN / k;
+        y = inTop
+          ? LANE_ROW_EDGE + j * pitch
+          : 2 * CY - LANE_ROW_EDGE - (k - 1 - j) * pitch;
+        barYOffset = Math.round(pitch * 0.7);
+      }
+
+      slots.push({
+        y,
+        barYOffset,
+        dockRadius: DOCK_BAND_OUTER - (i + 0.5) * ringPitch,
+        dockThickness: ringPitch - (DOCK_RING_PITCH - DOCK_ARC_THICKNESS),
+      });
+    }
+    return slots;
+  }
+
+  // Replay mode: the server runs on a recording's virtual time (meta.replay).
+  // Follow it so hands, dock arcs and ETAs agree; live mode uses the browser clock.
+  let replayClock = null; // { virtualMs, realMs, speed }
+
+  function syncReplayClock(meta) {
+    const replay = meta && meta.replay;
+    const serverMs = meta && meta.serverTime ? Date.parse(meta.serverTime) : NaN;
+    if (!replay || !Number.isFinite(serverMs)) {
+      replayClock = null;
+      return;
+    }
+    replayClock = {
+      virtualMs: serverMs,
+      realMs: Date.now(),
+      speed: Number(replay.speed) > 0 ? Number(replay.speed) : 1,
+    };
+  }
+
+  // Shared "now" for analogClock.js and the overlays.
+  window.FerryNow = function () {
+    if (!replayClock) return new Date();
+    return new Date(
+      replayClock.virtualMs + (Date.now() - replayClock.realMs) * replayClock.speed
+    );
+  };
+
   // ---------- entry point ----------
   if (document.readyState === "loading") {
     document.addEventListener("DOMContentLoaded", start, { once: true });
@@ -73,9 +161,8 @@
       // Initialize route selector + button, and establish initial currentRouteId.
       initRouteControls(routes, layers);
 
-      // Initial state fetch for the selected route.
-      await refreshDotState(layers);
-      refreshTimerId = setInterval(() => refreshDotState(layers), REFRESH_MS);
+      // Live updates for the selected route (SSE, or polling without it).
+      connectDotState(layers);
     } catch (err) {
       console.error("[ferryClock] init error:", err);
       drawDebug(layers, "INIT ERROR");
@@ -98,6 +185,7 @@
     routeSelectEl = document.getElementById("route-select");
     routeChangeBtnEl = document.getElementById("route-change-btn");
     routeInfoEl = document.getElementById("route-info");
+    swapInfoEl = document.getElementById("swap-info");
 
     if (!routeSelectEl || !routeChangeBtnEl) {
       console.warn("[ferryClock] route controls not found in DOM");
@@ -166,9 +254,9 @@
         routeInfoEl.textContent = desc + " (pending refresh...)";
       }
 
-      // Trigger refresh immediately (does not block UI).
+      // Reconnect for the new route immediately (does not block UI).
       if (layersRef) {
-        refreshDotState(layersRef);
+        connectDotState(layersRef);
       }
 
       // Hide dropdown right away.
@@ -189,14 +277,18 @@
     return data.routes;
   }
 
-  async function refreshDotState(layers) {
-    // Always prefer the current value in the route selector, if present.
+  // Always prefer the current value in the route selector, if present.
+  function syncRouteFromSelector() {
     if (routeSelectEl && routeSelectEl.value) {
       const maybeId = Number(routeSelectEl.value);
       if (!Number.isNaN(maybeId) && maybeId > 0) {
         currentRouteId = maybeId;
       }
     }
+  }
+
+  async function refreshDotState(layers) {
+    syncRouteFromSelector();
 
     if (currentRouteId == null) {
       console.warn("[ferryClock] no routeId selected yet");
@@ -213,6 +305,7 @@
       }
       const state = await res.json();
 
+      syncReplayClock(state && state.meta);
       renderAnalogOverlay(state, layers);
     } catch (err) {
       console.error("[ferryClock] refreshDotState error:", err);
@@ -220,6 +313,93 @@
     }
   }
 
+  // ---------- live updates: SSE stream with polling fallback ----------
+  // /api/dot-state/stream sends a snapshot, then deltas only when the state
+  // changes; EventSource reconnects by itself and resumes via Last-Event-ID.
+  // Without EventSource, or when the server refuses the stream, poll instead.
+  let stream = null; // { source, state, lastId }
+
+  function connectDotState(layers, forcePolling) {
+    closeDotStateStream();
+    syncRouteFromSelector();
+
+    if (forcePolling || typeof window.EventSource !== "function" || currentRouteId == null) {
+      refreshDotState(layers);
+      refreshTimerId = setInterval(() => refreshDotState(layers), REFRESH_MS);
+      return;
+    }
+
+    const url = `/api/dot-state/stream?routeId=${encodeURIComponent(currentRouteId)}`;
+    const current = { source: new EventSource(url), state: null, lastId: null };
+    stream = current;
+
+    current.source.addEventListener("snapshot", (ev) => {
+      current.state = JSON.parse(ev.data);
+      current.lastId = ev.lastEventId;
+      syncReplayClock(current.state.meta);
+      renderAnalogOverlay(current.state, layers);
+    });
+
+    current.source.addEventListener("delta", (ev) => {
+      const delta = JSON.parse(ev.data);
+      if (!current.state || delta.base !== current.lastId) {
+        // Missed an event: reopen without Last-Event-ID for a fresh snapshot.
+        console.warn("[ferryClock] dot-state delta out of sequence; resyncing");
+        connectDotState(layers);
+        return;
+      }
+      current.state = applyStateDelta(current.state, delta.ops);
+      current.lastId = ev.lastEventId;
+      syncReplayClock(current.state.meta);
+      renderAnalogOverlay(current.state, layers);
+    });
+
+    current.source.onerror = () => {
+      // CONNECTING means EventSource is already retrying on its own.
+      if (stream !== current || current.source.readyState !== EventSource.CLOSED) return;
+      console.warn("[ferryClock] dot-state stream refused; falling back to polling");
+      connectDotState(layers, true);
+    };
+
+    // Pushes only come on change; redraw locally so dock arcs keep advancing.
+    refreshTimerId = setInterval(() => {
+      if (current.state) renderAnalogOverlay(current.state, layers);
+    }, REFRESH_MS);
+  }
+
+  function closeDotStateStream() {
+    if (refreshTimerId != null) {
+      clearInterval(refreshTimerId);
+      refreshTimerId = null;
+    }
+    if (stream) {
+      stream.source.close();
+      stream = null;
+    }
+  }
+
+  // Mirrors applyDelta in backend/stateDiff.js: ops are { p, v } (set) or { p, d } (delete).
+  function applyStateDelta(state, ops) {
+    let root = JSON.parse(JSON.stringify(state));
+    for (const op of ops) {
+      if (op.p.length === 0) {
+        root = op.d ? null : op.v;
+        continue;
+      }
+      let target = root;
+      for (let i = 0; i < op.p.length - 1; i++) {
+        target = target[op.p[i]];
+      }
+      const key = op.p[op.p.length - 1];
+      if (op.d) {
+        delete target[key];
+      } else {
+        target[key] = op.v;
+      }
+    }
+    return root;
+  }
+
   // ---------- overlay rendering ----------
   function renderAnalogOverlay(state, layers) {
     layers.clear();
@@ -230,8 +410,17 @@
       routeInfoEl.textContent = base;
     }
 
+    // Recent vessel swaps, newest first: "Tacoma replaced by Wenatchee".
+    if (swapInfoEl) {
+      const swaps = state && state.meta && Array.isArray(state.meta.swaps)
+        ? state.meta.swaps.filter((s) => s && s.message)
+        : [];
+      swapInfoEl.hidden = swaps.length === 0;
+      swapInfoEl.textContent = swaps.map((s) => s.message).join(" · ");
+    }
+
     const ns = "http://www.w3.org/2000/svg";
-    const now = new Date();
+    const now = window.FerryNow();
     const dockArcsGroup = ensureDockArcGroup(layers);
     const capacityGroup = ensureCapacityGroup(layers);
 
@@ -322,6 +511,7 @@ function circleDot(x, y, r, fill) {
       });
       t.textContent = text;
       group.appendChild(t);
+      return t;
     }
 
     // Helper: normalize time labels for the clock
@@ -400,7 +590,7 @@ function circleDot(x, y, r, fill) {
       return g;
     }
 
-    function drawDockArcForLane(arcsGroup, lane, laneKey, now) {
+    function drawDockArcForLane(arcsGroup, lane, radius, thickness, now) {
       if (!arcsGroup || !lane) return;
       if (!lane.atDock) return;
       if (!lane.dockStartTime) return;
@@ -419,9 +609,6 @@ function circleDot(x, y, r, fill) {
       if (frac <= 0) return;
       if (frac > 1) frac = 1;
 
-      // Choose ring radius per lane
-      const radius = laneKey === "upper" ? R_DOCK_UPPER : R_DOCK_LOWER;
-
       // Anchor: minute hand at dockStartTime, local time (minutes + seconds)
       const localMinutes = (startDate.getMinutes() + startDate.getSeconds() / 60) % 60;
       const startAngle = (Math.PI / 30) * localMinutes - Math.PI / 2;
@@ -452,7 +639,7 @@ function circleDot(x, y, r, fill) {
           r: String(radius),
           fill: "none",
           stroke: strokeColor,
-          "stroke-width": String(DOCK_ARC_THICKNESS),
+          "stroke-width": String(thickness),
         });
         arcsGroup.appendChild(circle);
       } else {
@@ -460,7 +647,7 @@ function circleDot(x, y, r, fill) {
           d: describeArcPath(CX, CY, radius, startAngle, endAngle),
           fill: "none",
           stroke: strokeColor,
-          "stroke-width": String(DOCK_ARC_THICKNESS),
+          "stroke-width": String(thickness),
           "stroke-linecap":"butt",
         });
         arcsGroup.appendChild(path);
@@ -488,32 +675,93 @@ function circleDot(x, y, r, fill) {
       return g;
     }
 
+    // Multi-terminal routes (triangle layout) have vessels on legs, not lanes.
+    if (state && state.route && state.route.layout === "triangle") {
+      if (window.FerryTriangleOverlay &&
+          typeof window.FerryTriangleOverlay.render === "function") {
+        try {
+          window.FerryTriangleOverlay.render({
+            group: layers.top,
+            state,
+            now,
+            geometry: window.FerryGeometry || null,
+          });
+        } catch (err) {
+          console.error("[ferryClock] FerryTriangleOverlay.render error:", err);
+        }
+      } else {
+        addText(layers.top, "NO TRIANGLE OVERLAY", CX, CY);
+      }
+      return;
+    }
+
     if (!state || !state.lanes) {
       console.warn("[ferryClock] invalid state payload for overlay; drawing DEBUG only");
       addText(layers.top, "NO STATE", CX, CY);
       return;
     }
 
-    const rawUpperLane = state.lanes.upper || null;
-    const rawLowerLane = state.lanes.lower || null;
-
     const route = state.route || {};
     const meta = state.meta || {};
     const fallbackMeta = meta.fallback || {};
     const laneFallback = fallbackMeta.lanes || {};
 
-    const upperFallbackStatus = laneFallback.upper || null;
-    const lowerFallbackStatus = laneFallback.lower || null;
+    // Outside service hours: when service resumes instead of moving lanes.
+    function drawServiceWindow(group, service) {
+      if (!group) return;
+
+      const headline =
+        service.status === "ended"
+          ? "Service ended"
+          : service.status === "no_sailings"
+            ? "No sailings today"
+            : "Before first sailing";
+      addText(group, headline, CX, 118, { fill: "#6b7280", fontSize: "12" });
+
+      const resumes = service.resumesAt
+        ? `Service resumes ${formatClockLabel(service.resumesAt)}`
+        : "No sailings scheduled";
+      const t = addText(group, resumes, CX, 146, { fontSize: "16" });
+      t.setAttribute("font-weight", "600");
+
+      // First sailing from each terminal.
+      const first = service.firstSailings || {};
+      const rows = [
+        [route.labelWest || route.terminalNameWest, first.west],
+        [route.labelEast || route.terminalNameEast, first.east],
+      ].filter(([, sailing]) => sailing);
+
+      rows.forEach(([label, sailing], i) => {
+        const vessel = sailing.vesselName ? ` · ${sailing.vesselName}` : "";
+        addText(
+          group,
+          `${label || "?"} ${formatClockLabel(sailing.scheduledDeparture)}${vessel}`,
+          CX,
+          268 + i * 20,
+          { fill: "#374151", fontSize: "12" }
+        );
+      });
+    }
+
+    if (state.service && state.service.status && state.service.status !== "running") {
+      drawServiceWindow(layers.top, state.service);
+      return;
+    }
 
-    const upperLane = normalizeLaneForRender(rawUpperLane, upperFallbackStatus);
-    const lowerLane = normalizeLaneForRender(rawLowerLane, lowerFallbackStatus);
+    // Lanes arrive ordered by schedule position; keep only drawable ones.
+    const rawLanes = Array.isArray(state.lanes) ? state.lanes : [];
+    const lanes = rawLanes
+      .map((lane) => normalizeLaneForRender(lane, lane && laneFallback[lane.laneKey]))
+      .filter(Boolean);
 
-    if (!upperLane && !lowerLane) {
-      console.warn("[ferryClock] no upper/lower lanes in state; drawing DEBUG only");
+    if (lanes.length === 0) {
+      console.warn("[ferryClock] no lanes in state; drawing DEBUG only");
       addText(layers.top, "NO LANES", CX, CY);
       return;
     }
 
+    const laneSlots = computeLaneLayout(lanes.length);
+
     function classifyLaneStatus(lane, fallbackStatus) {
       const fb = (fallbackStatus || "").toLowerCase();
 
@@ -567,17 +815,22 @@ function circleDot(x, y, r, fill) {
       return lane;
     }
 
-// Dock arcs: outer ring for upper lane, inner ring for lower lane
-function renderDockArcOverlay(group, upperLane, lowerLane, now) {
+// Dock arcs: one ring per lane, outermost ring for the first lane
+function renderDockArcOverlay(group, lanes, slots, now) {
   if (!group) return;
 
+  const rings = lanes.map((lane, i) => ({
+    lane,
+    radius: slots[i].dockRadius,
+    thickness: slots[i].dockThickness,
+  }));
+
   if (window.FerryDockArcOverlay &&
       typeof window.FerryDockArcOverlay.render === "function") {
     try {
       window.FerryDockArcOverlay.render({
         group,
-        upperLane,
-        lowerLane,
+        lanes: rings,
         now,
       });
     } catch (err) {
@@ -587,11 +840,12 @@ function renderDockArcOverlay(group, upperLane, lowerLane, now) {
 
   console.warn("[ferryClock] DockArcOverlay fallback path used");
 
-  if (upperLane) drawDockArcForLane(group, upperLane, "upper", now);
-  if (lowerLane) drawDockArcForLane(group, lowerLane, "lower", now);
+  rings.forEach((ring) => {
+    drawDockArcForLane(group, ring.lane, ring.radius, ring.thickness, now);
+  });
 }
 
-renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
+renderDockArcOverlay(dockArcsGroup, lanes, laneSlots, now);
 
 
     // Capacity pies: west / east auto slots (Cannon pies) - render from capacityOverlay.js
@@ -681,9 +935,67 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
       return null;
     }
 
+    // Every phase between leaving one dock and reaching the other.
+    const UNDERWAY_PHASES = ["DEPARTING", "UNDERWAY", "HOLDING", "ARRIVING"];
+
     function isUnderway(lane) {
       const phase = (lane?.phase || "").toUpperCase();
-      return phase === "UNDERWAY";
+      return UNDERWAY_PHASES.includes(phase);
+    }
+
+    // "+12 min" badge for late lanes: projected arrival delay once underway,
+    // departure delay at dock. null when on time or unknown.
+    function delayBadge(lane) {
+      const status = lane && lane.delayStatus;
+      if (status !== "late" && status !== "very_late") return null;
+      const minutes = isUnderway(lane) && lane.arrivalDelayMinutes != null
+        ? lane.arrivalDelayMinutes
+        : lane.departureDelayMinutes;
+      if (!(minutes > 0)) return null;
+      return {
+        text: `+${minutes} min`,
+        fill: status === "very_late" ? COLOR_DELAY_VERY_LATE : COLOR_DELAY_LATE,
+      };
+    }
+
+    function appendDelayBadge(textEl, lane) {
+      const badge = delayBadge(lane);
+      if (!textEl || !badge) return;
+      const span = elNS("tspan", {
+        dx: "5",
+        fill: badge.fill,
+        "font-size": "10",
+        "font-weight": "600",
+      });
+      span.textContent = badge.text;
+      textEl.appendChild(span);
+    }
+
+    function appendPhaseTag(textEl, lane) {
+      const tag = PHASE_TAGS[(lane?.phase || "").toUpperCase()];
+      if (!textEl || !tag) return;
+      const span = elNS("tspan", {
+        dx: "5",
+        fill: tag.fill,
+        "font-size": "10",
+        "font-weight": "600",
+      });
+      span.textContent = tag.text;
+      textEl.appendChild(span);
+    }
+
+    // Dashed ring around a boat stopped mid-channel (HOLDING).
+    function addPhaseMarker(group, x, y, lane) {
+      if ((lane?.phase || "").toUpperCase() !== "HOLDING") return;
+      group.appendChild(elNS("circle", {
+        cx: x,
+        cy: y,
+        r: 9,
+        fill: "none",
+        stroke: PHASE_TAGS.HOLDING.fill,
+        "stroke-width": "2",
+        "stroke-dasharray": "3 2",
+      }));
     }
 
     // Provide shared geometry + helpers to laneOverlay.js
@@ -699,6 +1011,9 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
           circleDot,
           addShipIcon,
           formatClockLabel,
+          appendDelayBadge,
+          appendPhaseTag,
+          addPhaseMarker,
           COLORS,
           BAR_W,
           BAR_THICKNESS,
@@ -711,7 +1026,7 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
     }
 
     // Straight bar geometry
-    function drawLaneRow(group, lane, yRow) {
+    function drawLaneRow(group, lane, yRow, barYOffset) {
       if (!lane) return;
       const dirKey = laneDir(lane);
       const underway = isUnderway(lane);
@@ -719,7 +1034,8 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
       const barWidth = BAR_W;
       const xL = CX - barWidth / 2;
       const xR = CX + barWidth / 2;
-      const barY = (yRow < CY) ? (yRow + BAR_Y_OFFSET) : (yRow - BAR_Y_OFFSET);
+      const offset = typeof barYOffset === "number" ? barYOffset : BAR_Y_OFFSET;
+      const barY = (yRow < CY) ? (yRow + offset) : (yRow - offset);
 
       // ---- direction arrow on 12–6 axis ----
       if (dirKey) {
@@ -774,6 +1090,7 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
 
           // moving dot at the leading edge - fully opaque, on top
           group.appendChild(circleDot(xp, barY, 5.5, scheme.dot));
+          addPhaseMarker(group, xp, barY, lane);
           addShipIcon(group, xp, barY);
 
         } else {
@@ -811,17 +1128,27 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
       }
 
       // ---- vessel name  ----
-      const name = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      const vesselName = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      // Placed by the timetable, not a live position.
+      const name = lane.isProjected ? `${vesselName} · scheduled` : vesselName;
       const nameY = (yRow >= CY) ? (yRow - 12) : (yRow + 20);
-      addText(group, name, CX, nameY, {
+      const nameEl = addText(group, name, CX, nameY, {
         fontSize: "12",
         fill: "#222"
       });
+      appendDelayBadge(nameEl, lane);
+      appendPhaseTag(nameEl, lane);
     }
 
-    function renderLaneOverlay(topGroup, bottomGroup, upperLane, lowerLane, now) {
+    function renderLaneOverlay(topGroup, bottomGroup, lanes, slots, now) {
       if (!topGroup && !bottomGroup) return;
 
+      const rows = lanes.map((lane, i) => ({
+        lane,
+        y: slots[i].y,
+        barYOffset: slots[i].barYOffset,
+      }));
+
       // Allow external module to participate.
       if (window.FerryLaneOverlay &&
           typeof window.FerryLaneOverlay.render === "function") {
@@ -832,8 +1159,7 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
           window.FerryLaneOverlay.render({
             topGroup,
             bottomGroup,
-            upperLane,
-            lowerLane,
+            rows,
             now,
             CX,
             CY,
@@ -852,16 +1178,13 @@ renderDockArcOverlay(dockArcsGroup, upperLane, lowerLane, now);
       // Fallback / baseline: original implementation.
       console.warn("[ferryClock] LaneOverlay fallback path used");
 
-      if (upperLane) {
-        drawLaneRow(topGroup, upperLane, 95);
-      }
-
-      if (lowerLane) {
-        drawLaneRow(bottomGroup, lowerLane, 305);
-      }
+      rows.forEach((row) => {
+        const group = row.y < CY ? topGroup : bottomGroup;
+        if (group) drawLaneRow(group, row.lane, row.y, row.barYOffset);
+      });
     }
 
-    renderLaneOverlay(layers.top, layers.bottom, upperLane, lowerLane, now);
+    renderLaneOverlay(layers.top, layers.bottom, lanes, laneSlots, now);
   }
 
   // Draws a central debug label if we fail early.
@@ -51,6 +51,7 @@
     });
     t.textContent = text;
     group.appendChild(t);
+    return t;
   }
 
   /**
@@ -66,6 +67,9 @@
    *   circleDot,
    *   addShipIcon,
    *   formatClockLabel,
+   *   appendDelayBadge,
+   *   appendPhaseTag,
+   *   addPhaseMarker,
    *   COLORS,
    *   BAR_W,
    *   BAR_THICKNESS,
@@ -83,8 +87,7 @@
     const {
       topGroup,
       bottomGroup,
-      upperLane,
-      lowerLane,
+      rows,        // [{ lane, y, barYOffset }] from ferryClock's lane layout
       // now, CX, CY also passed, but we use injected CX/CY
     } = opts;
 
@@ -97,6 +100,9 @@
       circleDot,
       addShipIcon,
       formatClockLabel,
+      appendDelayBadge,
+      appendPhaseTag,
+      addPhaseMarker,
       COLORS,
       BAR_W,
       BAR_THICKNESS,
@@ -106,18 +112,24 @@
 
     if (!topGroup && !bottomGroup) return;
 
-    function drawLaneRowModule(group, lane, yRow) {
+    function drawLaneRowModule(group, lane, yRow, barYOffset) {
       if (!group || !lane) return;
 
+      // A vessel out of service fades the whole row
+      if ((lane.phase || "").toUpperCase() === "OUT_OF_SERVICE") {
+        group.setAttribute("opacity", "0.35");
+      }
+
       const dirKey = laneDir(lane);
       const underway = isUnderway(lane);
       const scheme = dirKey === "rtl" ? COLORS.rtl : COLORS.ltr;
       const barWidth = BAR_W;
       const xL = CX - barWidth / 2;
       const xR = CX + barWidth / 2;
+      const offset = typeof barYOffset === "number" ? barYOffset : BAR_Y_OFFSET;
       const barY = (yRow < CY)
-        ? (yRow + BAR_Y_OFFSET)
-        : (yRow - BAR_Y_OFFSET);
+        ? (yRow + offset)
+        : (yRow - offset);
 
       // ---- direction arrow on 12–6 axis ----
       if (dirKey) {
@@ -174,6 +186,7 @@
 
           // moving dot + ship icon
           group.appendChild(circleDot(xp, barY, 5.5, scheme.dot));
+          if (typeof addPhaseMarker === "function") addPhaseMarker(group, xp, barY, lane);
           addShipIcon(group, xp, barY);
         } else {
           // docked: dot at origin side
@@ -210,21 +223,29 @@
       }
 
       // ---- vessel name ----
-      const name = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      const vesselName = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      // Placed by the timetable, not a live position.
+      const name = lane.isProjected ? `${vesselName} · scheduled` : vesselName;
       const nameY = (yRow >= CY) ? (yRow - 12) : (yRow + 20);
-      addText(group, name, CX, nameY, {
+      const nameEl = addText(group, name, CX, nameY, {
         fontSize: "12",
         fill: "#222",
       });
+      // "+12 min" next to the name for late lanes
+      if (typeof appendDelayBadge === "function") appendDelayBadge(nameEl, lane);
+      // "Boarding", "Holding", ... for phases beyond docked / underway
+      if (typeof appendPhaseTag === "function") appendPhaseTag(nameEl, lane);
     }
 
-    // Upper + lower lanes, same y positions as ferryClock
-    if (upperLane && topGroup) {
-      drawLaneRowModule(topGroup, upperLane, 95);
-    }
-    if (lowerLane && bottomGroup) {
-      drawLaneRowModule(bottomGroup, lowerLane, 305);
-    }
+    // One sub-group per lane so per-lane styling (stale opacity) stays local.
+    (Array.isArray(rows) ? rows : []).forEach((row) => {
+      if (!row || !row.lane || typeof row.y !== "number") return;
+      const parent = row.y < CY ? topGroup : bottomGroup;
+      if (!parent) return;
+      const laneGroup = elNS("g", { "data-lane": row.lane.laneKey || "" });
+      parent.appendChild(laneGroup);
+      drawLaneRowModule(laneGroup, row.lane, row.y, row.barYOffset);
+    });
 
     // Sentinel: we successfully rendered something for this cycle.
     window.__LANE_OVERLAY_OK__ = true;
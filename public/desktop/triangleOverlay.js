@@ -0,0 +1,384 @@
+// public/desktop/triangleOverlay.js — triangle layout for multi-terminal routes (Cannon semantics)
+console.log("[triangleOverlay] loaded");
+
+(function () {
+  const ns = "http://www.w3.org/2000/svg";
+
+  function elNS(tag, attrs) {
+    const n = document.createElementNS(ns, tag);
+    if (attrs) for (const k in attrs) n.setAttribute(k, attrs[k]);
+    return n;
+  }
+
+  // Terminal anchors on the dial, keyed by route.terminals[].position
+  // (offsets from the dial center; all inside the numeral ring).
+  const ANCHORS = {
+    east:  { dx: 105,  dy: -40 },
+    west:  { dx: -105, dy: -40 },
+    south: { dx: 0,    dy: 95 },
+    north: { dx: 0,    dy: -110 },
+  };
+
+  const TRACK_THICKNESS = 6;
+  const PIE_R = 10;
+  const PIE_STROKE = 4;
+  const PIE_DISTANCE = 34;    // px from terminal anchor along the leg
+  const PIE_SIDE_OFFSET = 13; // px perpendicular to the leg
+  const DOCK_STACK_GAP = 12;  // px between boats docked at one terminal
+  const ICON_SRC = "/icons/ferry.png";
+  const SHIP_SIZE = 16;
+  // Cancelled sailings stay marked this long after their slot.
+  const CANCELLED_MARKER_GRACE_MS = 10 * 60 * 1000;
+  const COLOR_CANCELLED = "#dc2626";
+
+  // Phase line under the vessel name; plain AT_DOCK / UNDERWAY get none.
+  // Same tags as the lane clock (ferryClock.js).
+  const PHASE_TAGS = {
+    BOARDING:       { text: "Boarding",       fill: "#2563eb" },
+    DEPARTING:      { text: "Departing",      fill: "#0d9488" },
+    HOLDING:        { text: "Holding",        fill: "#d97706" },
+    ARRIVING:       { text: "Arriving",       fill: "#7c3aed" },
+    OUT_OF_SERVICE: { text: "Out of service", fill: "#6b7280" },
+  };
+  const UNDERWAY_PHASES = ["DEPARTING", "UNDERWAY", "HOLDING", "ARRIVING"];
+
+  // Color palette: use global FerryPalette from ferryClock.js when present.
+  function getPalette() {
+    const p = window.FerryPalette || {};
+    return {
+      strongLtr: p.strongLtr || "#1c9560a7",
+      strongRtl: p.strongRtl || "#ff2121b9",
+      dotLtr: p.dotLtr || "#10b981",
+      dotRtl: p.dotRtl || "#ef4444",
+      track: p.track || "#e5e7eba0",
+    };
+  }
+
+  function formatClockLabel(raw) {
+    if (!raw) return "";
+    const d = new Date(raw);
+    if (Number.isNaN(d.getTime())) return "";
+    return d.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  }
+
+  function addText(group, text, x, y, opts = {}) {
+    const t = elNS("text", {
+      x: String(x),
+      y: String(y),
+      "text-anchor": opts.anchor || "middle",
+      "dominant-baseline": "middle",
+      fill: opts.fill || "#111827",
+      "font-size": opts.fontSize || "10",
+    });
+    if (opts.className) t.setAttribute("class", opts.className);
+    if (opts.opacity != null) t.setAttribute("opacity", String(opts.opacity));
+    t.textContent = text;
+    group.appendChild(t);
+    return t;
+  }
+
+  // Next cancelled sailing from a terminal (state.cancelledSailings), or null.
+  function nextCancelledFrom(state, terminalId, nowMs) {
+    const list = Array.isArray(state.cancelledSailings) ? state.cancelledSailings : [];
+    let best = null;
+    let bestMs = Infinity;
+    for (const c of list) {
+      if (!c || Number(c.departingTerminalId) !== Number(terminalId)) continue;
+      const ms = Date.parse(c.scheduledDeparture);
+      if (!Number.isFinite(ms) || ms < nowMs - CANCELLED_MARKER_GRACE_MS) continue;
+      if (ms < bestMs) {
+        best = c;
+        bestMs = ms;
+      }
+    }
+    return best;
+  }
+
+  // Unit vector along a leg plus its left-hand normal.
+  function legVectors(from, to) {
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const ux = dx / len;
+    const uy = dy / len;
+    return { ux, uy, nx: -uy, ny: ux, len };
+  }
+
+  // Legs heading right on the dial use the WEST → EAST colors.
+  function schemeForLeg(from, to, palette) {
+    const ltr = to.x >= from.x;
+    return ltr
+      ? { strong: palette.strongLtr, dot: palette.dotLtr }
+      : { strong: palette.strongRtl, dot: palette.dotRtl };
+  }
+
+  function addShipIcon(group, x, y) {
+    const isLight = document.body.classList.contains("theme-light");
+    const href = isLight
+      ? ICON_SRC
+      : ICON_SRC.replace(/ferry(-white)?\.png$/i, "ferry-white.png");
+    group.appendChild(elNS("image", {
+      href,
+      x: x - SHIP_SIZE / 2,
+      y: y - SHIP_SIZE - 4,
+      width: SHIP_SIZE,
+      height: SHIP_SIZE,
+      preserveAspectRatio: "xMidYMid meet",
+    }));
+  }
+
+  function drawPairPie(group, cx, cy, pair, scheme, palette, describeArcPath) {
+    const max = pair.maxAuto;
+    const avail = pair.availAuto;
+    if (max == null || max <= 0 || avail == null || avail < 0) return;
+
+    const used = Math.max(0, Math.min(max, max - avail));
+    const frac = used / max;
+    const opacity = pair.isStale ? 0.6 : 1.0;
+
+    group.appendChild(elNS("circle", {
+      cx, cy, r: PIE_R,
+      fill: "none",
+      stroke: palette.track,
+      "stroke-width": PIE_STROKE,
+      opacity,
+    }));
+
+    if (frac >= 0.999) {
+      group.appendChild(elNS("circle", {
+        cx, cy, r: PIE_R,
+        fill: "none",
+        stroke: scheme.strong,
+        "stroke-width": PIE_STROKE,
+        opacity,
+      }));
+    } else if (frac > 0 && typeof describeArcPath === "function") {
+      const start = -Math.PI / 2;
+      group.appendChild(elNS("path", {
+        d: describeArcPath(cx, cy, PIE_R, start, start + frac * Math.PI * 2),
+        fill: "none",
+        stroke: scheme.strong,
+        "stroke-width": PIE_STROKE,
+        "stroke-linecap": "butt",
+        opacity,
+      }));
+    }
+
+    addText(group, String(Math.round(avail)), cx, cy + 0.5, {
+      fontSize: "7",
+      className: "pie-label",
+      opacity,
+    });
+  }
+
+  // Service ended / not started, inside the triangle: when service resumes
+  // and the first sailing from each terminal (service.firstSailings is keyed
+  // by terminal position).
+  function drawServiceWindow(group, service, terminals, CX, CY) {
+    const headline =
+      service.status === "ended"
+        ? "Service ended"
+        : service.status === "no_sailings"
+          ? "No sailings today"
+          : "Before first sailing";
+    addText(group, headline, CX, CY - 12, { fill: "#6b7280", fontSize: "9" });
+
+    const resumes = service.resumesAt
+      ? `Service resumes ${formatClockLabel(service.resumesAt)}`
+      : "No sailings scheduled";
+    const t = addText(group, resumes, CX, CY + 4, { fontSize: "11" });
+    t.setAttribute("font-weight", "600");
+
+    const first = service.firstSailings || {};
+    const rows = terminals
+      .map((term) => [term.label || term.terminalName, first[term.position]])
+      .filter(([, sailing]) => sailing);
+    rows.forEach(([label, sailing], i) => {
+      const vessel = sailing.vesselName ? ` · ${sailing.vesselName}` : "";
+      addText(
+        group,
+        `${label || "?"} ${formatClockLabel(sailing.scheduledDeparture)}${vessel}`,
+        CX,
+        CY + 22 + i * 11,
+        { fill: "#374151", fontSize: "8" }
+      );
+    });
+  }
+
+  /**
+   * Main entry: draws the triangle (terminals, legs, vessels, pair pies).
+   *
+   * opts: {
+   *   group:     <SVGGroupElement>, // overlay row group
+   *   state:     <dot-state object with route.layout === "triangle">,
+   *   now:       Date,
+   *   geometry?: window.FerryGeometry
+   * }
+   */
+  function render(opts) {
+    if (!opts || !opts.group || !opts.state) return;
+
+    const { group, state } = opts;
+    const geom = opts.geometry || window.FerryGeometry || null;
+    const CX = geom && typeof geom.CX === "number" ? geom.CX : 200;
+    const CY = geom && typeof geom.CY === "number" ? geom.CY : 200;
+    const describeArcPath =
+      geom && typeof geom.describeArcPath === "function"
+        ? geom.describeArcPath
+        : window.FerryDescribeArcPath;
+
+    const palette = getPalette();
+    const nowMs = (opts.now instanceof Date ? opts.now : new Date()).getTime();
+    const route = state.route || {};
+    const terminals = Array.isArray(route.terminals) ? route.terminals : [];
+
+    // Anchor point per terminalId.
+    const anchors = new Map();
+    terminals.forEach((t) => {
+      const a = ANCHORS[t.position];
+      if (!a || t.terminalId == null) return;
+      anchors.set(Number(t.terminalId), { x: CX + a.dx, y: CY + a.dy, terminal: t });
+    });
+
+    if (anchors.size < 2) {
+      addText(group, "NO TERMINALS", CX, CY, { fontSize: "14", fill: "#ef4444" });
+      return;
+    }
+
+    // ---- legs (grey tracks between every terminal pair) ----
+    const ids = Array.from(anchors.keys());
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = anchors.get(ids[i]);
+        const b = anchors.get(ids[j]);
+        group.appendChild(elNS("line", {
+          x1: a.x, y1: a.y, x2: b.x, y2: b.y,
+          stroke: palette.track,
+          "stroke-width": TRACK_THICKNESS,
+          "stroke-linecap": "round",
+        }));
+      }
+    }
+
+    // ---- terminal labels (pushed outward from the dial center) ----
+    anchors.forEach((a) => {
+      const vx = a.x - CX;
+      const vy = a.y - CY;
+      const len = Math.hypot(vx, vy) || 1;
+      const lx = a.x + (vx / len) * 24;
+      const ly = a.y + (vy / len) * 24;
+      const label = a.terminal.label || a.terminal.terminalName || "";
+      addText(group, label, lx, ly, { fontSize: "9", fill: "#2b2f9aff" });
+
+      // Cancelled sailing from this terminal: one line just past the label.
+      const cancelled = nextCancelledFrom(state, a.terminal.terminalId, nowMs);
+      if (cancelled) {
+        const time = formatClockLabel(cancelled.scheduledDeparture);
+        const t = addText(group, `✕ ${time} CANCELLED`, lx, ly + (vy >= 0 ? 11 : -11), {
+          fontSize: "8",
+          fill: COLOR_CANCELLED,
+          className: "cancelled-marker",
+        });
+        t.setAttribute("font-weight", "700");
+      }
+    });
+
+    // ---- outside service hours: when service resumes, no boats ----
+    const service = state.service;
+    if (service && service.status && service.status !== "running") {
+      drawServiceWindow(group, service, terminals, CX, CY);
+      return;
+    }
+
+    // ---- capacity pies, one per ordered terminal pair ----
+    const pairs = state.capacity && Array.isArray(state.capacity.pairs)
+      ? state.capacity.pairs
+      : [];
+    pairs.forEach((pair) => {
+      const from = anchors.get(Number(pair.departureTerminalId));
+      const to = anchors.get(Number(pair.arrivalTerminalId));
+      if (!from || !to) return;
+      const v = legVectors(from, to);
+      const cx = from.x + v.ux * PIE_DISTANCE + v.nx * PIE_SIDE_OFFSET;
+      const cy = from.y + v.uy * PIE_DISTANCE + v.ny * PIE_SIDE_OFFSET;
+      drawPairPie(group, cx, cy, pair, schemeForLeg(from, to, palette), palette, describeArcPath);
+    });
+
+    // ---- vessels on their current legs ----
+    const vessels = Array.isArray(state.vessels) ? state.vessels : [];
+    const dockedCount = new Map();
+
+    vessels.forEach((v) => {
+      const leg = v.leg || {};
+      const from = anchors.get(Number(leg.departureTerminalId));
+      const to = anchors.get(Number(leg.arrivalTerminalId));
+      if (!from || !to) return;
+
+      const scheme = schemeForLeg(from, to, palette);
+      const vec = legVectors(from, to);
+      const phase = (v.phase || "").toUpperCase();
+      const g = elNS("g", {
+        opacity: phase === "OUT_OF_SERVICE" ? "0.35" : v.isStale ? "0.6" : "1.0",
+      });
+      group.appendChild(g);
+
+      const underway = UNDERWAY_PHASES.includes(phase);
+      let x;
+      let y;
+
+      if (underway) {
+        let pos = typeof v.dotPosition === "number" && isFinite(v.dotPosition)
+          ? v.dotPosition
+          : 0;
+        pos = Math.max(0, Math.min(1, pos));
+        x = from.x + (to.x - from.x) * pos;
+        y = from.y + (to.y - from.y) * pos;
+
+        // Transited part of the leg.
+        g.appendChild(elNS("line", {
+          x1: from.x, y1: from.y, x2: x, y2: y,
+          stroke: scheme.strong,
+          "stroke-width": TRACK_THICKNESS,
+          "stroke-linecap": "round",
+        }));
+      } else {
+        // Docked: sit at the departure terminal, nudged toward the next leg
+        // and stacked so several boats at one terminal stay readable.
+        const n = dockedCount.get(from) || 0;
+        dockedCount.set(from, n + 1);
+        x = from.x + vec.ux * 10 - vec.nx * n * DOCK_STACK_GAP;
+        y = from.y + vec.uy * 10 - vec.ny * n * DOCK_STACK_GAP;
+      }
+
+      g.appendChild(elNS("circle", { cx: x, cy: y, r: 5, fill: scheme.dot, opacity: "1" }));
+      if (phase === "HOLDING") {
+        // Stopped mid-leg, waiting for a slip.
+        g.appendChild(elNS("circle", {
+          cx: x, cy: y, r: 8,
+          fill: "none",
+          stroke: PHASE_TAGS.HOLDING.fill,
+          "stroke-width": "1.5",
+          "stroke-dasharray": "3 2",
+        }));
+      }
+      addShipIcon(g, x, y);
+
+      const vesselName = (v.vesselName && String(v.vesselName).trim()) || "—";
+      // Placed by the timetable (no live data), as on the lane clock.
+      const name = v.isProjected ? `${vesselName} · scheduled` : vesselName;
+      const timeLabel = underway
+        ? formatClockLabel(v.eta)
+        : formatClockLabel(v.scheduledDeparture);
+      addText(g, timeLabel ? `${name} ${timeLabel}` : name, x, y + 12, {
+        fontSize: "8",
+        fill: "#222",
+      });
+      const tag = PHASE_TAGS[phase];
+      if (tag) {
+        addText(g, tag.text, x, y + 21, { fontSize: "7", fill: tag.fill });
+      }
+    });
+  }
+
+  window.FerryTriangleOverlay = { render };
+})();
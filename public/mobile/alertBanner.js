@@ -0,0 +1,150 @@
+// public/mobile/alertBanner.js — service alert banner under the mobile header
+console.log("[alertBanner] loaded");
+
+(function () {
+  // Dismissed alert ids survive reloads. Ids change when WSDOT updates an
+  // alert (see backend/serviceAlerts.js), so an updated alert shows again.
+  const DISMISSED_KEY = "ferryDismissedAlerts";
+  const MAX_DISMISSED = 100;
+
+  let expanded = false;
+  let lastSignature = null;
+  let lastAlerts = [];
+
+  function loadDismissed() {
+    try {
+      const parsed = JSON.parse(window.localStorage.getItem(DISMISSED_KEY) || "[]");
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_err) {
+      return [];
+    }
+  }
+
+  function saveDismissed(ids) {
+    try {
+      window.localStorage.setItem(DISMISSED_KEY, JSON.stringify(ids.slice(-MAX_DISMISSED)));
+    } catch (_err) {
+      // Private mode / storage full: dismissal lasts for this page only.
+    }
+  }
+
+  let dismissed = loadDismissed();
+
+  function dismiss(id) {
+    if (!dismissed.includes(id)) {
+      dismissed.push(id);
+      saveDismissed(dismissed);
+    }
+    draw();
+  }
+
+  function visibleAlerts() {
+    return lastAlerts.filter((a) => a && a.id && !dismissed.includes(a.id));
+  }
+
+  function formatWhere(alert) {
+    if (alert.source === "terminal_bulletin" && alert.terminalName) {
+      return alert.terminalName;
+    }
+    return "";
+  }
+
+  function el(tag, className, text) {
+    const n = document.createElement(tag);
+    if (className) n.className = className;
+    if (text != null) n.textContent = text;
+    return n;
+  }
+
+  function draw() {
+    const root = document.getElementById("alert-banner");
+    if (!root) return;
+
+    const alerts = visibleAlerts();
+    root.textContent = "";
+    root.hidden = alerts.length === 0;
+    if (alerts.length === 0) {
+      expanded = false;
+      return;
+    }
+
+    root.classList.toggle("alert-disruption", alerts.some((a) => a.isDisruption));
+    root.classList.toggle("alert-expanded", expanded);
+
+    // Summary row: first alert's title; tap to expand / collapse.
+    const summary = el("button", "alert-summary");
+    summary.type = "button";
+    summary.setAttribute("aria-expanded", String(expanded));
+    summary.appendChild(el("span", "alert-icon", "⚠"));
+    summary.appendChild(el("span", "alert-summary-title", alerts[0].title));
+    if (alerts.length > 1) {
+      summary.appendChild(el("span", "alert-count", `+${alerts.length - 1}`));
+    }
+    summary.addEventListener("click", () => {
+      expanded = !expanded;
+      draw();
+    });
+    root.appendChild(summary);
+
+    if (!expanded) return;
+
+    const list = el("ul", "alert-list");
+    alerts.forEach((alert) => {
+      const item = el("li", "alert-item");
+      const head = el("div", "alert-item-head");
+      head.appendChild(el("span", "alert-item-title", alert.title));
+
+      const close = el("button", "alert-dismiss", "✕");
+      close.type = "button";
+      close.setAttribute("aria-label", "Dismiss alert");
+      close.addEventListener("click", () => dismiss(alert.id));
+      head.appendChild(close);
+      item.appendChild(head);
+
+      const where = formatWhere(alert);
+      if (where) item.appendChild(el("div", "alert-item-where", where));
+      if (alert.text && alert.text !== alert.title) {
+        item.appendChild(el("div", "alert-item-text", alert.text));
+      }
+      list.appendChild(item);
+    });
+    root.appendChild(list);
+  }
+
+  // Vessel swaps (state.meta.swaps) ride in the banner as alerts of their
+  // own, dismissable like the rest.
+  const SWAP_REASONS = {
+    schedule: "Schedule change",
+    live: "Different vessel on the route",
+    out_of_service: "Vessel out of service",
+  };
+
+  function swapAsAlert(swap) {
+    return {
+      id: `swap:${swap.id}`,
+      source: "vessel_swap",
+      title: swap.message,
+      text: SWAP_REASONS[swap.reason] || "",
+      isDisruption: swap.reason === "out_of_service",
+    };
+  }
+
+  /**
+   * Show state.meta.alerts and state.meta.swaps (newest swap first). Called
+   * on every dot-state render; redraws only when the list changes so an
+   * expanded banner stays expanded.
+   */
+  function render(alerts, swaps) {
+    const list = (Array.isArray(swaps) ? swaps : [])
+      .filter((s) => s && s.id && s.message)
+      .map(swapAsAlert)
+      .concat(Array.isArray(alerts) ? alerts : []);
+    const signature = list.map((a) => (a && a.id) || "").join("|");
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    lastAlerts = list;
+    draw();
+  }
+
+  window.FerryAlertBanner = { render };
+})();
@@ -25,7 +25,7 @@ console.log("[dockArcOverlay] loaded");
     };
   }
 
-  function drawDockArcForLane(group, lane, laneKey, now, geom) {
+  function drawDockArcForLane(group, lane, ring, now, geom) {
     if (!group || !lane) return;
     if (!lane.atDock) return;
     if (!lane.dockStartTime) return;
@@ -47,16 +47,13 @@ console.log("[dockArcOverlay] loaded");
     const CX = geom && typeof geom.CX === "number" ? geom.CX : 200;
     const CY = geom && typeof geom.CY === "number" ? geom.CY : 200;
 
-    const dockRadii = (geom && geom.dockRadii) || {};
-    const radius =
-      laneKey === "upper"
-        ? (typeof dockRadii.upper === "number" ? dockRadii.upper : 175)
-        : (typeof dockRadii.lower === "number" ? dockRadii.lower : 165);
+    // Ring radius/thickness come from ferryClock's lane layout.
+    const radius = typeof ring.radius === "number" ? ring.radius : 175;
 
     const dockArcThickness =
-      geom && typeof geom.dockArcThickness === "number"
-        ? geom.dockArcThickness
-        : 8;
+      typeof ring.thickness === "number"
+        ? ring.thickness
+        : (geom && typeof geom.dockArcThickness === "number" ? geom.dockArcThickness : 8);
 
     const describeArcPath =
       geom && typeof geom.describeArcPath === "function"
@@ -113,12 +110,11 @@ console.log("[dockArcOverlay] loaded");
   }
 
   /**
-   * Main entry: draws dock arcs for upper / lower lanes.
+   * Main entry: draws one dock-arc ring per lane.
    *
    * opts: {
    *   group:     <SVGGroupElement>, // #dock-arcs
-   *   upperLane: state.lanes.upper,
-   *   lowerLane: state.lanes.lower,
+   *   lanes:     [{ lane, radius, thickness }], // outermost ring first
    *   now:       Date,
    *   geometry?: window.FerryGeometry
    * }
@@ -133,12 +129,12 @@ console.log("[dockArcOverlay] loaded");
     }
 
     const g = opts.group;
-    const upper = opts.upperLane || null;
-    const lower = opts.lowerLane || null;
+    const rings = Array.isArray(opts.lanes) ? opts.lanes : [];
     const now = opts.now;
 
-    if (upper) drawDockArcForLane(g, upper, "upper", now, geom);
-    if (lower) drawDockArcForLane(g, lower, "lower", now, geom);
+    rings.forEach((ring) => {
+      if (ring && ring.lane) drawDockArcForLane(g, ring.lane, ring, now, geom);
+    });
   }
 
   window.FerryDockArcOverlay = { render };
@@ -51,6 +51,7 @@
     });
     t.textContent = text;
     group.appendChild(t);
+    return t;
   }
 
   function injectHelpers(h) {
@@ -63,8 +64,7 @@
     const {
       topGroup,
       bottomGroup,
-      upperLane,
-      lowerLane,
+      rows,        // [{ lane, y, barYOffset }] from ferryClock's lane layout
       // now, CX, CY also passed, but we use injected CX/CY
     } = opts;
 
@@ -77,6 +77,9 @@
       circleDot,
       addShipIcon,
       formatClockLabel,
+      appendDelayBadge,
+      appendPhaseTag,
+      addPhaseMarker,
       COLORS,
       BAR_W,
       BAR_THICKNESS,
@@ -86,12 +89,14 @@
 
     if (!topGroup && !bottomGroup) return;
 
-    function drawLaneRowModule(group, lane, yRow) {
+    function drawLaneRowModule(group, lane, yRow, barYOffset) {
       if (!group || !lane) return;
 
-      // Stale/synthetic lane → visually degraded whole row
+      // Stale/synthetic lane → visually degraded whole row; a vessel out of
+      // service fades further
       const staleForLane = !!lane.isStale;
-      group.setAttribute("opacity", staleForLane ? "0.6" : "1.0");
+      const outOfService = (lane.phase || "").toUpperCase() === "OUT_OF_SERVICE";
+      group.setAttribute("opacity", outOfService ? "0.35" : staleForLane ? "0.6" : "1.0");
 
       const dirKey = laneDir(lane);
       const underway = isUnderway(lane);
@@ -99,9 +104,10 @@
       const barWidth = BAR_W;
       const xL = CX - barWidth / 2;
       const xR = CX + barWidth / 2;
+      const offset = typeof barYOffset === "number" ? barYOffset : BAR_Y_OFFSET;
       const barY = (yRow < CY)
-        ? (yRow + BAR_Y_OFFSET)
-        : (yRow - BAR_Y_OFFSET);
+        ? (yRow + offset)
+        : (yRow - offset);
 
       // ---- direction arrow on 12–6 axis ----
       if (dirKey) {
@@ -158,6 +164,7 @@
 
           // moving dot + ship icon
           group.appendChild(circleDot(xp, barY, 5.5, scheme.dot));
+          if (typeof addPhaseMarker === "function") addPhaseMarker(group, xp, barY, lane);
           addShipIcon(group, xp, barY);
         } else {
           // docked: dot at origin side
@@ -194,31 +201,29 @@
       }
 
       // ---- vessel name ----
-      const name = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      const vesselName = (lane.vesselName && String(lane.vesselName).trim()) || "—";
+      // Placed by the timetable, not a live position.
+      const name = lane.isProjected ? `${vesselName} · scheduled` : vesselName;
       const nameY = (yRow >= CY) ? (yRow - 12) : (yRow + 20);
-      addText(group, name, CX, nameY, {
+      const nameEl = addText(group, name, CX, nameY, {
         fontSize: "12",
         fill: "#222",
       });
+      // "+12 min" next to the name for late lanes
+      if (typeof appendDelayBadge === "function") appendDelayBadge(nameEl, lane);
+      // "Boarding", "Holding", ... for phases beyond docked / underway
+      if (typeof appendPhaseTag === "function") appendPhaseTag(nameEl, lane);
     }
 
-    // Upper + lower lanes, same y positions as ferryClock (via FerryGeometry when available)
-    const geom = window.FerryGeometry || null;
-
-    const yUpper = geom && geom.laneRows && typeof geom.laneRows.upper === "number"
-      ? geom.laneRows.upper
-      : 95;
-
-    const yLower = geom && geom.laneRows && typeof geom.laneRows.lower === "number"
-      ? geom.laneRows.lower
-      : 305;
-
-    if (upperLane && topGroup) {
-      drawLaneRowModule(topGroup, upperLane, yUpper);
-    }
-    if (lowerLane && bottomGroup) {
-      drawLaneRowModule(bottomGroup, lowerLane, yLower);
-    }
+    // One sub-group per lane so per-lane styling (stale opacity) stays local.
+    (Array.isArray(rows) ? rows : []).forEach((row) => {
+      if (!row || !row.lane || typeof row.y !== "number") return;
+      const parent = row.y < CY ? topGroup : bottomGroup;
+      if (!parent) return;
+      const laneGroup = elNS("g", { "data-lane": row.lane.laneKey || "" });
+      parent.appendChild(laneGroup);
+      drawLaneRowModule(laneGroup, row.lane, row.y, row.barYOffset);
+    });
 
     // Sentinel: we successfully rendered something for this cycle.
     window.__LANE_OVERLAY_OK__ = true;
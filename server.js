@@ -3,12 +3,42 @@ const express = require("express");
 const path = require("path");
 const axios = require("axios");
 
-const { getRoutes } = require("./backend/routeConfig");
+const { getRoutes, getRouteById, getCatalogInfo } = require("./backend/routeCatalog");
 const { buildDotState } = require("./backend/dotState");
+const { handleDotStateStream } = require("./backend/dotStateStream");
+const { buildDepartures } = require("./backend/departures");
+const { startCrossingStats, describeCrossingStats } = require("./backend/crossingStats");
+const { startCapacityTrends } = require("./backend/capacityTrend");
+const { getVesselProfile, describeVesselProfiles } = require("./backend/vesselProfiles");
+const { getSwapLog } = require("./backend/vesselSwaps");
+const { startStatePersistence } = require("./backend/stateStore");
 const {
+  DEFAULT_RANGE_MS,
+  MAX_RANGE_MS,
+  startHistoryArchive,
+  isHistoryEnabled,
+  getDotStateAt,
+  getFeedsAt,
+  listHistory,
+} = require("./backend/stateHistory");
+const {
+  apiBaseUrl,
+  requireApiKey,
   fetchDailyScheduleRaw,
-  fetchTerminalSpaces,
+  fetchRouteDetails,
 } = require("./backend/wsdotClient");
+const { getServiceDate } = require("./backend/serviceDay");
+const { now, nowMs } = require("./backend/clock");
+const { describeReplay } = require("./backend/replaySource");
+const {
+  startIngestion,
+  getSnapshot,
+  describeFeed,
+  terminalsKey,
+  routesKey,
+  vesselsKey,
+  vesselProfilesKey,
+} = require("./backend/feedStore");
 
 
 // Polyfills (harmless on newer Node; required on 14)
@@ -45,15 +75,15 @@ app.get("/health", (req, res) => {
 
 // ---- WSDOT debug endpoint: embedded API call ----
 app.get("/api/wsdot-vessels-debug", async (req, res) => {
-  const apiKey = process.env.WSDOT_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({
-      error: "WSDOT_API_KEY environment variable is not set",
-    });
+  let apiKey;
+  try {
+    apiKey = requireApiKey();
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
   }
 
   const url =
-    "https://www.wsdot.wa.gov/Ferries/API/Vessels/rest/vessellocations" +
+    `${apiBaseUrl()}/Vessels/rest/vessellocations` +
     "?apiaccesscode=" +
     encodeURIComponent(apiKey);
 
@@ -88,16 +118,138 @@ app.get("/api/wsdot-vessels-debug", async (req, res) => {
   }
 });
 
-// ---- Routes list (mock routeConfig) ----
+// ---- Routes list (discovered from WSDOT routedetails, see routeCatalog.js) ----
 app.get("/api/routes", (req, res) => {
-  res.json({ routes: getRoutes() });
+  res.json({
+    routes: getRoutes(),
+    catalog: {
+      ...getCatalogInfo(),
+      feed: describeFeed(routesKey(), nowMs()),
+    },
+  });
 });
 
+// ---- Next departures per direction (schedule + live status + space) ----
+app.get("/api/routes/:routeId/departures", async (req, res) => {
+  const routeId = parseInt(req.params.routeId, 10);
+
+  try {
+    const departures = await buildDepartures(routeId, { limit: req.query.limit });
+    if (!departures) {
+      return res.status(404).json({ error: "Unknown routeId" });
+    }
+    res.json(departures);
+  } catch (err) {
+    console.error("Error in /api/routes/:routeId/departures:", err);
+    res.status(500).json({ error: "Internal error building departures" });
+  }
+});
+
+// ---- Learned crossing times per direction, hour and vessel ----
+app.get("/api/routes/:routeId/crossing-stats", (req, res) => {
+  const route = getRouteById(parseInt(req.params.routeId, 10));
+  if (!route) {
+    return res.status(404).json({ error: "Unknown routeId" });
+  }
+
+  try {
+    res.json(describeCrossingStats(route));
+  } catch (err) {
+    console.error("Error in /api/routes/:routeId/crossing-stats:", err);
+    res.status(500).json({ error: "Internal error building crossing stats" });
+  }
+});
+
+// ---- Today's lane vessel swaps for a route (vesselSwaps.js) ----
+app.get("/api/routes/:routeId/swaps", (req, res) => {
+  const route = getRouteById(parseInt(req.params.routeId, 10));
+  if (!route) {
+    return res.status(404).json({ error: "Unknown routeId" });
+  }
+
+  const serviceDate = getServiceDate(now());
+  res.json({
+    routeId: route.routeId,
+    serviceDate,
+    swaps: getSwapLog(route.routeId, serviceDate),
+  });
+});
+
+// ---- Vessel profile (WSDOT vesselbasics + vesselstats, see vesselProfiles.js) ----
+app.get("/api/vessels/:vesselId", (req, res) => {
+  const vesselId = parseInt(req.params.vesselId, 10);
+  const profile = Number.isFinite(vesselId) ? getVesselProfile(vesselId) : null;
+  if (!profile) {
+    return res.status(404).json({ error: "Unknown vesselId" });
+  }
+
+  // Where the boat is right now, when the vessels feed has it.
+  const vesselsSnap = getSnapshot(vesselsKey());
+  const live = vesselsSnap && Array.isArray(vesselsSnap.data)
+    ? vesselsSnap.data.find((v) => v && Number(v.vesselId) === vesselId) || null
+    : null;
+
+  res.json({
+    vessel: profile,
+    live,
+    meta: {
+      serverTime: now().toISOString(),
+      profiles: {
+        ...describeVesselProfiles(),
+        feed: describeFeed(vesselProfilesKey(), nowMs()),
+      },
+    },
+  });
+});
+
+// ISO query parameter as ms: undefined when absent, NaN when malformed.
+function parseIsoQuery(value) {
+  if (value == null || value === "") return undefined;
+  return Date.parse(String(value));
+}
+
+// ---- Dot state as archived at ?at=<iso> (see stateHistory.js) ----
+async function sendArchivedDotState(req, res, routeId, atMs) {
+  const route = getRouteById(routeId);
+  if (!route) {
+    return res.status(404).json({ error: "Unknown routeId" });
+  }
+  if (!isHistoryEnabled()) {
+    return res.status(404).json({ error: "History archive is disabled" });
+  }
+
+  const found = await getDotStateAt(route.routeId, atMs);
+  if (!found) {
+    return res.status(404).json({ error: "No archived dot-state at that time" });
+  }
+
+  const at = new Date(atMs).toISOString();
+  // ?feeds=1: the upstream snapshots the state was built from.
+  const feeds = req.query.feeds === "1" ? await getFeedsAt(route, atMs) : undefined;
+  res.json({
+    ...found.state,
+    history: {
+      at,
+      recordedAt: found.recordedAt,
+      feeds,
+    },
+  });
+}
+
 // ---- Dot state (still mock behind buildDotState) ----
 app.get("/api/dot-state", async (req, res) => {
   const routeId = parseInt(req.query.routeId, 10) || 5;
 
+  const atMs = parseIsoQuery(req.query.at);
+  if (Number.isNaN(atMs)) {
+    return res.status(400).json({ error: "at must be an ISO time" });
+  }
+
   try {
+    if (atMs !== undefined) {
+      return await sendArchivedDotState(req, res, routeId, atMs);
+    }
+
     const state = await buildDotState(routeId);
     if (!state) {
       return res.status(404).json({ error: "Unknown routeId" });
@@ -109,17 +261,62 @@ app.get("/api/dot-state", async (req, res) => {
   }
 });
 
+// ---- Archived dot-state changes in a time range (see stateHistory.js) ----
+app.get("/api/history", async (req, res) => {
+  const route = getRouteById(parseInt(req.query.routeId, 10) || 5);
+  if (!route) {
+    return res.status(404).json({ error: "Unknown routeId" });
+  }
+
+  const toParam = parseIsoQuery(req.query.to);
+  const fromParam = parseIsoQuery(req.query.from);
+  if (Number.isNaN(toParam) || Number.isNaN(fromParam)) {
+    return res.status(400).json({ error: "from and to must be ISO times" });
+  }
+  const toMs = toParam !== undefined ? toParam : nowMs();
+  const fromMs = fromParam !== undefined ? fromParam : toMs - DEFAULT_RANGE_MS;
+  if (fromMs > toMs || toMs - fromMs > MAX_RANGE_MS) {
+    return res.status(400).json({ error: "from must be before to, at most 24 hours apart" });
+  }
+
+  try {
+    const history = await listHistory(route.routeId, { fromMs, toMs, limit: req.query.limit });
+    res.json({
+      routeId: route.routeId,
+      enabled: isHistoryEnabled(),
+      ...history,
+    });
+  } catch (err) {
+    console.error("Error in /api/history:", err);
+    res.status(500).json({ error: "Internal error reading history" });
+  }
+});
+
+// ---- Dot state stream (SSE: snapshots + deltas, see dotStateStream.js) ----
+app.get("/api/dot-state/stream", async (req, res) => {
+  try {
+    await handleDotStateStream(req, res);
+  } catch (err) {
+    console.error("Error in /api/dot-state/stream:", err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal error building dot state" });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // DEBUG: inspect raw WSDOT schedule payload
 app.get("/api/debug/schedule", async (req, res) => {
   try {
     const routeId = Number(req.query.routeId) || 5;
 
-    const today = new Date();
+    const today = now();
     const tripDateText =
       typeof req.query.date === "string" &&
       /^\d{4}-\d{2}-\d{2}$/.test(req.query.date)
         ? req.query.date
-        : today.toISOString().slice(0, 10);
+        : getServiceDate(today);
 
     const raw = await fetchDailyScheduleRaw(routeId, tripDateText);
 
@@ -144,10 +341,9 @@ app.get("/api/debug/capacity", async (req, res) => {
   try {
     const routeId = Number(req.query.routeId) || 5;
 
-    const [state, rawSpaces] = await Promise.all([
-      buildDotState(routeId),
-      fetchTerminalSpaces(),
-    ]);
+    const state = await buildDotState(routeId);
+    const terminalsSnap = getSnapshot(terminalsKey());
+    const rawSpaces = terminalsSnap ? terminalsSnap.data : null;
 
     const capacityFromDotState = state && state.capacity ? state.capacity : null;
     const capacityMeta =
@@ -178,7 +374,7 @@ app.get("/api/debug/capacity", async (req, res) => {
 app.get("/api/debug/routedetails", async (req, res) => {
   try {
     const routeId = Number(req.query.routeId) || 5;
-    const today = new Date().toISOString().slice(0, 10);
+    const today = getServiceDate(now());
 
     const raw = await fetchRouteDetails(routeId, today);
 
@@ -199,4 +395,25 @@ app.get("/api/debug/routedetails", async (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`FerryAPI3 listening on http://localhost:${PORT}`);
+
+  const replay = describeReplay();
+  if (replay) {
+    console.log(
+      `Replay mode: ${process.env.WSDOT_REPLAY_DIR} at ${replay.speed}x` +
+        (replay.loop ? " (looping)" : "")
+    );
+  }
+
+  // Restore dock history, last-good caches and learned crossings first, so
+  // the first dot-state after a restart continues where the last one left off.
+  startStatePersistence();
+  // Archive built dot-states and feed polls for ?at= and /api/history.
+  startHistoryArchive();
+
+  // Background WSDOT ingestion: every request reads from these snapshots.
+  startIngestion();
+  // Learn crossing times from the vessel polls it makes, and how fast
+  // drive-up space drains from the terminal polls.
+  startCrossingStats();
+  startCapacityTrends();
 });
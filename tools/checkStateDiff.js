@@ -0,0 +1,101 @@
+// tools/checkStateDiff.js
+// Self-check for backend/stateDiff.js: node tools/checkStateDiff.js
+//
+// The SSE stream (dotStateStream.js) and the history archive
+// (stateHistory.js) only act when hasMeaningfulChange() says a rebuild
+// changed more than its timestamps. This builds two dot-states that differ
+// only in what every poll restamps and checks they count as unchanged, then
+// checks that real changes still count and that deltas apply cleanly.
+// Exits non-zero on the first failure.
+
+const assert = require("node:assert/strict");
+const { diffState, hasMeaningfulChange, applyDelta } = require("../backend/stateDiff");
+
+function sampleState(t, overrides = {}) {
+  const iso = new Date(t).toISOString();
+  const feed = (ageMs) => ({ lastUpdated: iso, ageMs, isStale: false, error: null });
+  return {
+    route: { routeId: 5, description: "Seattle / Bainbridge Island" },
+    lanes: [
+      {
+        laneKey: "pos1",
+        vesselName: "Tacoma",
+        phase: "UNDERWAY",
+        dotPosition: 0.42,
+        lastUpdatedVessels: iso,
+        ...overrides.lane,
+      },
+    ],
+    capacity: { westAvailAuto: 40, eastAvailAuto: 12 },
+    waitTimes: { west: { note: "30 min wait", lastUpdated: "2026-10-19T18:00:00.000Z" }, east: null },
+    meta: {
+      serverTime: iso,
+      lastUpdatedVessels: iso,
+      lastUpdatedCapacity: iso,
+      feeds: {
+        vessels: feed(1000),
+        terminals: feed(4000),
+        schedule: feed(60000),
+        waitTimes: feed(90000),
+      },
+      ...overrides.meta,
+    },
+  };
+}
+
+const t0 = Date.parse("2026-10-19T19:00:00.000Z");
+const t1 = t0 + 10 * 1000;
+
+function check(name, fn) {
+  try {
+    fn();
+    console.log(`ok   ${name}`);
+  } catch (err) {
+    console.error(`FAIL ${name}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+check("timestamps only: no meaningful change", () => {
+  const ops = diffState(sampleState(t0), sampleState(t1));
+  assert.ok(ops.length > 0, "expected timestamp ops");
+  assert.equal(hasMeaningfulChange(ops), false);
+});
+
+check("triangle schedule timestamps only: no meaningful change", () => {
+  const triangle = (t) => {
+    const state = sampleState(t);
+    const iso = new Date(t).toISOString();
+    state.meta.feeds.schedules = {
+      13: { lastUpdated: iso, ageMs: 2000, isStale: false, error: null },
+      14: { lastUpdated: iso, ageMs: 3000, isStale: false, error: null },
+    };
+    return state;
+  };
+  const ops = diffState(triangle(t0), triangle(t1));
+  assert.ok(ops.some((op) => op.p.length === 5), "expected nested schedule ops");
+  assert.equal(hasMeaningfulChange(ops), false);
+});
+
+check("lane moved: meaningful", () => {
+  const ops = diffState(sampleState(t0), sampleState(t1, { lane: { dotPosition: 0.45 } }));
+  assert.equal(hasMeaningfulChange(ops), true);
+});
+
+check("feed went stale: meaningful", () => {
+  const stale = sampleState(t1);
+  stale.meta.feeds.vessels.isStale = true;
+  assert.equal(hasMeaningfulChange(diffState(sampleState(t0), stale)), true);
+});
+
+check("wait-time note updated: meaningful", () => {
+  const next = sampleState(t1);
+  next.waitTimes.west.lastUpdated = new Date(t1).toISOString();
+  assert.equal(hasMeaningfulChange(diffState(sampleState(t0), next)), true);
+});
+
+check("delta round trip", () => {
+  const prev = sampleState(t0);
+  const next = sampleState(t1, { lane: { phase: "ARRIVING" } });
+  assert.deepEqual(applyDelta(prev, diffState(prev, next)), next);
+});
@@ -0,0 +1,337 @@
+// tools/recordWsdot.js
+// General-purpose WSDOT recorder for offline replay (backend/replaySource.js).
+//
+// Captures vessellocations, terminalsailingspace, schedule and routedetails
+// (plus terminalsandmatesbyroute, which route discovery needs) for a set of
+// routes or all routes, the schedule alerts / terminal bulletins behind the
+// alert banner, terminal wait times and vessel basics / stats (recorded with
+// routedetails), each feed on its own interval.
+//
+// Output (default ./data/recordings/):
+//   wsdot_<start>.jsonl       current file, one record per line:
+//                               { t, path, data }   successful poll
+//                               { t, path, error }  failed poll
+//                             path = URL path after /rest/ (what replay matches on)
+//   wsdot_<start>.jsonl.gz    finished files, gzipped on rotation
+//   index.json                { files: [{ file, start, end, records, paths }] }
+//                             so replay can seek without reading every file
+//
+// Usage:
+//   WSDOT_API_KEY=... node tools/recordWsdot.js [options]
+//     --routes 5,3 | all       routes to record (default: 5)
+//     --vessels-sec 30         vessellocations interval
+//     --terminals-sec 60       terminalsailingspace interval
+//     --schedule-sec 600       schedule interval (per route)
+//     --routedetails-sec 3600  routedetails + terminal mates + vessel basics /
+//                              stats interval
+//     --alerts-sec 300         alerts + terminalbulletins interval
+//     --waittimes-sec 300      terminalwaittimes interval
+//     --rotate-min 60          start a new file this often
+//     --duration-min 0         stop after this long (0 = run until Ctrl-C)
+//     --out data/recordings    output directory
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+
+const {
+  fetchVesselLocationsRaw,
+  fetchTerminalSpaces,
+  fetchDailyScheduleRaw,
+  fetchAllRouteDetails,
+  fetchRouteDetails,
+  fetchTerminalMatesByRoute,
+  fetchScheduleAlerts,
+  fetchTerminalBulletins,
+  fetchTerminalWaitTimes,
+  fetchVesselBasics,
+  fetchVesselStats,
+} = require("../backend/wsdotClient");
+const { getServiceDate } = require("../backend/serviceDay");
+
+// ---- options ----
+
+function parseArgs(argv) {
+  const opts = {
+    routes: "5",
+    vesselsSec: 30,
+    terminalsSec: 60,
+    scheduleSec: 600,
+    routedetailsSec: 3600,
+    alertsSec: 300,
+    waittimesSec: 300,
+    rotateMin: 60,
+    durationMin: 0,
+    out: path.join(__dirname, "..", "data", "recordings"),
+  };
+
+  const numeric = {
+    "--vessels-sec": "vesselsSec",
+    "--terminals-sec": "terminalsSec",
+    "--schedule-sec": "scheduleSec",
+    "--routedetails-sec": "routedetailsSec",
+    "--alerts-sec": "alertsSec",
+    "--waittimes-sec": "waittimesSec",
+    "--rotate-min": "rotateMin",
+    "--duration-min": "durationMin",
+  };
+
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === "--routes") {
+      opts.routes = String(value || "");
+      i++;
+    } else if (arg === "--out") {
+      opts.out = path.resolve(String(value || ""));
+      i++;
+    } else if (numeric[arg]) {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) {
+        throw new Error(`${arg} expects a non-negative number`);
+      }
+      opts[numeric[arg]] = n;
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  return opts;
+}
+
+// ---- output files ----
+
+let opts = null;
+let currentFile = null; // { name, fullPath, startMs, endMs, records, paths }
+
+function indexPath() {
+  return path.join(opts.out, "index.json");
+}
+
+function readIndex() {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath(), "utf8"));
+    if (parsed && Array.isArray(parsed.files)) return parsed;
+  } catch (_err) {
+    // Missing or unreadable index: start a fresh one.
+  }
+  return { files: [] };
+}
+
+// Add or replace one file's entry (replacesFile: its name before gzipping).
+function writeIndexEntry(entry, replacesFile) {
+  const index = readIndex();
+  index.files = index.files.filter(
+    (f) => f.file !== entry.file && f.file !== replacesFile
+  );
+  index.files.push(entry);
+  index.files.sort((a, b) => (a.start < b.start ? -1 : 1));
+  // Write-then-rename so a crash never leaves a half-written index.
+  const tmp = indexPath() + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(index, null, 2) + "\n", "utf8");
+  fs.renameSync(tmp, indexPath());
+}
+
+function indexEntryFor(file, fileName) {
+  return {
+    file: fileName,
+    start: file.startMs != null ? new Date(file.startMs).toISOString() : null,
+    end: file.endMs != null ? new Date(file.endMs).toISOString() : null,
+    records: file.records,
+    paths: file.paths,
+  };
+}
+
+function openFile() {
+  const startIso = new Date().toISOString().replace(/[:.]/g, "-");
+  const name = `wsdot_${startIso}.jsonl`;
+  currentFile = {
+    name,
+    fullPath: path.join(opts.out, name),
+    startMs: null,
+    endMs: null,
+    records: 0,
+    paths: {},
+  };
+  console.log(`Writing JSONL output to: ${currentFile.fullPath}`);
+}
+
+// Gzip the finished file and record it in the index.
+function closeFile() {
+  const file = currentFile;
+  currentFile = null;
+  if (!file || file.records === 0) return;
+
+  const gzName = file.name + ".gz";
+  try {
+    const raw = fs.readFileSync(file.fullPath);
+    fs.writeFileSync(path.join(opts.out, gzName), zlib.gzipSync(raw));
+    fs.unlinkSync(file.fullPath);
+    writeIndexEntry(indexEntryFor(file, gzName), file.name);
+    console.log(`  -> rotated ${file.name} (${file.records} records) to ${gzName}`);
+  } catch (err) {
+    // Keep the plain file; replay reads .jsonl as well.
+    console.error(`  !!! could not compress ${file.name}: ${err.message}`);
+    writeIndexEntry(indexEntryFor(file, file.name));
+  }
+}
+
+function rotate() {
+  closeFile();
+  openFile();
+}
+
+function writeRecord(record) {
+  if (!currentFile) openFile();
+  fs.appendFileSync(currentFile.fullPath, JSON.stringify(record) + "\n", "utf8");
+
+  const tMs = Date.parse(record.t);
+  if (currentFile.startMs == null) currentFile.startMs = tMs;
+  currentFile.endMs = tMs;
+  currentFile.records++;
+  currentFile.paths[record.path] = (currentFile.paths[record.path] || 0) + 1;
+
+  // Keep the index current for the open file too, so a crash loses nothing.
+  writeIndexEntry(indexEntryFor(currentFile, currentFile.name));
+}
+
+// ---- polling ----
+
+async function record(pathKey, fetchFn) {
+  const tIso = new Date().toISOString();
+  try {
+    const data = await fetchFn();
+    writeRecord({ t: tIso, path: pathKey, data });
+    return data;
+  } catch (err) {
+    console.error(`  !!! ${pathKey}: ${err.message}`);
+    writeRecord({ t: tIso, path: pathKey, error: err.message });
+    return null;
+  }
+}
+
+// Route IDs being recorded; "all" is refreshed from routedetails daily.
+let routeIds = [];
+
+async function pollRouteDetails() {
+  const tripDate = getServiceDate(new Date());
+  await record("vesselbasics", fetchVesselBasics);
+  await record("vesselstats", fetchVesselStats);
+  const all = await record(`routedetails/${tripDate}`, () => fetchAllRouteDetails(tripDate));
+
+  if (opts.routes === "all" && Array.isArray(all) && all.length > 0) {
+    routeIds = all.map((r) => Number(r.RouteID)).filter(Number.isFinite);
+  }
+
+  for (const routeId of routeIds) {
+    await record(`routedetails/${tripDate}/${routeId}`, () =>
+      fetchRouteDetails(routeId, tripDate)
+    );
+    await record(`terminalsandmatesbyroute/${tripDate}/${routeId}`, () =>
+      fetchTerminalMatesByRoute(routeId, tripDate)
+    );
+  }
+}
+
+async function pollSchedules() {
+  const tripDate = getServiceDate(new Date());
+  for (const routeId of routeIds) {
+    await record(`schedule/${tripDate}/${routeId}`, () =>
+      fetchDailyScheduleRaw(routeId, tripDate)
+    );
+  }
+}
+
+function pollVessels() {
+  return record("vessellocations", fetchVesselLocationsRaw);
+}
+
+function pollTerminals() {
+  return record("terminalsailingspace", fetchTerminalSpaces);
+}
+
+async function pollAlerts() {
+  await record("alerts", fetchScheduleAlerts);
+  await record("terminalbulletins", fetchTerminalBulletins);
+}
+
+function pollWaitTimes() {
+  return record("terminalwaittimes", fetchTerminalWaitTimes);
+}
+
+// Run fn now and then every `sec` seconds, never overlapping itself.
+function every(sec, fn, timers) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } finally {
+      running = false;
+    }
+  };
+  timers.push(setInterval(tick, sec * 1000));
+  return tick();
+}
+
+async function main() {
+  opts = parseArgs(process.argv);
+
+  if (process.env.WSDOT_REPLAY_DIR) {
+    console.error("ERROR: unset WSDOT_REPLAY_DIR; the recorder needs the live API.");
+    process.exit(1);
+  }
+  if (!process.env.WSDOT_API_KEY) {
+    console.error("ERROR: WSDOT_API_KEY is not set in the environment.");
+    process.exit(1);
+  }
+
+  if (opts.routes !== "all") {
+    routeIds = opts.routes
+      .split(",")
+      .map((s) => Number(s.trim()))
+      .filter((n) => Number.isFinite(n) && n > 0);
+    if (routeIds.length === 0) {
+      throw new Error("--routes expects a comma-separated list of route IDs or 'all'");
+    }
+  }
+
+  fs.mkdirSync(opts.out, { recursive: true });
+  openFile();
+
+  const timers = [];
+  const stop = () => {
+    timers.forEach(clearInterval);
+    closeFile();
+    console.log("Done.");
+    process.exit(0);
+  };
+  process.on("SIGINT", stop);
+  process.on("SIGTERM", stop);
+
+  // Route list first, so "all" knows which schedules to fetch.
+  await every(opts.routedetailsSec, pollRouteDetails, timers);
+  every(opts.vesselsSec, pollVessels, timers);
+  every(opts.terminalsSec, pollTerminals, timers);
+  every(opts.scheduleSec, pollSchedules, timers);
+  every(opts.alertsSec, pollAlerts, timers);
+  every(opts.waittimesSec, pollWaitTimes, timers);
+
+  if (opts.rotateMin > 0) {
+    timers.push(setInterval(rotate, opts.rotateMin * 60 * 1000));
+  }
+  if (opts.durationMin > 0) {
+    setTimeout(stop, opts.durationMin * 60 * 1000);
+  }
+
+  console.log(
+    `Recording routes ${opts.routes === "all" ? `all (${routeIds.join(",")})` : routeIds.join(",")}`
+  );
+}
+
+main().catch((err) => {
+  console.error("Fatal error in recorder:", err);
+  process.exit(1);
+});
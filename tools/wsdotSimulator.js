@@ -0,0 +1,715 @@
+// tools/wsdotSimulator.js
+// Local stand-in for the WSDOT Ferries API, for development and demos
+// without an API key.
+//
+// Serves the paths backend/wsdotClient.js calls, in the same JSON shapes:
+//   Vessels/rest/vessellocations | vesselbasics | vesselstats
+//   Terminals/rest/terminalsailingspace | terminalbulletins | terminalwaittimes
+//   Schedule/rest/schedule/{TripDate}/{RouteID}
+//   Schedule/rest/routedetails/{TripDate}[/{RouteID}]
+//   Schedule/rest/terminalsandmatesbyroute/{TripDate}/{RouteID}
+//   Schedule/rest/alerts
+// (alerts, bulletins and wait times are always empty).
+//
+// Vessels shuttle between their route's two terminals on a timetable built
+// from the config: service hours, crossing and turn-around minutes, and one
+// entry per vessel (see DEFAULT_CONFIG). Underway they ease out of one dock
+// and into the other along the straight line between the terminals
+// (terminalMap.js coordinates), leaving a few minutes late at random (less
+// than the turn-around, so delays never cascade); between sailings they sit
+// at dock. Drive-up space fills up as each departure approaches, and some
+// sailings sell out.
+//
+// Faults, from the command line or at runtime via GET / POST /sim/faults
+// (POST a JSON object; its fields replace the current ones):
+//   dropVessels      [vesselId]            left out of vessellocations
+//   missingCapacity  true | [terminalId]   no drive-up counts in
+//                                          terminalsailingspace
+//   errors           { <feed>: rate }      answer 503 with that probability;
+//                                          feed = path segment after /rest/
+//   staleSec         N                     vessellocations frozen N seconds
+//                                          in the past (TimeStamp included)
+//
+// Usage:
+//   node tools/wsdotSimulator.js [options]
+//     --port 8090
+//     --config sim.json                 timetable, same format as DEFAULT_CONFIG
+//     --drop-vessels 32,37
+//     --missing-capacity [3,7]          all terminals without a list
+//     --errors vessellocations:1,schedule:0.2
+//     --stale-sec 600
+//   WSDOT_API_BASE_URL=http://localhost:8090 node server.js
+
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+const { getTerminalCoordinates } = require("../backend/terminalMap");
+const {
+  getServiceDate,
+  addDaysToDateText,
+  pacificTimeToDate,
+  getPacificParts,
+} = require("../backend/serviceDay");
+
+// serviceEnd is the last departure; times past 24:00 run after midnight.
+const DEFAULT_CONFIG = {
+  routes: [
+    {
+      routeId: 5,
+      abbrev: "sea-bi",
+      description: "Seattle / Bainbridge Island",
+      terminals: [
+        { terminalId: 7, terminalName: "Seattle", abbrev: "P52" },
+        { terminalId: 3, terminalName: "Bainbridge Island", abbrev: "BBI" },
+      ],
+      crossingMinutes: 35,
+      turnMinutes: 20,
+      maxDelayMinutes: 5,
+      serviceStart: "04:45",
+      serviceEnd: "24:55",
+      vessels: [
+        { vesselId: 32, vesselName: "Tacoma", className: "Jumbo Mark II", maxAuto: 202, maxPassengers: 2500, startTerminalId: 3 },
+        { vesselId: 37, vesselName: "Wenatchee", className: "Jumbo Mark II", maxAuto: 202, maxPassengers: 2500, startTerminalId: 7, offsetMinutes: 25 },
+      ],
+    },
+    {
+      routeId: 6,
+      abbrev: "ed-king",
+      description: "Edmonds / Kingston",
+      terminals: [
+        { terminalId: 8, terminalName: "Edmonds", abbrev: "EDM" },
+        { terminalId: 12, terminalName: "Kingston", abbrev: "KIN" },
+      ],
+      crossingMinutes: 30,
+      turnMinutes: 15,
+      maxDelayMinutes: 8,
+      serviceStart: "04:30",
+      serviceEnd: "24:30",
+      vessels: [
+        { vesselId: 38, vesselName: "Puyallup", className: "Jumbo Mark II", maxAuto: 202, maxPassengers: 2499, startTerminalId: 12 },
+        { vesselId: 36, vesselName: "Walla Walla", className: "Jumbo", maxAuto: 188, maxPassengers: 2000, startTerminalId: 8, offsetMinutes: 45 },
+      ],
+    },
+  ],
+};
+
+// Drive-up space only starts selling this long before a departure.
+const SALES_WINDOW_MIN = 240;
+// Departures listed per terminal in terminalsailingspace.
+const SPACES_PER_TERMINAL = 4;
+
+// ---- options ----
+
+function parseIdList(value, flag) {
+  const ids = String(value || "")
+    .split(",")
+    .map((s) => Number(s.trim()))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  if (ids.length === 0) throw new Error(`${flag} expects a comma-separated list of IDs`);
+  return ids;
+}
+
+function parseArgs(argv) {
+  const opts = {
+    port: 8090,
+    config: null,
+    faults: { dropVessels: [], missingCapacity: false, errors: {}, staleSec: 0 },
+  };
+
+  for (let i = 2; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = argv[i + 1];
+    if (arg === "--port") {
+      opts.port = Number(value);
+      i++;
+    } else if (arg === "--config") {
+      opts.config = path.resolve(String(value || ""));
+      i++;
+    } else if (arg === "--drop-vessels") {
+      opts.faults.dropVessels = parseIdList(value, arg);
+      i++;
+    } else if (arg === "--missing-capacity") {
+      // Optional terminal list; without one every terminal loses its counts.
+      if (value && !value.startsWith("--")) {
+        opts.faults.missingCapacity = parseIdList(value, arg);
+        i++;
+      } else {
+        opts.faults.missingCapacity = true;
+      }
+    } else if (arg === "--errors") {
+      for (const part of String(value || "").split(",")) {
+        const [feed, rate] = part.split(":");
+        const n = rate == null ? 1 : Number(rate);
+        if (!feed || !(n >= 0 && n <= 1)) {
+          throw new Error("--errors expects feed:rate pairs, rate between 0 and 1");
+        }
+        opts.faults.errors[feed.trim()] = n;
+      }
+      i++;
+    } else if (arg === "--stale-sec") {
+      opts.faults.staleSec = Number(value);
+      if (!(opts.faults.staleSec >= 0)) throw new Error("--stale-sec expects a non-negative number");
+      i++;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Number.isInteger(opts.port) || opts.port <= 0) {
+    throw new Error("--port expects a port number");
+  }
+  return opts;
+}
+
+function parseClockText(text) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(text || ""));
+  if (!m) throw new Error(`Bad time "${text}" (expected HH:MM)`);
+  return { hour: Number(m[1]), minute: Number(m[2]) };
+}
+
+// Fill in defaults and check what the timetable needs.
+function loadConfig(file) {
+  const raw = file ? JSON.parse(fs.readFileSync(file, "utf8")) : DEFAULT_CONFIG;
+  if (!raw || !Array.isArray(raw.routes) || raw.routes.length === 0) {
+    throw new Error("Simulator config needs a non-empty routes array");
+  }
+
+  return raw.routes.map((r) => {
+    const terminals = Array.isArray(r.terminals) ? r.terminals : [];
+    if (terminals.length !== 2) {
+      throw new Error(`Route ${r.routeId}: exactly two terminals are supported`);
+    }
+    if (!(r.crossingMinutes > 0) || !Array.isArray(r.vessels) || r.vessels.length === 0) {
+      throw new Error(`Route ${r.routeId}: needs crossingMinutes and at least one vessel`);
+    }
+    const turnMinutes = r.turnMinutes > 0 ? r.turnMinutes : 15;
+
+    return {
+      routeId: Number(r.routeId),
+      abbrev: r.abbrev || `route-${r.routeId}`,
+      description: r.description || `Route ${r.routeId}`,
+      crossingMinutes: Number(r.crossingMinutes),
+      turnMinutes,
+      // A delay as long as the turn-around would push the next sailing too.
+      maxDelayMinutes: Math.max(0, Math.min(Number(r.maxDelayMinutes) || 0, turnMinutes - 1)),
+      serviceStart: parseClockText(r.serviceStart || "05:00"),
+      serviceEnd: parseClockText(r.serviceEnd || "23:00"),
+      terminals: terminals.map((t) => {
+        const coords = getTerminalCoordinates(t.terminalId);
+        return {
+          terminalId: Number(t.terminalId),
+          terminalName: t.terminalName || `Terminal ${t.terminalId}`,
+          abbrev: t.abbrev || null,
+          lat: t.lat != null ? Number(t.lat) : coords ? coords.lat : null,
+          lon: t.lon != null ? Number(t.lon) : coords ? coords.lon : null,
+        };
+      }),
+      vessels: r.vessels.map((v, i) => ({
+        vesselId: Number(v.vesselId),
+        vesselName: v.vesselName || `Vessel ${v.vesselId}`,
+        className: v.className || null,
+        maxAuto: Number(v.maxAuto) || 150,
+        maxPassengers: Number(v.maxPassengers) || null,
+        startTerminalId: v.startTerminalId != null
+          ? Number(v.startTerminalId)
+          : Number(terminals[i % 2].terminalId),
+        offsetMinutes: Number(v.offsetMinutes) || 0,
+        positionNum: i + 1,
+      })),
+    };
+  });
+}
+
+// ---- WSDOT formats ----
+
+// "/Date(1763876700000-0800)/" with the Pacific offset at that instant.
+function wsdotDate(ms) {
+  if (ms == null) return null;
+  const p = getPacificParts(new Date(ms));
+  const offsetMin = Math.round(
+    (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) -
+      Math.floor(ms / 1000) * 1000) / 60000
+  );
+  const sign = offsetMin < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMin);
+  const hh = String(Math.floor(abs / 60)).padStart(2, "0");
+  const mm = String(abs % 60).padStart(2, "0");
+  return `/Date(${ms}${sign}${hh}${mm})/`;
+}
+
+// Deterministic 0..1 from a few numbers, so every poll agrees on a sailing.
+function noise(...parts) {
+  let h = 2166136261;
+  for (const n of parts) {
+    h ^= Math.floor(n) >>> 0;
+    h = Math.imul(h, 16777619) >>> 0;
+    h ^= h >>> 13;
+  }
+  return (h >>> 0) / 4294967296;
+}
+
+// ---- timetable ----
+
+let routes = [];
+let faults = null;
+
+// "<routeId>:<date>" -> sailings, earliest first
+const timetableCache = new Map();
+
+function terminalById(route, terminalId) {
+  return route.terminals.find((t) => t.terminalId === Number(terminalId)) || null;
+}
+
+function otherTerminal(route, terminalId) {
+  return route.terminals.find((t) => t.terminalId !== Number(terminalId));
+}
+
+// Every sailing of a route on one service day:
+//   { route, vessel, depId, arrId, depMs, arrMs, leftMs, etaMs }
+// depMs / arrMs are scheduled; leftMs / etaMs include the sailing's delay.
+function sailingsFor(route, dateText) {
+  const key = `${route.routeId}:${dateText}`;
+  if (timetableCache.has(key)) return timetableCache.get(key);
+
+  const startMs = pacificTimeToDate(dateText, route.serviceStart.hour, route.serviceStart.minute).getTime();
+  const endMs = pacificTimeToDate(dateText, route.serviceEnd.hour, route.serviceEnd.minute).getTime();
+  const crossingMs = route.crossingMinutes * 60000;
+  const cycleMs = crossingMs + route.turnMinutes * 60000;
+
+  const sailings = [];
+  for (const vessel of route.vessels) {
+    let depId = vessel.startTerminalId;
+    for (let depMs = startMs + vessel.offsetMinutes * 60000; depMs <= endMs; depMs += cycleMs) {
+      const arrId = otherTerminal(route, depId).terminalId;
+      // Most sailings leave within a minute or two; a few run late.
+      const delayMs = Math.round(
+        route.maxDelayMinutes * Math.pow(noise(vessel.vesselId, depMs / 60000), 3) * 60000
+      );
+      sailings.push({
+        route,
+        vessel,
+        depId,
+        arrId,
+        depMs,
+        arrMs: depMs + crossingMs,
+        leftMs: depMs + delayMs,
+        etaMs: depMs + delayMs + crossingMs,
+      });
+      depId = arrId;
+    }
+  }
+  sailings.sort((a, b) => a.depMs - b.depMs);
+
+  timetableCache.set(key, sailings);
+  // Keep a few days; older ones are never asked for again.
+  if (timetableCache.size > routes.length * 4) {
+    timetableCache.delete(timetableCache.keys().next().value);
+  }
+  return sailings;
+}
+
+// Sailings around an instant: the previous service day's (late sailings)
+// and the current one's.
+function sailingsAround(route, tMs) {
+  const dateText = getServiceDate(new Date(tMs));
+  return sailingsFor(route, addDaysToDateText(dateText, -1)).concat(sailingsFor(route, dateText));
+}
+
+// ---- vessellocations ----
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+function bearingDegrees(from, to) {
+  const y = Math.sin(toRad(to.lon - from.lon)) * Math.cos(toRad(to.lat));
+  const x =
+    Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) -
+    Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(toRad(to.lon - from.lon));
+  return Math.round(((Math.atan2(y, x) * 180) / Math.PI + 360) % 360);
+}
+
+function distanceNm(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return (2 * 6371000 * Math.asin(Math.sqrt(h))) / 1852;
+}
+
+function vesselRecord(route, vessel, tMs) {
+  const own = sailingsAround(route, tMs).filter((s) => s.vessel === vessel);
+  const current = own.find((s) => s.leftMs <= tMs && tMs < s.etaMs) || null;
+
+  let dep;
+  let arr;
+  let atDock;
+  let lat;
+  let lon;
+  let speed = 0;
+  let scheduledMs = null;
+
+  if (current) {
+    dep = terminalById(route, current.depId);
+    arr = terminalById(route, current.arrId);
+    atDock = false;
+    scheduledMs = current.depMs;
+
+    // Ease out of one slip and into the other: half a cosine wave.
+    const frac = (tMs - current.leftMs) / (current.etaMs - current.leftMs);
+    const along = 0.5 - 0.5 * Math.cos(Math.PI * frac);
+    lat = dep.lat + (arr.lat - dep.lat) * along;
+    lon = dep.lon + (arr.lon - dep.lon) * along;
+    const hours = (current.etaMs - current.leftMs) / 3600000;
+    speed = Math.round(((distanceNm(dep, arr) * Math.PI) / 2 / hours) * Math.sin(Math.PI * frac) * 10) / 10;
+  } else {
+    let prev = null;
+    for (const s of own) {
+      if (s.etaMs <= tMs) prev = s;
+    }
+    const next = own.find((s) => s.leftMs > tMs) || null;
+    dep = terminalById(route, prev ? prev.arrId : next ? next.depId : vessel.startTerminalId);
+    // Overnight WSDOT reports no destination and no scheduled departure.
+    arr = next ? otherTerminal(route, dep.terminalId) : null;
+    atDock = true;
+    lat = dep.lat;
+    lon = dep.lon;
+    scheduledMs = next ? next.depMs : null;
+  }
+
+  return {
+    VesselID: vessel.vesselId,
+    VesselName: vessel.vesselName,
+    Mmsi: null,
+    DepartingTerminalID: dep.terminalId,
+    DepartingTerminalName: dep.terminalName,
+    DepartingTerminalAbbrev: dep.abbrev,
+    ArrivingTerminalID: arr ? arr.terminalId : null,
+    ArrivingTerminalName: arr ? arr.terminalName : null,
+    ArrivingTerminalAbbrev: arr ? arr.abbrev : null,
+    Latitude: lat,
+    Longitude: lon,
+    Speed: speed,
+    Heading: bearingDegrees(dep, arr || otherTerminal(route, dep.terminalId)),
+    InService: true,
+    AtDock: atDock,
+    LeftDock: current ? wsdotDate(current.leftMs) : null,
+    Eta: current ? wsdotDate(current.etaMs) : null,
+    EtaBasis: null,
+    ScheduledDeparture: wsdotDate(scheduledMs),
+    OpRouteAbbrev: [route.abbrev],
+    VesselPositionNum: vessel.positionNum,
+    SortSeq: vessel.positionNum * 10,
+    ManagedBy: 1,
+    TimeStamp: wsdotDate(tMs),
+    VesselWatchShutID: 0,
+    VesselWatchShutMsg: "",
+    VesselWatchShutFlag: "0",
+    VesselWatchStatus: "0",
+    VesselWatchMsg: "",
+  };
+}
+
+function vesselLocations(nowMs) {
+  // Stale fault: the whole feed (positions and TimeStamp) as of a while ago.
+  const tMs = nowMs - (faults.staleSec || 0) * 1000;
+  const dropped = new Set((faults.dropVessels || []).map(Number));
+  const out = [];
+  for (const route of routes) {
+    for (const vessel of route.vessels) {
+      if (!dropped.has(vessel.vesselId)) out.push(vesselRecord(route, vessel, tMs));
+    }
+  }
+  return out;
+}
+
+// ---- terminalsailingspace ----
+
+// Drive-up spaces left: demand (0.5 to 1.15 of the deck, fixed per sailing)
+// sells through over SALES_WINDOW_MIN before departure.
+function driveUpSpace(sailing, nowMs) {
+  const max = sailing.vessel.maxAuto;
+  const demand = 0.5 + 0.65 * noise(sailing.vessel.vesselId, sailing.depMs / 60000, 7);
+  const minutesLeft = (sailing.depMs - nowMs) / 60000;
+  const sold = demand * Math.min(1, Math.max(0.05, 1 - minutesLeft / SALES_WINDOW_MIN));
+  return Math.max(0, Math.round(max * (1 - sold)));
+}
+
+function capacityMissing(terminalId) {
+  const m = faults.missingCapacity;
+  return m === true || (Array.isArray(m) && m.map(Number).includes(Number(terminalId)));
+}
+
+function terminalSpaces(nowMs) {
+  const byTerminal = new Map();
+
+  for (const route of routes) {
+    const upcoming = sailingsAround(route, nowMs).filter((s) => s.leftMs > nowMs);
+    for (const terminal of route.terminals) {
+      if (!byTerminal.has(terminal.terminalId)) {
+        byTerminal.set(terminal.terminalId, {
+          TerminalID: terminal.terminalId,
+          TerminalSubjectID: terminal.terminalId,
+          RegionID: 1,
+          TerminalName: terminal.terminalName,
+          TerminalAbbrev: terminal.abbrev,
+          SortSeq: terminal.terminalId,
+          DepartingSpaces: [],
+          IsNoFareCollected: null,
+          NoFareCollectedMsg: null,
+        });
+      }
+      const row = byTerminal.get(terminal.terminalId);
+      const missing = capacityMissing(terminal.terminalId);
+      const arrival = otherTerminal(route, terminal.terminalId);
+
+      upcoming
+        .filter((s) => s.depId === terminal.terminalId)
+        .slice(0, SPACES_PER_TERMINAL)
+        .forEach((s) => {
+          row.DepartingSpaces.push({
+            Departure: wsdotDate(s.depMs),
+            IsCancelled: false,
+            VesselID: s.vessel.vesselId,
+            VesselName: s.vessel.vesselName,
+            MaxSpaceCount: s.vessel.maxAuto,
+            SpaceForArrivalTerminals: [
+              {
+                TerminalID: arrival.terminalId,
+                TerminalName: arrival.terminalName,
+                VesselID: s.vessel.vesselId,
+                VesselName: s.vessel.vesselName,
+                DisplayReservableSpace: false,
+                ReservableSpaceCount: null,
+                ReservableSpaceHexColor: null,
+                DisplayDriveUpSpace: !missing,
+                DriveUpSpaceCount: missing ? null : driveUpSpace(s, nowMs),
+                DriveUpSpaceHexColor: null,
+                MaxSpaceCount: s.vessel.maxAuto,
+                ArrivalTerminalIDs: [arrival.terminalId],
+              },
+            ],
+          });
+        });
+    }
+  }
+
+  return Array.from(byTerminal.values());
+}
+
+// ---- schedule / routes ----
+
+function findRoute(routeId) {
+  return routes.find((r) => r.routeId === Number(routeId)) || null;
+}
+
+function schedule(route, dateText) {
+  const sailings = sailingsFor(route, dateText);
+  const combos = route.terminals.map((dep) => {
+    const arr = otherTerminal(route, dep.terminalId);
+    return {
+      DepartingTerminalID: dep.terminalId,
+      DepartingTerminalName: dep.terminalName,
+      ArrivingTerminalID: arr.terminalId,
+      ArrivingTerminalName: arr.terminalName,
+      SailingNotes: "",
+      Annotations: [],
+      AnnotationsIVR: [],
+      Times: sailings
+        .filter((s) => s.depId === dep.terminalId)
+        .map((s) => ({
+          DepartingTime: wsdotDate(s.depMs),
+          ArrivingTime: wsdotDate(s.arrMs),
+          LoadingRule: 3,
+          VesselID: s.vessel.vesselId,
+          VesselName: s.vessel.vesselName,
+          VesselHandicapAccessible: true,
+          VesselPositionNum: s.vessel.positionNum,
+          Routes: [route.routeId],
+          AnnotationIndexes: [],
+        })),
+    };
+  });
+
+  return {
+    ScheduleID: 1,
+    ScheduleName: "Simulated",
+    ScheduleSeason: 0,
+    SchedulePDFUrl: "",
+    ScheduleStart: null,
+    ScheduleEnd: null,
+    AllRoutes: [route.routeId],
+    TerminalCombos: combos,
+  };
+}
+
+function routeDetail(route) {
+  return {
+    RouteID: route.routeId,
+    RouteAbbrev: route.abbrev,
+    Description: route.description,
+    RegionID: 1,
+    VesselWatchID: route.routeId,
+    ReservationFlag: false,
+    InternationalFlag: false,
+    PassengerOnlyFlag: false,
+    CrossingTime: String(route.crossingMinutes),
+    AdaNotes: null,
+    GeneralRouteNotes: "",
+    SeasonalRouteNotes: "",
+    Alerts: [],
+  };
+}
+
+function terminalMates(route) {
+  return route.terminals.map((dep) => {
+    const arr = otherTerminal(route, dep.terminalId);
+    return {
+      DepartingTerminalID: dep.terminalId,
+      DepartingDescription: dep.terminalName,
+      ArrivingTerminalID: arr.terminalId,
+      ArrivingDescription: arr.terminalName,
+    };
+  });
+}
+
+// ---- vessel basics / stats ----
+
+function allVessels() {
+  return routes.flatMap((r) => r.vessels);
+}
+
+function vesselBasics() {
+  return allVessels().map((v) => ({
+    VesselID: v.vesselId,
+    VesselSubjectID: v.vesselId,
+    VesselName: v.vesselName,
+    VesselAbbrev: v.vesselName.slice(0, 4).toUpperCase(),
+    Class: { ClassID: 0, ClassSubjectID: 0, ClassName: v.className, SortSeq: 0, PublicDisplayName: v.className },
+    Status: 1,
+    OwnedByWSF: true,
+  }));
+}
+
+function vesselStats() {
+  return allVessels().map((v) => ({
+    VesselID: v.vesselId,
+    VesselName: v.vesselName,
+    RegDeckSpace: v.maxAuto,
+    TallDeckSpace: null,
+    MaxPassengerCount: v.maxPassengers,
+    YearBuilt: null,
+    YearRebuilt: null,
+    SpeedInKnots: null,
+  }));
+}
+
+// ---- HTTP ----
+
+function isValidDateText(text) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(text || ""));
+}
+
+// Answer one API path (segments after /rest/), or null when unknown.
+// Returns { status, body }.
+function answer(api, feed, args, nowMs) {
+  const bad = (msg) => ({ status: 400, body: { Message: msg } });
+
+  if (api === "Vessels") {
+    if (feed === "vessellocations") return { status: 200, body: vesselLocations(nowMs) };
+    if (feed === "vesselbasics") return { status: 200, body: vesselBasics() };
+    if (feed === "vesselstats") return { status: 200, body: vesselStats() };
+  }
+
+  if (api === "Terminals") {
+    if (feed === "terminalsailingspace") return { status: 200, body: terminalSpaces(nowMs) };
+    if (feed === "terminalbulletins" || feed === "terminalwaittimes") {
+      return { status: 200, body: [] };
+    }
+  }
+
+  if (api === "Schedule") {
+    if (feed === "alerts") return { status: 200, body: [] };
+
+    const [dateText, routeIdText] = args;
+    if (feed === "schedule" || feed === "routedetails" || feed === "terminalsandmatesbyroute") {
+      if (!isValidDateText(dateText)) return bad("Trip date must be YYYY-MM-DD");
+    }
+
+    if (feed === "routedetails" && routeIdText == null) {
+      return { status: 200, body: routes.map(routeDetail) };
+    }
+
+    if (feed === "schedule" || feed === "routedetails" || feed === "terminalsandmatesbyroute") {
+      const route = findRoute(routeIdText);
+      // The app tracks some routes from its local config (the triangle); an
+      // empty day keeps them quiet instead of failing every poll.
+      if (!route && feed === "schedule") {
+        return { status: 200, body: { ScheduleID: 0, ScheduleName: "Not simulated", AllRoutes: [], TerminalCombos: [] } };
+      }
+      if (!route) return bad(`Route ${routeIdText} is not simulated`);
+      if (feed === "schedule") return { status: 200, body: schedule(route, dateText) };
+      if (feed === "routedetails") return { status: 200, body: routeDetail(route) };
+      return { status: 200, body: terminalMates(route) };
+    }
+  }
+
+  return null;
+}
+
+function startServer(port) {
+  const app = express();
+
+  app.get("/sim/faults", (req, res) => {
+    res.json(faults);
+  });
+
+  app.post("/sim/faults", express.json(), (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    for (const key of Object.keys(faults)) {
+      if (body[key] !== undefined) faults[key] = body[key];
+    }
+    console.log("Faults:", JSON.stringify(faults));
+    res.json(faults);
+  });
+
+  app.use((req, res) => {
+    const m = /^\/(Vessels|Terminals|Schedule)\/rest\/([^/]+)(?:\/(.*))?$/.exec(req.path);
+    if (!m || req.method !== "GET") {
+      return res.status(404).json({ Message: "Not found" });
+    }
+    const [, api, feed, rest] = m;
+
+    const rate = faults.errors ? Number(faults.errors[feed]) || 0 : 0;
+    if (rate > 0 && Math.random() < rate) {
+      return res.status(503).json({ Message: "Simulated outage" });
+    }
+
+    const args = rest ? rest.split("/").filter(Boolean) : [];
+    const result = answer(api, feed, args, Date.now());
+    if (!result) return res.status(404).json({ Message: `Unknown endpoint ${feed}` });
+    res.status(result.status).json(result.body);
+  });
+
+  app.listen(port, () => {
+    console.log(`WSDOT simulator listening on http://localhost:${port}`);
+    console.log(`Routes: ${routes.map((r) => `${r.routeId} ${r.description}`).join(", ")}`);
+    console.log(`Run the app with WSDOT_API_BASE_URL=http://localhost:${port} node server.js`);
+  });
+}
+
+function main() {
+  const opts = parseArgs(process.argv);
+  routes = loadConfig(opts.config);
+  faults = opts.faults;
+  startServer(opts.port);
+}
+
+try {
+  main();
+} catch (err) {
+  console.error("Fatal error in simulator:", err.message || err);
+  process.exit(1);
+}